@@ -1,50 +1,91 @@
 import React from 'react'
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
+import { BrowserRouter as Router, Routes, Route, Link, useParams } from 'react-router-dom'
 import { motion } from 'framer-motion'
-import { PlayerProvider } from './context/PlayerContext'
 import Player from './components/Player'
 import Playlist from './components/Playlist'
 import AudioVisualizer from './components/AudioVisualizer'
+import PlaylistSidebar from './components/PlaylistSidebar'
+import DropOverlay from './components/DropOverlay'
+import UndoManager from './components/UndoManager'
+import KeyboardShortcuts from './components/KeyboardShortcuts'
+import { Toaster } from './components/ui/sonner'
+import { SidebarProvider, SidebarInset, SidebarTrigger } from './components/ui/sidebar'
+import { usePlayer } from './context/PlayerContext'
+import useTrackTheme from './hooks/useTrackTheme'
+import useMediaSession from './hooks/useMediaSession'
+import { LIBRARY_ID, getPlaylistName } from './utils/playlists'
 import './styles/global.css'
 
 function App() {
+  const { currentTrack } = usePlayer()
+  const { background } = useTrackTheme(currentTrack)
+  useMediaSession()
+
   return (
-    <PlayerProvider>
-      <Router>
-        <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900">
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            transition={{ duration: 0.5 }}
-            className="container mx-auto px-4 py-8"
-          >
-            <header className="text-center mb-8">
-              <motion.h1
-                initial={{ y: -50, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.2, duration: 0.6 }}
-                className="text-4xl md:text-6xl font-bold text-white mb-4 bg-gradient-to-r from-pink-400 to-purple-400 bg-clip-text text-transparent"
-              >
-                Music Player
-              </motion.h1>
-              <motion.p
-                initial={{ y: 50, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.4, duration: 0.6 }}
-                className="text-lg text-gray-300 max-w-2xl mx-auto"
-              >
-                Upload and play your favorite MP3 files with beautiful visualizations
-              </motion.p>
-            </header>
+    <Router>
+      <motion.div
+        className="min-h-screen"
+        initial={false}
+        animate={{
+          backgroundImage: `linear-gradient(to bottom right, ${background[0]}, ${background[1]}, ${background[2]})`
+        }}
+        transition={{ duration: 1.2 }}
+      >
+        <SidebarProvider>
+          <PlaylistSidebar />
 
-            <Routes>
-              <Route path="/" element={<HomePage />} />
-              <Route path="/playlist" element={<PlaylistPage />} />
-            </Routes>
-          </motion.div>
-        </div>
-      </Router>
-    </PlayerProvider>
+          <SidebarInset className="bg-transparent">
+            <SidebarTrigger className="fixed top-4 left-4 md:static md:m-4 z-20 text-white/70 hover:bg-white/10 hover:text-white" />
+            <KeyboardShortcuts className="absolute top-4 right-4 z-20 p-2 rounded-md text-white/70 hover:bg-white/10 hover:text-white transition-colors" />
+
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.5 }}
+              className="container mx-auto px-4 py-8"
+            >
+              <header className="text-center mb-8">
+                <motion.h1
+                  initial={{ y: -50, opacity: 0 }}
+                  animate={{ y: 0, opacity: 1 }}
+                  transition={{ delay: 0.2, duration: 0.6 }}
+                  className="text-4xl md:text-6xl font-bold text-white mb-4 bg-gradient-to-r from-pink-400 to-purple-400 bg-clip-text text-transparent"
+                >
+                  Music Player
+                </motion.h1>
+                <motion.p
+                  initial={{ y: 50, opacity: 0 }}
+                  animate={{ y: 0, opacity: 1 }}
+                  transition={{ delay: 0.4, duration: 0.6 }}
+                  className="text-lg text-gray-300 max-w-2xl mx-auto"
+                >
+                  Upload and play your favorite MP3 files with beautiful visualizations
+                </motion.p>
+              </header>
+
+              <Routes>
+                <Route path="/" element={<HomePage />} />
+                <Route path="/playlist" element={<PlaylistPage />} />
+                <Route path="/playlist/:id" element={<PlaylistPage />} />
+              </Routes>
+            </motion.div>
+          </SidebarInset>
+        </SidebarProvider>
+
+        <DropOverlay />
+        <UndoManager />
+        <Toaster
+          theme="dark"
+          position="bottom-center"
+          toastOptions={{
+            classNames: {
+              toast: '!bg-slate-900/95 backdrop-blur-lg !border-white/20 !text-white',
+              actionButton: '!bg-gradient-to-r from-purple-500 to-pink-500 !text-white'
+            }
+          }}
+        />
+      </motion.div>
+    </Router>
   )
 }
 
@@ -86,7 +127,7 @@ function HomePage() {
         className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10"
       >
         <h2 className="text-2xl font-semibold text-white mb-4">Your Playlist</h2>
-        <Playlist isPreview={true} />
+        <Playlist />
       </motion.div>
 
       {/* Features Grid */}
@@ -98,7 +139,7 @@ function HomePage() {
       >
         <FeatureCard
           title="Upload Music"
-          description="Drag and drop or select MP3 files from your device"
+          description="Drag and drop files, folders or playlists anywhere, or select them from your device"
           icon="🎵"
           delay={0.1}
         />
@@ -120,15 +161,32 @@ function HomePage() {
 }
 
 function PlaylistPage() {
+  const { id = LIBRARY_ID } = useParams()
+  const { playlists, isRestored } = usePlayer()
+  // Saved playlists load asynchronously; do not call a link dead before then
+  const exists = !isRestored || id === LIBRARY_ID || playlists.some(playlist => playlist.id === id)
+
   return (
     <motion.div
+      key={id}
       initial={{ opacity: 0, x: 20 }}
       animate={{ opacity: 1, x: 0 }}
       transition={{ duration: 0.6 }}
       className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-2xl"
     >
-      <h1 className="text-3xl font-bold text-white mb-6">Full Playlist</h1>
-      <Playlist isPreview={false} />
+      {exists ? (
+        <>
+          <h1 className="text-3xl font-bold text-white mb-6">{getPlaylistName(playlists, id)}</h1>
+          <Playlist playlistId={id} />
+        </>
+      ) : (
+        <div className="text-center py-12">
+          <p className="text-white/70 text-lg mb-4">This playlist does not exist any more.</p>
+          <Link to="/playlist" className="text-purple-300 hover:text-purple-200 underline">
+            Go to your library
+          </Link>
+        </div>
+      )}
     </motion.div>
   )
 }
@@ -0,0 +1,51 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { getPlaceholderTheme } from '../utils/palette'
+
+const getInitials = (track) => {
+  const source = track.album || track.title || ''
+  const words = source.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word))
+  return words.slice(0, 2).map(word => word.match(/[\p{L}\p{N}]/u)[0].toUpperCase()).join('')
+}
+
+// Cover art for a track, or a placeholder generated from its album/title
+// when it has none (or the stored image cannot be displayed).
+const AlbumArt = ({ track, className = '', textClassName = 'text-6xl' }) => {
+  const [failedUrl, setFailedUrl] = useState(null)
+  const hasArtwork = track.artworkUrl && track.artworkUrl !== failedUrl
+
+  if (hasArtwork) {
+    return (
+      <motion.img
+        key={track.artworkUrl}
+        src={track.artworkUrl}
+        alt={track.album ? `${track.album} cover` : `${track.title} cover`}
+        onError={() => setFailedUrl(track.artworkUrl)}
+        initial={{ opacity: 0, scale: 0.8 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className={`object-cover rounded-2xl shadow-2xl ${className}`}
+      />
+    )
+  }
+
+  const { accent } = getPlaceholderTheme(track)
+  const initials = getInitials(track)
+
+  return (
+    <motion.div
+      key={track.id}
+      initial={{ opacity: 0, scale: 0.8 }}
+      animate={{ opacity: 1, scale: 1 }}
+      style={{ backgroundImage: `linear-gradient(to bottom right, ${accent[0]}, ${accent[2]})` }}
+      className={`rounded-2xl flex items-center justify-center shadow-2xl ${className}`}
+    >
+      {initials ? (
+        <span className={`${textClassName} font-bold text-white/90 drop-shadow-lg`}>{initials}</span>
+      ) : (
+        <div className={textClassName}>🎵</div>
+      )}
+    </motion.div>
+  )
+}
+
+export default AlbumArt
@@ -1,220 +1,205 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react'
+import React, { useRef, useEffect, useState, useCallback, useSyncExternalStore } from 'react'
 import { motion } from 'framer-motion'
+import { usePlayer } from '../context/PlayerContext'
+import useTrackTheme from '../hooks/useTrackTheme'
+import {
+  DEFAULT_VISUALIZER,
+  createBeatTracker,
+  getVisualizers,
+  subscribeVisualizers
+} from '../visualizers'
+
+// What the engine's analysers start with; used unless a visualizer asks
+// for finer frequency detail
+const DEFAULT_FFT_SIZE = 256
+
+// Canvas size in device pixels, so drawings stay sharp on high-DPI screens
+const measure = (element) => {
+  const pixelRatio = window.devicePixelRatio || 1
+  return {
+    width: Math.round(element.clientWidth * pixelRatio),
+    height: Math.round(element.clientHeight * pixelRatio),
+    pixelRatio
+  }
+}
 
-const AudioVisualizer = ({ audioElement, isPlaying, className = '' }) => {
-  const canvasRef = useRef(null)
-  const animationRef = useRef(null)
-  const audioContextRef = useRef(null)
-  const analyserRef = useRef(null)
-  const sourceRef = useRef(null)
-  const dataArrayRef = useRef(null)
-  const [isInitialized, setIsInitialized] = useState(false)
-  const [visualizerType, setVisualizerType] = useState('bars')
-
-  const initializeAudioContext = useCallback(async () => {
-    if (!audioElement || audioContextRef.current) return
-
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)()
-      const analyser = audioContext.createAnalyser()
-      
-      analyser.fftSize = 256
-      analyser.smoothingTimeConstant = 0.8
-      
-      const source = audioContext.createMediaElementSource(audioElement)
-      source.connect(analyser)
-      analyser.connect(audioContext.destination)
-      
-      const bufferLength = analyser.frequencyBinCount
-      const dataArray = new Uint8Array(bufferLength)
-      
-      audioContextRef.current = audioContext
-      analyserRef.current = analyser
-      sourceRef.current = source
-      dataArrayRef.current = dataArray
-      
-      setIsInitialized(true)
-    } catch (error) {
-      console.error('Error initializing audio context:', error)
-    }
-  }, [audioElement])
-
-  const drawBarsVisualizer = useCallback((canvas, ctx, dataArray) => {
-    const width = canvas.width
-    const height = canvas.height
-    const barWidth = (width / dataArray.length) * 2.5
-    let barHeight
-    let x = 0
-
-    ctx.clearRect(0, 0, width, height)
-
-    const gradient = ctx.createLinearGradient(0, 0, 0, height)
-    gradient.addColorStop(0, '#3b82f6')
-    gradient.addColorStop(0.5, '#8b5cf6')
-    gradient.addColorStop(1, '#ec4899')
-
-    for (let i = 0; i < dataArray.length; i++) {
-      barHeight = (dataArray[i] / 255) * height * 0.8
-
-      ctx.fillStyle = gradient
-      ctx.fillRect(x, height - barHeight, barWidth, barHeight)
+// The picked visualizer or, if it cannot run here, what it falls back to
+// (and failing that the first one that can)
+const resolveVisualizer = (visualizers, id, unavailable) => {
+  const usable = (visualizer) => visualizer && !unavailable.includes(visualizer.id)
+  const find = (wanted) => visualizers.find((visualizer) => visualizer.id === wanted)
+  const seen = new Set()
+  let visualizer = find(id) ?? visualizers[0]
+  while (visualizer && !usable(visualizer) && !seen.has(visualizer.id)) {
+    seen.add(visualizer.id)
+    visualizer = find(visualizer.fallback)
+  }
+  return usable(visualizer) ? visualizer : visualizers.find(usable) ?? null
+}
 
-      x += barWidth + 1
-    }
+// Hosts whichever registered visualizer is picked (see visualizers/registry.js)
+// and feeds it the analyser's data, the track and its beats every frame
+const AudioVisualizer = ({ className = '' }) => {
+  const { audioEngine, isPlaying, currentTrack } = usePlayer()
+  const { accent } = useTrackTheme(currentTrack)
+  const visualizers = useSyncExternalStore(subscribeVisualizers, getVisualizers)
+  const [visualizerId, setVisualizerId] = useState(DEFAULT_VISUALIZER)
+  const [analyser, setAnalyser] = useState(null)
+  // Visualizers that could not start or stopped working, e.g. without WebGL
+  const [unavailable, setUnavailable] = useState([])
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const instanceRef = useRef(null)
+  const runningRef = useRef(null)
+  const sizeRef = useRef({ width: 0, height: 0, pixelRatio: 1 })
+  const liveRef = useRef({ track: currentTrack, accent })
+  const visualizer = resolveVisualizer(visualizers, visualizerId, unavailable)
+
+  const markUnavailable = useCallback((id) => {
+    setUnavailable((ids) => (ids.includes(id) ? ids : [...ids, id]))
   }, [])
 
-  const drawCircularVisualizer = useCallback((canvas, ctx, dataArray) => {
-    const width = canvas.width
-    const height = canvas.height
-    const centerX = width / 2
-    const centerY = height / 2
-    const radius = Math.min(width, height) / 4
-
-    ctx.clearRect(0, 0, width, height)
-
-    const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius * 2)
-    gradient.addColorStop(0, '#3b82f6')
-    gradient.addColorStop(0.5, '#8b5cf6')
-    gradient.addColorStop(1, '#ec4899')
-
-    ctx.strokeStyle = gradient
-    ctx.lineWidth = 3
+  // Read from a ref so a track or theme change reaches the next frame
+  // without restarting the animation loop
+  useEffect(() => {
+    liveRef.current = { track: currentTrack, accent }
+  }, [currentTrack, accent])
 
-    for (let i = 0; i < dataArray.length; i++) {
-      const angle = (i / dataArray.length) * Math.PI * 2
-      const amplitude = (dataArray[i] / 255) * radius
-      
-      const x1 = centerX + Math.cos(angle) * radius
-      const y1 = centerY + Math.sin(angle) * radius
-      const x2 = centerX + Math.cos(angle) * (radius + amplitude)
-      const y2 = centerY + Math.sin(angle) * (radius + amplitude)
+  // The engine owns the audio graph; we only read from an analyser it taps
+  // off its output for us, once playback has started for the first time.
+  // It is ours alone, so the FFT size can follow the visualizer.
+  useEffect(() => {
+    if (!audioEngine) return
 
-      ctx.beginPath()
-      ctx.moveTo(x1, y1)
-      ctx.lineTo(x2, y2)
-      ctx.stroke()
+    let tap = null
+    const attachAnalyser = () => {
+      tap?.release()
+      tap = audioEngine.createAnalyser()
+      setAnalyser(tap?.analyser ?? null)
     }
-  }, [])
+    attachAnalyser()
+    const unsubscribe = audioEngine.on('graphready', attachAnalyser)
 
-  const drawWaveformVisualizer = useCallback((canvas, ctx, dataArray) => {
-    const width = canvas.width
-    const height = canvas.height
-    const sliceWidth = width / dataArray.length
-
-    ctx.clearRect(0, 0, width, height)
-
-    const gradient = ctx.createLinearGradient(0, 0, width, 0)
-    gradient.addColorStop(0, '#3b82f6')
-    gradient.addColorStop(0.5, '#8b5cf6')
-    gradient.addColorStop(1, '#ec4899')
-
-    ctx.strokeStyle = gradient
-    ctx.lineWidth = 2
-    ctx.beginPath()
+    return () => {
+      unsubscribe()
+      tap?.release()
+    }
+  }, [audioEngine])
 
-    let x = 0
-    for (let i = 0; i < dataArray.length; i++) {
-      const v = (dataArray[i] / 255) * height
-      const y = height / 2 + (v - height / 2) * 0.5
+  useEffect(() => {
+    if (analyser) analyser.fftSize = visualizer?.fftSize ?? DEFAULT_FFT_SIZE
+  }, [analyser, visualizer])
 
-      if (i === 0) {
-        ctx.moveTo(x, y)
-      } else {
-        ctx.lineTo(x, y)
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const observer = new ResizeObserver(() => {
+      const size = measure(container)
+      sizeRef.current = size
+      if (canvasRef.current) {
+        canvasRef.current.width = size.width
+        canvasRef.current.height = size.height
       }
-
-      x += sliceWidth
-    }
-
-    ctx.stroke()
+      instanceRef.current?.resize?.(size)
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
   }, [])
 
-  const draw = useCallback(() => {
-    if (!analyserRef.current || !dataArrayRef.current || !canvasRef.current) return
-
+  // Each visualizer gets a canvas of its own (the canvas is keyed on it),
+  // as a canvas cannot switch between kinds of drawing context
+  useEffect(() => {
     const canvas = canvasRef.current
-    const ctx = canvas.getContext('2d')
-    
-    analyserRef.current.getByteFrequencyData(dataArrayRef.current)
-
-    switch (visualizerType) {
-      case 'bars':
-        drawBarsVisualizer(canvas, ctx, dataArrayRef.current)
-        break
-      case 'circular':
-        drawCircularVisualizer(canvas, ctx, dataArrayRef.current)
-        break
-      case 'waveform':
-        drawWaveformVisualizer(canvas, ctx, dataArrayRef.current)
-        break
-      default:
-        drawBarsVisualizer(canvas, ctx, dataArrayRef.current)
-    }
+    if (!canvas || !visualizer) return
 
-    if (isPlaying) {
-      animationRef.current = requestAnimationFrame(draw)
-    }
-  }, [visualizerType, isPlaying, drawBarsVisualizer, drawCircularVisualizer, drawWaveformVisualizer])
-
-  const resizeCanvas = useCallback(() => {
-    if (!canvasRef.current) return
+    const size = measure(containerRef.current)
+    sizeRef.current = size
+    canvas.width = size.width
+    canvas.height = size.height
 
-    const canvas = canvasRef.current
-    const container = canvas.parentElement
-    
-    canvas.width = container.clientWidth
-    canvas.height = container.clientHeight
-  }, [])
-
-  useEffect(() => {
-    if (audioElement && !isInitialized) {
-      initializeAudioContext()
+    try {
+      instanceRef.current = visualizer.init(canvas, size)
+      runningRef.current = visualizer
+      // Cannot run here; its button is greyed out and the fallback shown
+      if (!instanceRef.current) markUnavailable(visualizer.id)
+    } catch (error) {
+      console.error(`Could not start the ${visualizer.label} visualizer:`, error)
+      markUnavailable(visualizer.id)
     }
-  }, [audioElement, isInitialized, initializeAudioContext])
 
-  useEffect(() => {
-    resizeCanvas()
-    window.addEventListener('resize', resizeCanvas)
-    
     return () => {
-      window.removeEventListener('resize', resizeCanvas)
+      const instance = instanceRef.current
+      instanceRef.current = null
+      runningRef.current = null
+      instance?.dispose?.()
     }
-  }, [resizeCanvas])
+  }, [visualizer, markUnavailable])
 
   useEffect(() => {
-    if (isPlaying && isInitialized && audioContextRef.current?.state === 'suspended') {
-      audioContextRef.current.resume()
-    }
-
-    if (isPlaying && isInitialized) {
-      draw()
-    } else if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current)
-    }
-
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current)
+    if (!isPlaying || !analyser) return
+
+    let frequencyData = new Uint8Array(0)
+    let timeDomainData = new Uint8Array(0)
+    const beatTracker = createBeatTracker()
+    const startedAt = performance.now()
+    let lastTime = 0
+    let frameId
+
+    const render = (now) => {
+      frameId = requestAnimationFrame(render)
+      const instance = instanceRef.current
+      if (!instance) return
+
+      // The FFT size changes with the visualizer
+      if (timeDomainData.length !== analyser.fftSize) {
+        frequencyData = new Uint8Array(analyser.frequencyBinCount)
+        timeDomainData = new Uint8Array(analyser.fftSize)
       }
-    }
-  }, [isPlaying, isInitialized, draw])
-
-  useEffect(() => {
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current)
+      analyser.getByteFrequencyData(frequencyData)
+      analyser.getByteTimeDomainData(timeDomainData)
+
+      const { track, accent: trackAccent } = liveRef.current
+      const time = Math.max(0, (now - startedAt) / 1000)
+      const currentTime = audioEngine.getCurrentTime()
+      const { sampleRate } = analyser.context
+      const beat = beatTracker.update({
+        currentTime,
+        tempo: track?.tempo,
+        frequencyData,
+        sampleRate,
+        time
+      })
+      const frame = {
+        frequencyData,
+        sampleRate,
+        timeDomainData,
+        ...sizeRef.current,
+        time,
+        deltaTime: time - lastTime,
+        currentTime,
+        track,
+        accent: trackAccent,
+        beat
       }
-      if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-        audioContextRef.current.close()
+      lastTime = time
+
+      try {
+        if (beat.isBeat) instance.onBeat?.(beat, frame)
+        instance.draw(frame)
+      } catch (error) {
+        // A visualizer that fails once (a lost WebGL context, say) would
+        // fail every frame, so its fallback takes over
+        console.error('Visualizer stopped:', error)
+        instanceRef.current = null
+        instance.dispose?.()
+        if (runningRef.current) markUnavailable(runningRef.current.id)
       }
     }
-  }, [])
 
-  const visualizerTypes = [
-    { id: 'bars', label: 'Bars', icon: '▬' },
-    { id: 'circular', label: 'Circular', icon: '◯' },
-    { id: 'waveform', label: 'Wave', icon: '〜' }
-  ]
+    frameId = requestAnimationFrame(render)
+    return () => cancelAnimationFrame(frameId)
+  }, [isPlaying, analyser, audioEngine, markUnavailable])
 
   return (
     <motion.div
@@ -224,18 +209,18 @@ const AudioVisualizer = ({ audioElement, isPlaying, className = '' }) => {
     >
       {/* Visualizer Type Selector */}
       <div className="absolute top-3 right-3 z-10 flex gap-1">
-        {visualizerTypes.map((type) => (
+        {visualizers.map((type) => (
           <motion.button
             key={type.id}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            onClick={() => setVisualizerType(type.id)}
+            onClick={() => setVisualizerId(type.id)}
             className={`px-2 py-1 rounded-md text-xs font-medium transition-all duration-200 ${
-              visualizerType === type.id
+              visualizer?.id === type.id
                 ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
                 : 'bg-white/5 text-gray-400 hover:bg-white/10 hover:text-white border border-white/10'
-            }`}
-            title={type.label}
+            } ${unavailable.includes(type.id) ? 'opacity-40' : ''}`}
+            title={unavailable.includes(type.id) ? `${type.label} (not available on this device)` : type.label}
           >
             {type.icon}
           </motion.button>
@@ -243,10 +228,11 @@ const AudioVisualizer = ({ audioElement, isPlaying, className = '' }) => {
       </div>
 
       {/* Canvas Container */}
-      <div className="w-full h-full min-h-[200px] relative">
+      <div ref={containerRef} className="w-full h-full min-h-[200px] relative">
         <canvas
+          key={visualizer?.id}
           ref={canvasRef}
-          className="w-full h-full"
+          className="absolute inset-0 w-full h-full"
           style={{ display: 'block' }}
         />
         
@@ -281,7 +267,10 @@ const AudioVisualizer = ({ audioElement, isPlaying, className = '' }) => {
 
       {/* Animated Background Effect */}
       <div className="absolute inset-0 opacity-20 pointer-events-none">
-        <div className="absolute inset-0 bg-gradient-to-r from-blue-500/10 via-purple-500/10 to-pink-500/10 animate-pulse" />
+        <div
+          className="absolute inset-0 opacity-10 animate-pulse"
+          style={{ backgroundImage: `linear-gradient(to right, ${accent.join(', ')})` }}
+        />
       </div>
     </motion.div>
   )
@@ -2,6 +2,11 @@ import React from 'react';
 import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Shuffle, Repeat } from 'lucide-react';
 import { motion } from 'framer-motion';
 import { usePlayerContext } from '../context/PlayerContext';
+import CrossfadeSettings from './CrossfadeSettings';
+import EqualizerSettings from './EqualizerSettings';
+import NormalizationSettings from './NormalizationSettings';
+import PlaybackSpeedSettings from './PlaybackSpeedSettings';
+import QueueSheet from './QueueSheet';
 
 const Controls = () => {
   const {
@@ -9,9 +14,9 @@ const Controls = () => {
     currentTrack,
     volume,
     isMuted,
-    isShuffled,
-    repeatMode,
-    playPause,
+    shuffle,
+    repeat,
+    togglePlay,
     previousTrack,
     nextTrack,
     setVolume,
@@ -26,7 +31,7 @@ const Controls = () => {
   };
 
   const getRepeatIcon = () => {
-    if (repeatMode === 'one') {
+    if (repeat === 'one') {
       return (
         <div className="relative">
           <Repeat size={20} />
@@ -56,7 +61,7 @@ const Controls = () => {
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.95 }}
-          onClick={playPause}
+          onClick={togglePlay}
           className="p-4 rounded-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 transition-all duration-200 shadow-lg"
           disabled={!currentTrack}
         >
@@ -88,7 +93,7 @@ const Controls = () => {
             whileTap={{ scale: 0.95 }}
             onClick={toggleShuffle}
             className={`p-2 rounded-full transition-all duration-200 ${
-              isShuffled 
+              shuffle 
                 ? 'bg-purple-500 text-white' 
                 : 'bg-white/10 hover:bg-white/20 text-white/70 hover:text-white'
             }`}
@@ -101,13 +106,23 @@ const Controls = () => {
             whileTap={{ scale: 0.95 }}
             onClick={toggleRepeat}
             className={`p-2 rounded-full transition-all duration-200 ${
-              repeatMode !== 'off' 
+              repeat !== 'none' 
                 ? 'bg-purple-500 text-white' 
                 : 'bg-white/10 hover:bg-white/20 text-white/70 hover:text-white'
             }`}
           >
             {getRepeatIcon()}
           </motion.button>
+
+          <CrossfadeSettings />
+
+          <EqualizerSettings />
+
+          <NormalizationSettings />
+
+          <PlaybackSpeedSettings />
+
+          <QueueSheet />
         </div>
 
         {/* Right Side - Volume Control */}
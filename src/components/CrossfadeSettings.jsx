@@ -0,0 +1,79 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Blend } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { MAX_CROSSFADE_DURATION } from '../utils/audio';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+
+const CURVE_OPTIONS = [
+  { id: 'equal-power', label: 'Equal power' },
+  { id: 'linear', label: 'Linear' }
+];
+
+const CrossfadeSettings = () => {
+  const {
+    crossfadeDuration,
+    crossfadeCurve,
+    setCrossfadeDuration,
+    setCrossfadeCurve
+  } = usePlayerContext();
+
+  const isEnabled = crossfadeDuration > 0;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          title={isEnabled ? `Crossfade ${crossfadeDuration}s` : 'Crossfade off'}
+          className={`p-2 rounded-full transition-all duration-200 ${
+            isEnabled
+              ? 'bg-purple-500 text-white'
+              : 'bg-white/10 hover:bg-white/20 text-white/70 hover:text-white'
+          }`}
+        >
+          <Blend size={16} />
+        </motion.button>
+      </PopoverTrigger>
+
+      <PopoverContent className="w-64 bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+        <div className="flex items-center justify-between mb-3">
+          <span className="text-sm font-medium">Crossfade</span>
+          <span className="text-xs text-white/70">
+            {isEnabled ? `${crossfadeDuration}s` : 'Off (gapless)'}
+          </span>
+        </div>
+
+        <input
+          type="range"
+          min="0"
+          max={MAX_CROSSFADE_DURATION}
+          step="0.5"
+          value={crossfadeDuration}
+          onChange={(e) => setCrossfadeDuration(parseFloat(e.target.value))}
+          className="w-full h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-purple-500"
+        />
+
+        <div className="flex gap-2 mt-4">
+          {CURVE_OPTIONS.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => setCrossfadeCurve(option.id)}
+              disabled={!isEnabled}
+              className={`flex-1 px-2 py-1 rounded-md text-xs font-medium transition-all duration-200 disabled:opacity-50 ${
+                crossfadeCurve === option.id
+                  ? 'bg-purple-500/20 text-purple-300 border border-purple-500/30'
+                  : 'bg-white/5 text-gray-400 hover:bg-white/10 hover:text-white border border-white/10'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default CrossfadeSettings;
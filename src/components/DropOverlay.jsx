@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ListEnd, ListStart, Play, Upload } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import useAudioImport from '../hooks/useAudioImport';
+import { readDroppedFiles } from '../utils/fileScanner';
+import { getPlaylistName } from '../utils/playlists';
+import ImportProgressDialog from './ImportProgressDialog';
+
+const DROP_ACTIONS = [
+  { id: 'append', label: 'Add to the end', icon: ListEnd },
+  { id: 'next', label: 'Add after the current track', icon: ListStart },
+  { id: 'play', label: 'Play now', icon: Play }
+];
+
+// Only drags carrying files from outside the page, not text or links
+const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+// Full-window drop target for audio files, folders and playlist files.
+// Where the drop lands decides what happens to the tracks in the active list.
+const DropOverlay = () => {
+  const {
+    playlists,
+    playlist,
+    activePlaylistId,
+    currentIndex,
+    playTrack
+  } = usePlayerContext();
+  const { job, runImport, cancel, dismiss } = useAudioImport();
+
+  const [isDragging, setIsDragging] = useState(false);
+  const [hoveredAction, setHoveredAction] = useState(null);
+  // dragenter/dragleave fire for every element crossed on the way
+  const dragDepthRef = useRef(0);
+  const hoveredActionRef = useRef(null);
+  const importDropRef = useRef(null);
+
+  const chooseAction = (actionId) => {
+    hoveredActionRef.current = actionId;
+    setHoveredAction(actionId);
+  };
+
+  importDropRef.current = async (filesPromise, actionId) => {
+    // "After the current track" means after where the active list is; that
+    // is the resume point while a queued track plays
+    const afterTrackId = actionId === 'append' ? undefined : playlist[currentIndex]?.id;
+    const result = await runImport(() => filesPromise, {
+      playlistId: activePlaylistId,
+      afterTrackId,
+      importPlaylists: true
+    });
+
+    if (actionId === 'play' && result?.tracks.length > 0) {
+      playTrack(result.tracks[0], undefined, activePlaylistId);
+    }
+  };
+
+  const isImporting = job && job.phase !== 'done';
+  const isImportingRef = useRef(false);
+  isImportingRef.current = isImporting;
+
+  useEffect(() => {
+    const reset = () => {
+      dragDepthRef.current = 0;
+      hoveredActionRef.current = null;
+      setIsDragging(false);
+      setHoveredAction(null);
+    };
+
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event) || isImportingRef.current) return;
+      event.preventDefault();
+      dragDepthRef.current++;
+      setIsDragging(true);
+    };
+
+    // Files are always caught, even mid-import, or the browser would
+    // navigate away to open them
+    const handleDragOver = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = isImportingRef.current ? 'none' : 'copy';
+    };
+
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) reset();
+    };
+
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      if (isImportingRef.current) return;
+      // Directory entries must be read before this handler returns
+      const filesPromise = readDroppedFiles(event.dataTransfer);
+      importDropRef.current(filesPromise, hoveredActionRef.current ?? 'append');
+      reset();
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, []);
+
+  return (
+    <>
+      <AnimatePresence>
+        {isDragging && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.15 }}
+            className="fixed inset-0 z-50 flex flex-col items-center justify-center gap-8 p-8 bg-slate-950/80 backdrop-blur-md text-white"
+          >
+            <div className="text-center">
+              <Upload className="w-12 h-12 mx-auto mb-4 text-purple-300" />
+              <p className="text-2xl font-semibold">Drop music, folders or playlist files</p>
+              <p className="text-white/60 mt-1">
+                Tracks go into {getPlaylistName(playlists, activePlaylistId)}; playlist files become new playlists
+              </p>
+            </div>
+
+            <div className="grid w-full max-w-3xl gap-4 sm:grid-cols-3">
+              {DROP_ACTIONS.map(({ id, label, icon: Icon }) => (
+                <div
+                  key={id}
+                  onDragOver={() => chooseAction(id)}
+                  onDragLeave={() => chooseAction(null)}
+                  className={`flex flex-col items-center justify-center gap-3 h-40 rounded-2xl border-2 border-dashed transition-all duration-150 ${
+                    hoveredAction === id
+                      ? 'border-purple-400 bg-purple-500/20 scale-105'
+                      : 'border-white/20 bg-white/5'
+                  }`}
+                >
+                  <Icon className="w-8 h-8 pointer-events-none" />
+                  <span className="font-medium pointer-events-none">{label}</span>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <ImportProgressDialog job={job} onCancel={cancel} onDismiss={dismiss} />
+    </>
+  );
+};
+
+export default DropOverlay;
@@ -0,0 +1,394 @@
+import React, { useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { SlidersHorizontal, Plus, Trash2, Save, X } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import {
+  BUILT_IN_PRESETS,
+  GRAPHIC_EQ_FREQUENCIES,
+  MAX_EQ_GAIN,
+  MIN_EQ_FREQUENCY,
+  MAX_EQ_FREQUENCY,
+  PARAMETRIC_TYPES,
+  createParametricBand,
+  getFrequencyResponse,
+  getResponseFrequencies
+} from '../utils/equalizer';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from './ui/dialog';
+
+const CURVE_WIDTH = 400;
+const CURVE_HEIGHT = 120;
+const CURVE_RANGE = 15; // dB shown above and below 0
+const CURVE_FREQUENCIES = getResponseFrequencies(160);
+const GRID_FREQUENCIES = [100, 1000, 10000];
+const FREQUENCY_STEPS = 1000;
+
+const selectClassName = 'bg-slate-800 border border-white/20 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:border-purple-400';
+const rangeClassName = 'h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-purple-500 disabled:opacity-40 disabled:cursor-default';
+const smallButtonClassName = 'flex items-center gap-1 px-2 py-1 rounded-md text-xs bg-white/10 hover:bg-white/20 disabled:opacity-40 transition-colors';
+
+const formatFrequency = (frequency) => frequency >= 1000
+  ? `${Number((frequency / 1000).toFixed(1))}k`
+  : `${Math.round(frequency)}`;
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${Number(gain.toFixed(1))} dB`;
+
+// Frequency sliders move on a log scale, like the curve
+const frequencyToStep = (frequency) =>
+  Math.round(Math.log(frequency / MIN_EQ_FREQUENCY) / Math.log(MAX_EQ_FREQUENCY / MIN_EQ_FREQUENCY) * FREQUENCY_STEPS);
+
+const stepToFrequency = (step) =>
+  Math.round(MIN_EQ_FREQUENCY * Math.pow(MAX_EQ_FREQUENCY / MIN_EQ_FREQUENCY, step / FREQUENCY_STEPS));
+
+const toX = (frequency) =>
+  Math.log(frequency / MIN_EQ_FREQUENCY) / Math.log(MAX_EQ_FREQUENCY / MIN_EQ_FREQUENCY) * CURVE_WIDTH;
+
+const toY = (db) =>
+  CURVE_HEIGHT / 2 - Math.max(-CURVE_RANGE, Math.min(CURVE_RANGE, db)) / CURVE_RANGE * (CURVE_HEIGHT / 2);
+
+const getCurvePath = (settings) => getFrequencyResponse(settings, CURVE_FREQUENCIES)
+  .map((db, i) => `${i === 0 ? 'M' : 'L'}${toX(CURVE_FREQUENCIES[i]).toFixed(1)},${toY(db).toFixed(1)}`)
+  .join(' ');
+
+// Frequency response of the settings being edited, and of the current
+// track's own preset when it has one
+const EqualizerCurve = ({ settings, trackSettings }) => {
+  const path = useMemo(() => getCurvePath(settings), [settings]);
+  const trackPath = useMemo(() => trackSettings && getCurvePath(trackSettings), [trackSettings]);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}`}
+      className="w-full h-32 rounded-lg bg-black/30"
+      role="img"
+      aria-label="Equalizer frequency response"
+    >
+      {[-12, -6, 6, 12].map(db => (
+        <line key={db} x1="0" x2={CURVE_WIDTH} y1={toY(db)} y2={toY(db)} className="stroke-white/5" />
+      ))}
+      <line x1="0" x2={CURVE_WIDTH} y1={toY(0)} y2={toY(0)} className="stroke-white/20" />
+      {GRID_FREQUENCIES.map(frequency => (
+        <g key={frequency}>
+          <line x1={toX(frequency)} x2={toX(frequency)} y1="0" y2={CURVE_HEIGHT} className="stroke-white/10" />
+          <text x={toX(frequency) + 3} y={CURVE_HEIGHT - 4} className="fill-white/40 text-[9px]">
+            {formatFrequency(frequency)}
+          </text>
+        </g>
+      ))}
+      {trackPath && (
+        <path d={trackPath} fill="none" strokeWidth="2" strokeDasharray="4 3" className="stroke-pink-400/80" />
+      )}
+      <path d={path} fill="none" strokeWidth="2" className="stroke-purple-400" />
+    </svg>
+  );
+};
+
+const ParametricBandRow = ({ band, disabled, onChange, onRemove }) => {
+  const type = PARAMETRIC_TYPES.find(item => item.id === band.type);
+
+  return (
+    <div className="grid grid-cols-[6.5rem_1fr_auto] items-center gap-x-3 gap-y-1 p-2 rounded-lg bg-white/5">
+      <select
+        value={band.type}
+        disabled={disabled}
+        onChange={(e) => onChange({ type: e.target.value })}
+        className={selectClassName}
+        aria-label="Filter type"
+      >
+        {PARAMETRIC_TYPES.map(item => (
+          <option key={item.id} value={item.id}>{item.label}</option>
+        ))}
+      </select>
+
+      <label className="flex items-center gap-2 text-xs text-white/60">
+        <input
+          type="range"
+          min="0"
+          max={FREQUENCY_STEPS}
+          value={frequencyToStep(band.frequency)}
+          disabled={disabled}
+          onChange={(e) => onChange({ frequency: stepToFrequency(Number(e.target.value)) })}
+          className={`flex-1 ${rangeClassName}`}
+          aria-label="Frequency"
+        />
+        <span className="w-12 text-right font-mono">{formatFrequency(band.frequency)}Hz</span>
+      </label>
+
+      <button
+        onClick={onRemove}
+        disabled={disabled}
+        aria-label="Remove band"
+        className="p-1 rounded text-white/50 hover:text-white hover:bg-white/10 disabled:opacity-40"
+      >
+        <X className="w-4 h-4" />
+      </button>
+
+      {type?.hasGain && (
+        <label className="col-start-2 flex items-center gap-2 text-xs text-white/60">
+          <input
+            type="range"
+            min={-MAX_EQ_GAIN}
+            max={MAX_EQ_GAIN}
+            step="0.5"
+            value={band.gain}
+            disabled={disabled}
+            onChange={(e) => onChange({ gain: Number(e.target.value) })}
+            className={`flex-1 ${rangeClassName}`}
+            aria-label="Gain"
+          />
+          <span className="w-12 text-right font-mono">{formatGain(band.gain)}</span>
+        </label>
+      )}
+
+      {type?.hasQ && (
+        <label className="col-start-2 flex items-center gap-2 text-xs text-white/60">
+          <input
+            type="range"
+            min="0.1"
+            max="10"
+            step="0.1"
+            value={band.q}
+            disabled={disabled}
+            onChange={(e) => onChange({ q: Number(e.target.value) })}
+            className={`flex-1 ${rangeClassName}`}
+            aria-label="Q"
+          />
+          <span className="w-12 text-right font-mono">Q {band.q.toFixed(1)}</span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+// Graphic and parametric EQ, presets, and a preset of its own for the
+// current track
+const EqualizerSettings = () => {
+  const {
+    equalizer,
+    equalizerPresets,
+    currentTrack,
+    trackEqualizerPreset,
+    setEqualizerEnabled,
+    updateEqualizer,
+    applyEqualizerPreset,
+    saveEqualizerPreset,
+    deleteEqualizerPreset,
+    setTrackEqualizerPreset
+  } = usePlayerContext();
+  const [presetName, setPresetName] = useState(null);
+
+  const isUserPreset = equalizerPresets.some(preset => preset.id === equalizer.presetId);
+  const isDisabled = !equalizer.enabled;
+  const trackSettings = useMemo(
+    () => trackEqualizerPreset && { ...trackEqualizerPreset, enabled: true },
+    [trackEqualizerPreset]
+  );
+
+  const setBand = (index, gain) => {
+    updateEqualizer({ bands: equalizer.bands.map((value, i) => i === index ? gain : value) });
+  };
+
+  const setParametricBand = (id, updates) => {
+    updateEqualizer({
+      parametric: equalizer.parametric.map(band => band.id === id ? { ...band, ...updates } : band)
+    });
+  };
+
+  const handleSavePreset = (event) => {
+    event.preventDefault();
+    saveEqualizerPreset(presetName);
+    setPresetName(null);
+  };
+
+  const presetOptions = (
+    <>
+      <optgroup label="Built in">
+        {BUILT_IN_PRESETS.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </optgroup>
+      {equalizerPresets.length > 0 && (
+        <optgroup label="My presets">
+          {equalizerPresets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </optgroup>
+      )}
+    </>
+  );
+
+  return (
+    <Dialog onOpenChange={() => setPresetName(null)}>
+      <DialogTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          title={equalizer.enabled || trackEqualizerPreset ? 'Equalizer on' : 'Equalizer off'}
+          className={`p-2 rounded-full transition-all duration-200 ${
+            equalizer.enabled || trackEqualizerPreset
+              ? 'bg-purple-500 text-white'
+              : 'bg-white/10 hover:bg-white/20 text-white/70 hover:text-white'
+          }`}
+        >
+          <SlidersHorizontal size={16} />
+        </motion.button>
+      </DialogTrigger>
+
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center justify-between pr-6">
+            Equalizer
+            <label className="flex items-center gap-2 text-sm font-normal text-white/70 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={equalizer.enabled}
+                onChange={(e) => setEqualizerEnabled(e.target.checked)}
+                className="accent-purple-500"
+              />
+              On
+            </label>
+          </DialogTitle>
+          <DialogDescription className="text-white/60">
+            Boost or cut frequencies for everything you play.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={equalizer.presetId ?? ''}
+            onChange={(e) => applyEqualizerPreset(e.target.value)}
+            className={selectClassName}
+            aria-label="Preset"
+          >
+            {!equalizer.presetId && <option value="">Custom</option>}
+            {presetOptions}
+          </select>
+
+          {presetName === null ? (
+            <button onClick={() => setPresetName('')} className={smallButtonClassName}>
+              <Save className="w-3 h-3" />
+              Save as preset
+            </button>
+          ) : (
+            <form onSubmit={handleSavePreset} className="flex items-center gap-2">
+              <input
+                autoFocus
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                placeholder="Preset name"
+                className="w-36 bg-white/5 border border-white/20 rounded-md px-2 py-1 text-sm text-white placeholder:text-white/30 focus:outline-none focus:border-purple-400"
+              />
+              <button type="submit" className={smallButtonClassName}>Save</button>
+              <button type="button" onClick={() => setPresetName(null)} className={smallButtonClassName}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {isUserPreset && (
+            <button
+              onClick={() => deleteEqualizerPreset(equalizer.presetId)}
+              className={`${smallButtonClassName} text-red-300`}
+            >
+              <Trash2 className="w-3 h-3" />
+              Delete preset
+            </button>
+          )}
+        </div>
+
+        <EqualizerCurve settings={equalizer} trackSettings={trackSettings} />
+
+        <div className="flex items-end justify-between gap-1">
+          {GRAPHIC_EQ_FREQUENCIES.map((frequency, index) => (
+            <label key={frequency} className="flex flex-col items-center gap-1 text-[10px] text-white/60">
+              <span className="font-mono">{equalizer.bands[index] > 0 ? '+' : ''}{equalizer.bands[index]}</span>
+              <input
+                type="range"
+                min={-MAX_EQ_GAIN}
+                max={MAX_EQ_GAIN}
+                step="0.5"
+                value={equalizer.bands[index]}
+                disabled={isDisabled}
+                onChange={(e) => setBand(index, Number(e.target.value))}
+                aria-label={`${formatFrequency(frequency)}Hz`}
+                className={`h-28 w-1 [writing-mode:vertical-lr] [direction:rtl] ${rangeClassName}`}
+              />
+              <span>{formatFrequency(frequency)}</span>
+            </label>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-3 text-sm text-white/70">
+          Preamp
+          <input
+            type="range"
+            min={-MAX_EQ_GAIN}
+            max={MAX_EQ_GAIN}
+            step="0.5"
+            value={equalizer.preamp}
+            disabled={isDisabled}
+            onChange={(e) => updateEqualizer({ preamp: Number(e.target.value) })}
+            className={`flex-1 ${rangeClassName}`}
+          />
+          <span className="w-14 text-right font-mono text-xs">{formatGain(equalizer.preamp)}</span>
+        </label>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="text-xs font-semibold uppercase tracking-wider text-white/50">Parametric bands</h3>
+            <button
+              onClick={() => updateEqualizer({ parametric: [...equalizer.parametric, createParametricBand()] })}
+              disabled={isDisabled}
+              className={smallButtonClassName}
+            >
+              <Plus className="w-3 h-3" />
+              Add band
+            </button>
+          </div>
+          {equalizer.parametric.map(band => (
+            <ParametricBandRow
+              key={band.id}
+              band={band}
+              disabled={isDisabled}
+              onChange={(updates) => setParametricBand(band.id, updates)}
+              onRemove={() => updateEqualizer({
+                parametric: equalizer.parametric.filter(item => item.id !== band.id)
+              })}
+            />
+          ))}
+        </div>
+
+        {currentTrack && (
+          <div className="pt-4 border-t border-white/10 space-y-2">
+            <label className="flex flex-wrap items-center gap-2 text-sm text-white/70">
+              <span className="truncate max-w-[16rem]">
+                For &ldquo;{currentTrack.title || currentTrack.name}&rdquo;
+              </span>
+              <select
+                value={trackEqualizerPreset?.id ?? ''}
+                onChange={(e) => setTrackEqualizerPreset(currentTrack.id, e.target.value || null)}
+                className={selectClassName}
+              >
+                <option value="">Use the settings above</option>
+                {presetOptions}
+              </select>
+            </label>
+            {trackEqualizerPreset && (
+              <p className="text-xs text-pink-300/80">
+                This track always plays with {trackEqualizerPreset.name} (dashed curve).
+              </p>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default EqualizerSettings;
@@ -0,0 +1,34 @@
+import React from 'react';
+import useAudioImport from '../hooks/useAudioImport';
+import { AUDIO_FILE_ACCEPT } from '../utils/audio';
+import ImportProgressDialog from './ImportProgressDialog';
+
+// Picks audio files and imports them, listing any it could not take
+const FileImportButton = ({ playlistId, className, children }) => {
+  const { job, runImport, cancel, dismiss } = useAudioImport();
+
+  const handleFileChange = (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length > 0) runImport(() => files, { playlistId });
+  };
+
+  return (
+    <>
+      <label className={className}>
+        {children}
+        <input
+          type="file"
+          multiple
+          accept={AUDIO_FILE_ACCEPT}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </label>
+
+      <ImportProgressDialog job={job} onCancel={cancel} onDismiss={dismiss} />
+    </>
+  );
+};
+
+export default FileImportButton;
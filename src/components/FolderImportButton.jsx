@@ -0,0 +1,34 @@
+import React from 'react';
+import useAudioImport from '../hooks/useAudioImport';
+import { sortFolderFiles } from '../utils/fileScanner';
+import ImportProgressDialog from './ImportProgressDialog';
+
+// Picks a whole folder (subfolders included) and imports the audio in it
+const FolderImportButton = ({ playlistId, className, children }) => {
+  const { job, runImport, cancel, dismiss } = useAudioImport();
+
+  const handleFolderChange = (event) => {
+    const files = sortFolderFiles(event.target.files);
+    event.target.value = '';
+    if (files.length > 0) runImport(() => files, { playlistId });
+  };
+
+  return (
+    <>
+      <label className={className}>
+        {children}
+        <input
+          type="file"
+          webkitdirectory=""
+          multiple
+          onChange={handleFolderChange}
+          className="hidden"
+        />
+      </label>
+
+      <ImportProgressDialog job={job} onCancel={cancel} onDismiss={dismiss} />
+    </>
+  );
+};
+
+export default FolderImportButton;
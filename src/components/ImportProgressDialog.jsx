@@ -0,0 +1,120 @@
+import React from 'react';
+import { Loader2, CheckCircle2, AlertTriangle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Progress and outcome of a useAudioImport job
+const ImportProgressDialog = ({ job, onCancel, onDismiss }) => {
+  const isRunning = job && job.phase !== 'done';
+  const percent = job?.total > 0 ? Math.round((job.done / job.total) * 100) : 0;
+  const result = job?.result;
+  const problems = [
+    ...(job?.rejected ?? []),
+    ...(result?.errors ?? [])
+  ];
+
+  const getTitle = () => {
+    if (job?.phase === 'scanning') return 'Scanning folders…';
+    if (job?.phase === 'importing') return 'Importing music…';
+    if (job?.error) return 'Import failed';
+    return job?.cancelled ? 'Import stopped' : 'Import finished';
+  };
+
+  const getSummary = () => {
+    if (!result) return null;
+    return [
+      `${plural(result.added.length, 'track')} added`,
+      result.relinked.length > 0 && `${result.relinked.length} restored`,
+      result.duplicates.length > 0 && `${result.duplicates.length} already in your library`,
+      job.ignored > 0 && `${plural(job.ignored, 'other file')} skipped`
+    ].filter(Boolean).join(', ');
+  };
+
+  return (
+    <Dialog open={!!job} onOpenChange={(open) => !open && onDismiss()}>
+      <DialogContent
+        className="bg-slate-900/95 backdrop-blur-lg border-white/20 text-white"
+        // Keep the dialog up while the import runs
+        onInteractOutside={(e) => isRunning && e.preventDefault()}
+        onEscapeKeyDown={(e) => isRunning && e.preventDefault()}
+      >
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            {isRunning && <Loader2 className="w-5 h-5 animate-spin text-purple-300" />}
+            {job?.phase === 'done' && !job.error && <CheckCircle2 className="w-5 h-5 text-green-400" />}
+            {getTitle()}
+          </DialogTitle>
+          <DialogDescription className="text-white/60 truncate">
+            {job?.phase === 'importing' && `${job.done} of ${job.total}${job.fileName ? ` · ${job.fileName}` : ''}`}
+            {job?.phase === 'done' && (job.error || getSummary())}
+          </DialogDescription>
+        </DialogHeader>
+
+        {job?.phase !== 'scanning' && job?.total > 0 && (
+          <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-[width] duration-200"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        )}
+
+        {job?.playlists?.length > 0 && (
+          <ul className="space-y-1 text-sm text-white/70">
+            {job.playlists.map(playlist => (
+              <li key={playlist.playlistId} className="truncate">
+                New playlist from {playlist.fileName}: {plural(playlist.tracks.length, 'track')}
+                {playlist.unmatched.length > 0 && `, ${playlist.unmatched.length} not found in your library`}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {problems.length > 0 && (
+          <div className="space-y-1">
+            <p className="flex items-center gap-2 text-sm text-amber-300">
+              <AlertTriangle className="w-4 h-4" />
+              {plural(problems.length, 'file')} could not be imported
+            </p>
+            <ul className="max-h-40 overflow-y-auto space-y-1 text-xs text-white/60">
+              {problems.map(({ file, message }, index) => (
+                <li key={index} className="truncate" title={message}>
+                  {file.name}: {message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <DialogFooter>
+          {isRunning ? (
+            <button
+              onClick={onCancel}
+              disabled={job.phase === 'scanning'}
+              className="px-4 py-2 rounded-lg text-sm bg-white/10 hover:bg-white/20 disabled:opacity-50 transition-colors"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={onDismiss}
+              className="px-4 py-2 rounded-lg text-sm bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 transition-all"
+            >
+              Done
+            </button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportProgressDialog;
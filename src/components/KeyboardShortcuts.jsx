@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from 'react';
+import { Keyboard, Plus, RotateCcw, X } from 'lucide-react';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import { clearKeymap, loadKeymap, saveKeymap } from '../utils/storage';
+import {
+  SHORTCUTS,
+  SHORTCUT_GROUPS,
+  findShortcut,
+  getDefaultKeymap,
+  getKeyCombo,
+  getKeyLabels,
+  resolveKeymap
+} from '../utils/shortcuts';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const KeyCombo = ({ combo }) => (
+  <span className="inline-flex items-center gap-0.5">
+    {getKeyLabels(combo).map((label, index) => (
+      <kbd
+        key={index}
+        className="min-w-6 px-1.5 py-0.5 rounded border border-white/20 border-b-2 bg-white/10 text-center font-mono text-xs text-white"
+      >
+        {label}
+      </kbd>
+    ))}
+  </span>
+);
+
+// Global keyboard shortcuts, plus the overlay that lists them (press ?)
+// and lets them be remapped. Only a keymap the user has changed is saved.
+const KeyboardShortcuts = ({ className }) => {
+  const [keymap, setKeymap] = useState(() => resolveKeymap(loadKeymap()));
+  const [isOpen, setIsOpen] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  // Shortcut waiting for its new key
+  const [recordingId, setRecordingId] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useKeyboardShortcuts(keymap, { onShowShortcuts: () => setIsOpen(true), enabled: !isOpen });
+
+  const updateKeymap = (nextKeymap) => {
+    setKeymap(nextKeymap);
+    saveKeymap(nextKeymap);
+  };
+
+  const removeBinding = (shortcutId, combo) => {
+    updateKeymap({ ...keymap, [shortcutId]: keymap[shortcutId].filter(item => item !== combo) });
+  };
+
+  const resetKeymap = () => {
+    setKeymap(getDefaultKeymap());
+    clearKeymap();
+    setNotice(null);
+  };
+
+  // The next key pressed becomes a binding of the recording shortcut. It
+  // is caught before the dialog sees it, so Escape only cancels.
+  useEffect(() => {
+    if (!recordingId) return;
+
+    const handleKeyDown = (event) => {
+      const combo = getKeyCombo(event);
+      if (!combo) return;
+      event.preventDefault();
+      event.stopPropagation();
+      setRecordingId(null);
+      if (combo === 'Escape') return;
+
+      // A combo can only do one thing, so it leaves whatever had it before
+      const previousId = findShortcut(keymap, combo);
+      const nextKeymap = { ...keymap };
+      if (previousId) {
+        nextKeymap[previousId] = keymap[previousId].filter(item => item !== combo);
+      }
+      if (!nextKeymap[recordingId].includes(combo)) {
+        nextKeymap[recordingId] = [...nextKeymap[recordingId], combo];
+      }
+      updateKeymap(nextKeymap);
+
+      const previous = SHORTCUTS.find(({ id }) => id === previousId);
+      setNotice(previous && previousId !== recordingId
+        ? `${combo} no longer does "${previous.label}"`
+        : null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recordingId, keymap]);
+
+  const handleOpenChange = (open) => {
+    setIsOpen(open);
+    if (!open) {
+      setIsEditing(false);
+      setRecordingId(null);
+      setNotice(null);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        title="Keyboard shortcuts (?)"
+        aria-label="Keyboard shortcuts"
+        className={className}
+      >
+        <Keyboard className="w-5 h-5" />
+      </button>
+
+      <Dialog open={isOpen} onOpenChange={handleOpenChange}>
+        <DialogContent className="max-w-2xl bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+          <DialogHeader>
+            <DialogTitle>Keyboard shortcuts</DialogTitle>
+            <DialogDescription className="text-white/60">
+              {isEditing
+                ? 'Click + and press a key to add it to a shortcut. Esc cancels.'
+                : 'Shortcuts work anywhere except while typing in a text field.'}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="max-h-[60vh] overflow-y-auto pr-2 space-y-5">
+            {SHORTCUT_GROUPS.map(group => (
+              <section key={group}>
+                <h3 className="mb-2 text-xs font-semibold uppercase tracking-wider text-white/50">{group}</h3>
+                <ul className="space-y-1">
+                  {SHORTCUTS.filter(shortcut => shortcut.group === group).map(({ id, label }) => (
+                    <li key={id} className="flex items-center justify-between gap-4 px-2 py-1 rounded-lg hover:bg-white/5">
+                      <span className="text-sm text-white/80">{label}</span>
+                      <span className="flex flex-wrap items-center justify-end gap-2">
+                        {keymap[id].length === 0 && !isEditing && (
+                          <span className="text-xs text-white/40">Not set</span>
+                        )}
+                        {keymap[id].map(combo => (
+                          <span key={combo} className="inline-flex items-center gap-1">
+                            <KeyCombo combo={combo} />
+                            {isEditing && (
+                              <button
+                                onClick={() => removeBinding(id, combo)}
+                                aria-label={`Remove ${combo} from ${label}`}
+                                className="p-0.5 rounded text-white/40 hover:text-white hover:bg-white/10"
+                              >
+                                <X className="w-3 h-3" />
+                              </button>
+                            )}
+                          </span>
+                        ))}
+                        {isEditing && (
+                          <button
+                            onClick={() => setRecordingId(recordingId === id ? null : id)}
+                            aria-label={`Add a key to ${label}`}
+                            className={`flex items-center gap-1 px-2 py-0.5 rounded text-xs transition-colors ${
+                              recordingId === id
+                                ? 'bg-purple-500 text-white animate-pulse'
+                                : 'bg-white/10 text-white/60 hover:bg-white/20 hover:text-white'
+                            }`}
+                          >
+                            {recordingId === id ? 'Press a key…' : <Plus className="w-3 h-3" />}
+                          </button>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+
+          {notice && <p className="text-sm text-amber-300" aria-live="polite">{notice}</p>}
+
+          <DialogFooter className="gap-2">
+            {isEditing && (
+              <button
+                onClick={resetKeymap}
+                className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm bg-white/10 hover:bg-white/20 transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Reset to defaults
+              </button>
+            )}
+            <button
+              onClick={() => {
+                setIsEditing(!isEditing);
+                setRecordingId(null);
+                setNotice(null);
+              }}
+              className="px-4 py-2 rounded-lg text-sm bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 transition-all"
+            >
+              {isEditing ? 'Done' : 'Customize'}
+            </button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default KeyboardShortcuts;
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { Infinity as LoopIcon, Minus, Plus, Save, SlidersHorizontal, X } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { NUDGE_UNITS, formatLoopTime, getNudgeSeconds } from '../utils/loop';
+import { MIN_PLAYBACK_RATE } from '../utils/pitchShifter';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+
+const PRACTICE_STEPS = [0.02, 0.05, 0.1];
+
+const pointButtonClass = (isSet) => `px-2.5 py-1 rounded-md text-xs font-semibold transition-all duration-200 ${
+  isSet
+    ? 'bg-purple-500/20 text-purple-300 border border-purple-500/30'
+    : 'bg-white/10 text-white/70 hover:bg-white/20 hover:text-white border border-white/10'
+}`;
+
+const iconButtonClass = 'p-1 rounded-md text-white/60 hover:text-white hover:bg-white/10 disabled:opacity-40 disabled:hover:bg-transparent';
+
+const LoopPointRow = ({ label, time, onNudge, step }) => (
+  <div className="flex items-center justify-between gap-2">
+    <span className="text-xs text-white/70 w-4">{label}</span>
+    <button
+      onClick={() => onNudge(-step)}
+      disabled={time === null || !step}
+      aria-label={`Move ${label} earlier`}
+      className={iconButtonClass}
+    >
+      <Minus size={14} />
+    </button>
+    <span className="flex-1 text-center font-mono text-xs">{formatLoopTime(time)}</span>
+    <button
+      onClick={() => onNudge(step)}
+      disabled={time === null || !step}
+      aria-label={`Move ${label} later`}
+      className={iconButtonClass}
+    >
+      <Plus size={14} />
+    </button>
+  </div>
+);
+
+// A and B buttons under the progress bar, plus a panel to fine-tune the
+// points, keep named loops on the track and set up practice mode
+const LoopControls = () => {
+  const {
+    currentTrack,
+    trackLoop,
+    activeLoop,
+    practice,
+    setLoopPoint,
+    nudgeLoopPoint,
+    toggleLoop,
+    clearLoop,
+    saveLoop,
+    loadSavedLoop,
+    deleteSavedLoop,
+    updatePractice
+  } = usePlayerContext();
+  const [nudgeUnit, setNudgeUnit] = useState('ms10');
+  const [bpm, setBpm] = useState('');
+  const [loopName, setLoopName] = useState('');
+
+  if (!currentTrack) return null;
+
+  const start = trackLoop?.start ?? null;
+  const end = trackLoop?.end ?? null;
+  const isComplete = start !== null && end !== null;
+  // A tempo typed in here wins over the detected one
+  const detectedBpm = currentTrack.tempo?.bpm ?? null;
+  const tempo = parseFloat(bpm) || detectedBpm;
+  const nudgeStep = getNudgeSeconds(nudgeUnit, tempo);
+  const savedLoops = currentTrack.loops ?? [];
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (saveLoop(loopName)) setLoopName('');
+  };
+
+  return (
+    <div className="flex items-center justify-center gap-2 mb-4">
+      <button
+        onClick={() => setLoopPoint('start')}
+        title="Set loop start at the playhead (A)"
+        className={pointButtonClass(start !== null)}
+      >
+        A
+      </button>
+      <button
+        onClick={() => setLoopPoint('end')}
+        title="Set loop end at the playhead (B)"
+        className={pointButtonClass(end !== null)}
+      >
+        B
+      </button>
+      <button
+        onClick={toggleLoop}
+        disabled={!isComplete}
+        title={activeLoop ? 'Stop looping' : 'Loop between A and B'}
+        aria-pressed={!!activeLoop}
+        className={`p-1.5 rounded-md transition-all duration-200 disabled:opacity-40 ${
+          activeLoop ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/70 hover:bg-white/20 hover:text-white'
+        }`}
+      >
+        <LoopIcon size={16} />
+      </button>
+
+      <Popover>
+        <PopoverTrigger asChild>
+          <button
+            title="Loop settings"
+            className="p-1.5 rounded-md bg-white/10 text-white/70 hover:bg-white/20 hover:text-white transition-all duration-200"
+          >
+            <SlidersHorizontal size={16} />
+          </button>
+        </PopoverTrigger>
+
+        <PopoverContent className="w-72 bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-sm font-medium">A–B loop</span>
+            {trackLoop && (
+              <button onClick={clearLoop} className="text-xs text-white/60 hover:text-white">
+                Clear
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <LoopPointRow label="A" time={start} step={nudgeStep} onNudge={(seconds) => nudgeLoopPoint('start', seconds)} />
+            <LoopPointRow label="B" time={end} step={nudgeStep} onNudge={(seconds) => nudgeLoopPoint('end', seconds)} />
+          </div>
+
+          <div className="flex items-center gap-2 mt-3">
+            <label htmlFor="loop-nudge-unit" className="text-xs text-white/70">Nudge by</label>
+            <select
+              id="loop-nudge-unit"
+              value={nudgeUnit}
+              onChange={(e) => setNudgeUnit(e.target.value)}
+              className="flex-1 bg-slate-800 border border-white/20 rounded-md px-2 py-1 text-xs"
+            >
+              {NUDGE_UNITS.map(unit => (
+                <option key={unit.id} value={unit.id}>{unit.label}</option>
+              ))}
+            </select>
+            {nudgeUnit === 'beat' && (
+              <input
+                type="number"
+                min="20"
+                max="300"
+                value={bpm}
+                placeholder={detectedBpm ? String(Math.round(detectedBpm)) : 'BPM'}
+                onChange={(e) => setBpm(e.target.value)}
+                aria-label="Tempo in beats per minute"
+                className="w-16 bg-slate-800 border border-white/20 rounded-md px-2 py-1 text-xs"
+              />
+            )}
+          </div>
+
+          <div className="mt-4 pt-3 border-t border-white/10">
+            <span className="text-xs font-medium text-white/70">Saved loops</span>
+            {savedLoops.length === 0 ? (
+              <p className="text-xs text-white/40 mt-1">None for this track yet.</p>
+            ) : (
+              <ul className="mt-1 space-y-0.5 max-h-32 overflow-y-auto">
+                {savedLoops.map(loop => (
+                  <li key={loop.id} className="flex items-center gap-2 rounded-md hover:bg-white/5">
+                    <button
+                      onClick={() => loadSavedLoop(loop.id)}
+                      className="flex-1 flex items-center justify-between px-2 py-1 text-left text-xs"
+                    >
+                      <span className="truncate">{loop.name}</span>
+                      <span className="font-mono text-white/50">
+                        {formatLoopTime(loop.start)}–{formatLoopTime(loop.end)}
+                      </span>
+                    </button>
+                    <button
+                      onClick={() => deleteSavedLoop(loop.id)}
+                      aria-label={`Delete ${loop.name}`}
+                      className={iconButtonClass}
+                    >
+                      <X size={12} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleSave} className="flex gap-2 mt-2">
+              <input
+                value={loopName}
+                onChange={(e) => setLoopName(e.target.value)}
+                placeholder="Loop name"
+                aria-label="Loop name"
+                className="flex-1 min-w-0 bg-slate-800 border border-white/20 rounded-md px-2 py-1 text-xs"
+              />
+              <button
+                type="submit"
+                disabled={!isComplete}
+                className="flex items-center gap-1 px-2 py-1 rounded-md text-xs bg-white/10 hover:bg-white/20 disabled:opacity-40"
+              >
+                <Save size={12} />
+                Save
+              </button>
+            </form>
+          </div>
+
+          <div className="mt-4 pt-3 border-t border-white/10 space-y-2">
+            <label className="flex items-center gap-2 text-xs text-white/80">
+              <input
+                type="checkbox"
+                checked={practice.enabled}
+                onChange={(e) => updatePractice({ enabled: e.target.checked })}
+                className="accent-purple-500"
+              />
+              Practice mode: slow down every pass
+            </label>
+            <div className="flex items-center gap-2 text-xs text-white/70">
+              <select
+                value={practice.step}
+                disabled={!practice.enabled}
+                onChange={(e) => updatePractice({ step: parseFloat(e.target.value) })}
+                aria-label="Speed change per pass"
+                className="bg-slate-800 border border-white/20 rounded-md px-2 py-1 disabled:opacity-50"
+              >
+                {PRACTICE_STEPS.map(step => (
+                  <option key={step} value={step}>−{Math.round(step * 100)}% a pass</option>
+                ))}
+              </select>
+              <span>down to</span>
+              <input
+                type="number"
+                min={MIN_PLAYBACK_RATE}
+                max="1"
+                step="0.05"
+                value={practice.minRate}
+                disabled={!practice.enabled}
+                onChange={(e) => updatePractice({ minRate: parseFloat(e.target.value) })}
+                aria-label="Slowest speed"
+                className="w-16 bg-slate-800 border border-white/20 rounded-md px-2 py-1 disabled:opacity-50"
+              />
+              <span>x</span>
+            </div>
+          </div>
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+};
+
+export default LoopControls;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { AudioLines } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { MAX_PREAMP, NORMALIZATION_MODES, needsLoudnessMeasurement } from '../utils/loudness';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+
+// What normalisation is doing to the track that is playing
+const getTrackStatus = (track, normalization) => {
+  if (!track) return null;
+  if (!normalization) {
+    return needsLoudnessMeasurement(track) ? 'Measuring loudness…' : 'No loudness information';
+  }
+
+  const source = normalization.source === 'tags' ? 'from ReplayGain tags' : 'measured';
+  const limit = normalization.isLimited ? ', limited to prevent clipping' : '';
+  return `This track: ${formatGain(normalization.gain)} (${source}${limit})`;
+};
+
+const NormalizationSettings = () => {
+  const { currentTrack, normalization, trackNormalization, updateNormalization } = usePlayerContext();
+
+  const isEnabled = normalization.mode !== 'off';
+  const status = isEnabled ? getTrackStatus(currentTrack, trackNormalization) : null;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          title={isEnabled ? `Volume levelling: ${normalization.mode} gain` : 'Volume levelling off'}
+          className={`p-2 rounded-full transition-all duration-200 ${
+            isEnabled
+              ? 'bg-purple-500 text-white'
+              : 'bg-white/10 hover:bg-white/20 text-white/70 hover:text-white'
+          }`}
+        >
+          <AudioLines size={16} />
+        </motion.button>
+      </PopoverTrigger>
+
+      <PopoverContent className="w-72 bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+        <div className="mb-3">
+          <span className="text-sm font-medium">Volume levelling</span>
+          <p className="text-xs text-white/60 mt-1">
+            Plays every track at the same loudness, using ReplayGain tags or measuring the audio.
+          </p>
+        </div>
+
+        <div className="flex gap-2">
+          {NORMALIZATION_MODES.map((mode) => (
+            <button
+              key={mode.id}
+              onClick={() => updateNormalization({ mode: mode.id })}
+              className={`flex-1 px-2 py-1 rounded-md text-xs font-medium transition-all duration-200 ${
+                normalization.mode === mode.id
+                  ? 'bg-purple-500/20 text-purple-300 border border-purple-500/30'
+                  : 'bg-white/5 text-gray-400 hover:bg-white/10 hover:text-white border border-white/10'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between mt-4 mb-2">
+          <label htmlFor="normalization-preamp" className="text-xs text-white/70">Preamp</label>
+          <span className="text-xs text-white/70">{formatGain(normalization.preamp)}</span>
+        </div>
+        <input
+          id="normalization-preamp"
+          type="range"
+          min={-MAX_PREAMP}
+          max={MAX_PREAMP}
+          step="0.5"
+          value={normalization.preamp}
+          disabled={!isEnabled}
+          onChange={(e) => updateNormalization({ preamp: parseFloat(e.target.value) })}
+          className="w-full h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-purple-500 disabled:opacity-50"
+        />
+
+        <label className="flex items-center gap-2 mt-4 text-xs text-white/80">
+          <input
+            type="checkbox"
+            checked={normalization.preventClipping}
+            disabled={!isEnabled}
+            onChange={(e) => updateNormalization({ preventClipping: e.target.checked })}
+            className="accent-purple-500"
+          />
+          Prevent clipping
+        </label>
+
+        {status && <p className="text-xs text-white/50 mt-3">{status}</p>}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default NormalizationSettings;
@@ -0,0 +1,139 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Gauge } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import {
+  MAX_PITCH_SHIFT,
+  MAX_PLAYBACK_RATE,
+  MIN_PLAYBACK_RATE,
+  RATE_MODES
+} from '../utils/pitchShifter';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+
+const RATE_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+const formatRate = (rate) => `${Number(rate.toFixed(2))}x`;
+
+const formatPitch = (semitones) => {
+  if (semitones === 0) return 'Original';
+  const sign = semitones > 0 ? '+' : '−';
+  const count = Math.abs(semitones);
+  return `${sign}${count} semitone${count === 1 ? '' : 's'}`;
+};
+
+// Speed and pitch of the current track; both stay with the track
+const PlaybackSpeedSettings = () => {
+  const {
+    currentTrack,
+    playbackRate,
+    pitchShift,
+    rateMode,
+    setPlaybackRate,
+    setPitchShift,
+    setRateMode
+  } = usePlayerContext();
+
+  const isChanged = playbackRate !== 1 || pitchShift !== 0;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          title={`Speed ${formatRate(playbackRate)}, pitch ${formatPitch(pitchShift).toLowerCase()}`}
+          className={`flex items-center gap-1 px-2 py-2 rounded-full text-xs font-medium transition-all duration-200 ${
+            isChanged
+              ? 'bg-purple-500 text-white'
+              : 'bg-white/10 hover:bg-white/20 text-white/70 hover:text-white'
+          }`}
+        >
+          <Gauge size={16} />
+          {playbackRate !== 1 && <span>{formatRate(playbackRate)}</span>}
+        </motion.button>
+      </PopoverTrigger>
+
+      <PopoverContent className="w-72 bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+        {!currentTrack ? (
+          <p className="text-sm text-white/60">Play a track to change its speed and pitch.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between mb-3">
+              <label htmlFor="playback-rate" className="text-sm font-medium">Speed</label>
+              <span className="text-xs text-white/70">{formatRate(playbackRate)}</span>
+            </div>
+            <input
+              id="playback-rate"
+              type="range"
+              min={MIN_PLAYBACK_RATE}
+              max={MAX_PLAYBACK_RATE}
+              step="0.05"
+              value={playbackRate}
+              onChange={(e) => setPlaybackRate(parseFloat(e.target.value))}
+              className="w-full h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-purple-500"
+            />
+            <div className="flex gap-1 mt-3">
+              {RATE_PRESETS.map((rate) => (
+                <button
+                  key={rate}
+                  onClick={() => setPlaybackRate(rate)}
+                  className={`flex-1 px-1 py-1 rounded-md text-xs transition-all duration-200 ${
+                    playbackRate === rate
+                      ? 'bg-purple-500/20 text-purple-300 border border-purple-500/30'
+                      : 'bg-white/5 text-gray-400 hover:bg-white/10 hover:text-white border border-white/10'
+                  }`}
+                >
+                  {formatRate(rate)}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex gap-2 mt-4">
+              {RATE_MODES.map((mode) => (
+                <button
+                  key={mode.id}
+                  onClick={() => setRateMode(mode.id)}
+                  className={`flex-1 px-2 py-1 rounded-md text-xs font-medium transition-all duration-200 ${
+                    rateMode === mode.id
+                      ? 'bg-purple-500/20 text-purple-300 border border-purple-500/30'
+                      : 'bg-white/5 text-gray-400 hover:bg-white/10 hover:text-white border border-white/10'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between mt-5 mb-3">
+              <label htmlFor="pitch-shift" className="text-sm font-medium">Pitch</label>
+              <span className="text-xs text-white/70">{formatPitch(pitchShift)}</span>
+            </div>
+            <input
+              id="pitch-shift"
+              type="range"
+              min={-MAX_PITCH_SHIFT}
+              max={MAX_PITCH_SHIFT}
+              step="1"
+              value={pitchShift}
+              onChange={(e) => setPitchShift(parseInt(e.target.value, 10))}
+              className="w-full h-1 bg-white/20 rounded-lg appearance-none cursor-pointer accent-purple-500"
+            />
+
+            <button
+              onClick={() => {
+                setPlaybackRate(1);
+                setPitchShift(0);
+              }}
+              disabled={!isChanged}
+              className="w-full mt-4 px-2 py-1 rounded-md text-xs bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50"
+            >
+              Reset speed and pitch
+            </button>
+          </>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default PlaybackSpeedSettings;
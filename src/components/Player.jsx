@@ -1,10 +1,15 @@
 import React from 'react'
 import { motion } from 'framer-motion'
-import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Upload, Shuffle, Repeat } from 'lucide-react'
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Upload, FolderUp, Shuffle, Repeat } from 'lucide-react'
 import { usePlayerContext } from '../context/PlayerContext'
 import AudioVisualizer from './AudioVisualizer'
 import Playlist from './Playlist'
 import Controls from './Controls'
+import AlbumArt from './AlbumArt'
+import FolderImportButton from './FolderImportButton'
+import FileImportButton from './FileImportButton'
+import LoopControls from './LoopControls'
+import WaveformSeekBar from './WaveformSeekBar'
 
 const Player = () => {
   const {
@@ -13,41 +18,19 @@ const Player = () => {
     volume,
     currentTime,
     duration,
-    playlist,
-    playTrack,
-    pauseTrack,
     nextTrack,
     previousTrack,
     setVolume,
-    seekTo,
-    addTrack,
     isLoading,
     error,
     isMuted,
     toggleMute,
-    isShuffled,
+    shuffle,
     toggleShuffle,
-    repeatMode,
+    repeat,
     toggleRepeat
   } = usePlayerContext()
 
-  const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files)
-    files.forEach(file => {
-      if (file.type.startsWith('audio/')) {
-        const url = URL.createObjectURL(file)
-        addTrack({
-          id: Date.now() + Math.random(),
-          title: file.name.replace(/\.[^/.]+$/, ""),
-          artist: 'Unknown Artist',
-          url: url,
-          duration: 0
-        })
-      }
-    })
-    event.target.value = ''
-  }
-
   const formatTime = (time) => {
     if (!time || isNaN(time)) return '0:00'
     const minutes = Math.floor(time / 60)
@@ -55,18 +38,8 @@ const Player = () => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`
   }
 
-  const handleProgressClick = (event) => {
-    const progressBar = event.currentTarget
-    const rect = progressBar.getBoundingClientRect()
-    const clickX = event.clientX - rect.left
-    const width = rect.width
-    const percentage = clickX / width
-    const newTime = percentage * duration
-    seekTo(newTime)
-  }
-
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white">
+    <div className="min-h-screen text-white">
       <div className="container mx-auto px-4 py-8">
         {/* Header */}
         <motion.div
@@ -84,19 +57,16 @@ const Player = () => {
         <motion.div
           initial={{ opacity: 0, scale: 0.9 }}
           animate={{ opacity: 1, scale: 1 }}
-          className="mb-8 text-center"
+          className="mb-8 flex flex-wrap items-center justify-center gap-3"
         >
-          <label className="inline-flex items-center gap-2 bg-gradient-to-r from-pink-500 to-purple-600 hover:from-pink-600 hover:to-purple-700 px-6 py-3 rounded-lg cursor-pointer transition-all duration-200 hover:scale-105">
+          <FileImportButton className="inline-flex items-center gap-2 bg-gradient-to-r from-pink-500 to-purple-600 hover:from-pink-600 hover:to-purple-700 px-6 py-3 rounded-lg cursor-pointer transition-all duration-200 hover:scale-105">
             <Upload size={20} />
             Upload Music
-            <input
-              type="file"
-              multiple
-              accept="audio/*"
-              onChange={handleFileUpload}
-              className="hidden"
-            />
-          </label>
+          </FileImportButton>
+          <FolderImportButton className="inline-flex items-center gap-2 bg-white/10 hover:bg-white/20 border border-white/20 px-6 py-3 rounded-lg cursor-pointer transition-all duration-200 hover:scale-105">
+            <FolderUp size={20} />
+            Import Folder
+          </FolderImportButton>
         </motion.div>
 
         <div className="grid lg:grid-cols-3 gap-8">
@@ -111,16 +81,12 @@ const Player = () => {
               <div className="text-center mb-8">
                 {currentTrack ? (
                   <>
-                    <motion.div
-                      key={currentTrack.id}
-                      initial={{ opacity: 0, scale: 0.8 }}
-                      animate={{ opacity: 1, scale: 1 }}
-                      className="w-48 h-48 mx-auto mb-6 bg-gradient-to-br from-pink-400 to-purple-600 rounded-2xl flex items-center justify-center shadow-2xl"
-                    >
-                      <div className="text-6xl">🎵</div>
-                    </motion.div>
+                    <AlbumArt track={currentTrack} className="w-48 h-48 mx-auto mb-6" />
                     <h2 className="text-2xl font-bold mb-2">{currentTrack.title}</h2>
                     <p className="text-gray-300 text-lg">{currentTrack.artist}</p>
+                    {currentTrack.album && (
+                      <p className="text-gray-400 text-sm mt-1">{currentTrack.album}</p>
+                    )}
                   </>
                 ) : (
                   <div className="w-48 h-48 mx-auto mb-6 bg-gray-700 rounded-2xl flex items-center justify-center">
@@ -143,25 +109,15 @@ const Player = () => {
                   <span className="text-sm text-gray-300 min-w-[40px]">
                     {formatTime(currentTime)}
                   </span>
-                  <div 
-                    className="flex-1 h-2 bg-gray-700 rounded-full cursor-pointer relative group"
-                    onClick={handleProgressClick}
-                  >
-                    <div
-                      className="h-full bg-gradient-to-r from-pink-400 to-purple-500 rounded-full relative"
-                      style={{
-                        width: duration ? `${(currentTime / duration) * 100}%` : '0%'
-                      }}
-                    >
-                      <div className="absolute right-0 top-1/2 transform translate-x-1/2 -translate-y-1/2 w-4 h-4 bg-white rounded-full shadow-lg opacity-0 group-hover:opacity-100 transition-opacity" />
-                    </div>
-                  </div>
+                  <WaveformSeekBar />
                   <span className="text-sm text-gray-300 min-w-[40px]">
                     {formatTime(duration)}
                   </span>
                 </div>
               </div>
 
+              <LoopControls />
+
               {/* Controls */}
               <Controls />
 
@@ -171,7 +127,7 @@ const Player = () => {
                   <button
                     onClick={toggleShuffle}
                     className={`p-2 rounded-lg transition-all duration-200 ${
-                      isShuffled 
+                      shuffle 
                         ? 'bg-purple-500 text-white' 
                         : 'bg-white/10 hover:bg-white/20'
                     }`}
@@ -181,13 +137,13 @@ const Player = () => {
                   <button
                     onClick={toggleRepeat}
                     className={`p-2 rounded-lg transition-all duration-200 ${
-                      repeatMode !== 'none' 
+                      repeat !== 'none' 
                         ? 'bg-purple-500 text-white' 
                         : 'bg-white/10 hover:bg-white/20'
                     }`}
                   >
                     <Repeat size={18} />
-                    {repeatMode === 'one' && (
+                    {repeat === 'one' && (
                       <span className="absolute -top-1 -right-1 text-xs">1</span>
                     )}
                   </button>
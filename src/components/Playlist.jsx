@@ -1,37 +1,211 @@
-import React from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { Play, Pause, Trash2, Music, Upload, X } from 'lucide-react';
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { motion, AnimatePresence, Reorder, useDragControls } from 'framer-motion';
+import { Play, Pause, Trash2, Music, Upload, X, AlertTriangle, Pencil, ListPlus, Plus, ListStart, ListEnd, FolderUp, GripVertical, Search } from 'lucide-react';
 import { usePlayerContext } from '../context/PlayerContext';
+import { getStorageUsage } from '../utils/storage';
+import { LIBRARY_ID, getPlaylistName, resolvePlaylistTracks } from '../utils/playlists';
+import { MIN_TEMPO_CONFIDENCE, formatTempo } from '../utils/tempo';
+import {
+  ALL_KEYS,
+  MIN_KEY_CONFIDENCE,
+  formatCamelot,
+  formatKeyName,
+  getCamelotIndex,
+  getKeyCompatibility
+} from '../utils/key';
+import TagEditorDialog from './TagEditorDialog';
+import PlaylistFileMenu from './PlaylistFileMenu';
+import FolderImportButton from './FolderImportButton';
+import FileImportButton from './FileImportButton';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
 
-const Playlist = () => {
+const menuItemClassName = 'focus:bg-white/10 focus:text-white';
+
+// Menu for queueing the given tracks or adding them to any playlist
+const TrackActionsMenu = ({ trackIds, excludeId, children }) => {
+  const { library, playlists, addToPlaylist, createPlaylist, playNext, addToQueue } = usePlayerContext();
+  const targets = playlists.filter(playlist => playlist.id !== excludeId);
+
+  const addTo = (playlistId) => {
+    addToPlaylist(library.filter(track => trackIds.includes(track.id)), playlistId);
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild onClick={(e) => e.stopPropagation()}>
+        {children}
+      </DropdownMenuTrigger>
+      <DropdownMenuContent
+        align="end"
+        onClick={(e) => e.stopPropagation()}
+        className="bg-slate-900/95 backdrop-blur-lg border-white/20 text-white"
+      >
+        <DropdownMenuItem onSelect={() => playNext(trackIds)} className={menuItemClassName}>
+          <ListStart className="w-4 h-4" />
+          Play next
+        </DropdownMenuItem>
+        <DropdownMenuItem onSelect={() => addToQueue(trackIds)} className={menuItemClassName}>
+          <ListEnd className="w-4 h-4" />
+          Add to queue
+        </DropdownMenuItem>
+        <DropdownMenuSeparator className="bg-white/10" />
+        <DropdownMenuLabel className="text-white/60">Add to playlist</DropdownMenuLabel>
+        {targets.map(playlist => (
+          <DropdownMenuItem key={playlist.id} onSelect={() => addTo(playlist.id)} className={menuItemClassName}>
+            {playlist.name}
+          </DropdownMenuItem>
+        ))}
+        {targets.length > 0 && <DropdownMenuSeparator className="bg-white/10" />}
+        <DropdownMenuItem onSelect={() => createPlaylist('New playlist', trackIds)} className={menuItemClassName}>
+          <Plus className="w-4 h-4" />
+          New playlist
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+// A row that only starts dragging from its handle, so clicks anywhere else
+// still play and select. children receives the handle's pointerdown handler.
+const DraggableRow = ({ value, delay, className, onClick, onDragStart, onDragEnd, children }) => {
+  const dragControls = useDragControls();
+
+  return (
+    <Reorder.Item
+      value={value}
+      dragListener={false}
+      dragControls={dragControls}
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0, transition: { delay } }}
+      exit={{ opacity: 0, x: 20 }}
+      className={className}
+      onClick={onClick}
+    >
+      {children((event) => dragControls.start(event))}
+    </Reorder.Item>
+  );
+};
+
+const KEYBOARD_MOVES = { ArrowUp: -1, ArrowDown: 1 };
+
+// Rows fade in one after another, but only the first screenful or so;
+// further down a long library they would take a minute to appear
+const STAGGER_DELAY = 0.05; // seconds
+const MAX_STAGGERED_ROWS = 8;
+
+const matchesQuery = (track, query) => [track.title || track.name, track.artist, track.album]
+  .some(field => field?.toLowerCase().includes(query));
+
+// Ways to show a list other than in its own order; tracks without the
+// value sorted on come last either way
+const SORT_ORDERS = [
+  { id: 'list', label: 'List order' },
+  { id: 'tempo-asc', label: 'Slowest first', getValue: track => track.tempo?.bpm, direction: 1 },
+  { id: 'tempo-desc', label: 'Fastest first', getValue: track => track.tempo?.bpm, direction: -1 },
+  { id: 'key', label: 'By key', getValue: track => getCamelotIndex(track.key), direction: 1 }
+];
+
+const sortTracks = (tracks, orderId) => {
+  const order = SORT_ORDERS.find(({ id }) => id === orderId);
+  if (!order?.getValue) return tracks;
+
+  return [...tracks].sort((a, b) => {
+    const valueA = order.getValue(a);
+    const valueB = order.getValue(b);
+    if (valueA == null || valueB == null) return (valueA == null) - (valueB == null);
+    return (valueA - valueB) * order.direction;
+  });
+};
+
+// 'all', 'compatible' (mixes with the playing track) or a Camelot key
+const matchesKeyFilter = (track, filter, playingKey) => {
+  if (filter === 'all') return true;
+  if (filter === 'compatible') return getKeyCompatibility(playingKey, track.key) > 0;
+  return formatCamelot(track.key) === filter;
+};
+
+// Shows one list: a named playlist, the library, or by default whichever
+// list is currently playing.
+const Playlist = ({ playlistId }) => {
   const {
-    playlist,
+    library,
+    playlists,
+    activePlaylistId,
     currentTrack,
     isPlaying,
-    addToPlaylist,
     removeFromPlaylist,
+    reorderPlaylist,
+    moveTracks,
     playTrack,
-    togglePlayPause
+    togglePlay
   } = usePlayerContext();
 
-  const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files);
-    files.forEach(file => {
-      if (file.type.startsWith('audio/')) {
-        const url = URL.createObjectURL(file);
-        const track = {
-          id: Date.now() + Math.random(),
-          name: file.name.replace(/\.[^/.]+$/, ""),
-          artist: 'Unknown Artist',
-          duration: 0,
-          url: url,
-          file: file
-        };
-        addToPlaylist(track);
-      }
+  const listId = playlistId ?? activePlaylistId;
+  const isLibrary = listId === LIBRARY_ID;
+  const playlist = useMemo(
+    () => resolvePlaylistTracks(library, playlists, listId),
+    [library, playlists, listId]
+  );
+
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [editingIds, setEditingIds] = useState(null);
+  // Row ids in display order while a row is being dragged
+  const [dragOrder, setDragOrder] = useState(null);
+  const dragRef = useRef(null);
+  const [announcement, setAnnouncement] = useState('');
+  const instructionsId = useId();
+  const [query, setQuery] = useState('');
+  const searchQuery = query.trim().toLowerCase();
+  const [sortOrder, setSortOrder] = useState('list');
+  const [keyFilter, setKeyFilter] = useState('all');
+  const isFiltered = Boolean(searchQuery) || keyFilter !== 'all';
+  // Rows can only be moved while the whole list is shown in its own order
+  const canReorder = !isFiltered && sortOrder === 'list';
+
+  const tracksById = useMemo(
+    () => new Map(playlist.map(track => [track.id, track])),
+    [playlist]
+  );
+  const playingKey = currentTrack?.key;
+  const visibleTracks = useMemo(
+    () => sortTracks(
+      isFiltered
+        ? playlist.filter(track => (!searchQuery || matchesQuery(track, searchQuery)) &&
+          matchesKeyFilter(track, keyFilter, playingKey))
+        : playlist,
+      sortOrder
+    ),
+    [playlist, isFiltered, searchQuery, keyFilter, playingKey, sortOrder]
+  );
+  const displayedTracks = dragOrder
+    ? dragOrder.map(id => tracksById.get(id)).filter(Boolean)
+    : visibleTracks;
+
+  // Forget selected tracks once they leave the playlist
+  useEffect(() => {
+    setSelectedIds(ids => ids.filter(id => playlist.some(track => track.id === id)));
+  }, [playlist]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getStorageUsage().then(usage => {
+      if (!cancelled) setStorageUsage(usage);
     });
-    event.target.value = '';
-  };
+    return () => {
+      cancelled = true;
+    };
+  }, [playlist.length]);
 
   const formatTime = (seconds) => {
     if (!seconds || isNaN(seconds)) return '0:00';
@@ -40,11 +214,118 @@ const Playlist = () => {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
-  const handleTrackClick = (track) => {
-    if (currentTrack?.id === track.id) {
-      togglePlayPause();
+  // Ctrl/Cmd-click toggles a row, Shift-click selects a range; a plain click
+  // plays as before.
+  const handleSelect = (event, track, index) => {
+    // Ranges run down the rows as shown, searched and sorted
+    const anchor = selectionAnchor !== null ? displayedTracks.indexOf(playlist[selectionAnchor]) : -1;
+    if (event.shiftKey && anchor !== -1) {
+      const [start, end] = [anchor, displayedTracks.indexOf(track)].sort((a, b) => a - b);
+      setSelectedIds(displayedTracks.slice(start, end + 1).map(item => item.id));
+    } else {
+      setSelectedIds(ids => ids.includes(track.id)
+        ? ids.filter(id => id !== track.id)
+        : [...ids, track.id]);
+      setSelectionAnchor(index);
+    }
+  };
+
+  const editTags = (track) => {
+    // Editing a selected row edits the whole selection
+    setEditingIds(selectedIds.includes(track.id) ? selectedIds : [track.id]);
+  };
+
+  // Queue a selection in list order, not in the order it was clicked
+  const getActionTrackIds = (track) => (
+    !track || selectedIds.includes(track.id)
+      ? playlist.filter(item => selectedIds.includes(item.id)).map(item => item.id)
+      : [track.id]
+  );
+
+  // The rows a drag or keyboard move acts on: the whole selection when the
+  // row is part of it
+  const getMovingIds = (track) => (
+    selectedIds.includes(track.id) ? getActionTrackIds(track) : [track.id]
+  );
+
+  const announceMove = (track, movingIds, position) => {
+    const what = movingIds.length > 1 ? `${movingIds.length} tracks` : (track.title || track.name);
+    setAnnouncement(`Moved ${what} to position ${position + 1} of ${playlist.length}`);
+  };
+
+  // Move rows so the block starts at `index` among the other rows
+  const commitMove = (track, movingIds, index) => {
+    const from = playlist.findIndex(item => item.id === movingIds[0]);
+    if (movingIds.length === 1) {
+      if (from === index) return;
+      reorderPlaylist(from, index, listId);
+    } else {
+      moveTracks(movingIds, index, listId);
+    }
+    announceMove(track, movingIds, index);
+  };
+
+  // The other selected rows fold into the dragged one until it is dropped
+  const handleDragStart = (track) => {
+    const movingIds = getMovingIds(track);
+    const order = playlist
+      .map(item => item.id)
+      .filter(id => id === track.id || !movingIds.includes(id));
+    dragRef.current = { track, movingIds, order };
+    setDragOrder(order);
+  };
+
+  const handleReorder = (order) => {
+    if (!dragRef.current) return;
+    dragRef.current.order = order;
+    setDragOrder(order);
+  };
+
+  const handleDragEnd = () => {
+    if (!dragRef.current) return;
+    const { track, movingIds, order } = dragRef.current;
+    dragRef.current = null;
+    setDragOrder(null);
+    commitMove(track, movingIds, order.indexOf(track.id));
+  };
+
+  // Arrow keys on a drag handle move the row (or selection) one place,
+  // Home and End to either end of the list
+  const handleHandleKeyDown = (event, track) => {
+    const movingIds = getMovingIds(track);
+    const staying = playlist.length - movingIds.length;
+    const current = playlist.findIndex(item => item.id === movingIds[0]);
+
+    let index;
+    if (event.key in KEYBOARD_MOVES) index = current + KEYBOARD_MOVES[event.key];
+    else if (event.key === 'Home') index = 0;
+    else if (event.key === 'End') index = staying;
+    else return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    index = Math.max(0, Math.min(staying, index));
+    if (index === current && movingIds.length === 1) return;
+
+    commitMove(track, movingIds, index);
+    const handle = event.currentTarget;
+    requestAnimationFrame(() => handle.scrollIntoView({ block: 'nearest' }));
+  };
+
+  const editingTracks = editingIds
+    ? playlist.filter(track => editingIds.includes(track.id))
+    : [];
+
+  const handleTrackClick = (event, track, index) => {
+    if (event.ctrlKey || event.metaKey || event.shiftKey) {
+      handleSelect(event, track, index);
+      return;
+    }
+
+    if (currentTrack?.id === track.id && activePlaylistId === listId) {
+      togglePlay();
     } else {
-      playTrack(track);
+      playTrack(track, index, listId);
     }
   };
 
@@ -53,22 +334,103 @@ const Playlist = () => {
       <div className="flex items-center justify-between mb-6">
         <h2 className="text-2xl font-bold text-white flex items-center gap-2">
           <Music className="w-6 h-6" />
-          Playlist
+          {getPlaylistName(playlists, listId)}
         </h2>
         
-        <label className="cursor-pointer bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-all duration-200 hover:scale-105">
-          <Upload className="w-4 h-4" />
-          Upload
-          <input
-            type="file"
-            multiple
-            accept="audio/*"
-            onChange={handleFileUpload}
-            className="hidden"
-          />
-        </label>
+        <div className="flex items-center gap-2">
+          <PlaylistFileMenu listId={listId} tracks={playlist} />
+
+          <FolderImportButton
+            playlistId={listId}
+            className="cursor-pointer bg-white/10 hover:bg-white/20 text-white p-2.5 rounded-lg transition-colors"
+          >
+            <FolderUp className="w-4 h-4" aria-label="Import folder" />
+          </FolderImportButton>
+
+          <FileImportButton
+            playlistId={listId}
+            className="cursor-pointer bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-all duration-200 hover:scale-105"
+          >
+            <Upload className="w-4 h-4" />
+            Upload
+          </FileImportButton>
+        </div>
       </div>
 
+      {playlist.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          <div className="relative flex-1 min-w-[12rem]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-white/40 pointer-events-none" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') {
+                  setQuery('');
+                  e.currentTarget.blur();
+                }
+              }}
+              placeholder="Search by title, artist or album"
+              aria-label="Search tracks"
+              data-search-input=""
+              className="w-full pl-9 pr-3 py-2 rounded-lg bg-white/5 border border-white/10 text-sm text-white placeholder:text-white/40 focus:outline-none focus:border-purple-400/60"
+            />
+          </div>
+          <select
+            value={sortOrder}
+            onChange={(e) => setSortOrder(e.target.value)}
+            aria-label="Sort tracks"
+            className="bg-slate-800 border border-white/10 rounded-lg px-2 py-2 text-sm text-white/80 focus:outline-none focus:border-purple-400/60"
+          >
+            {SORT_ORDERS.map(order => (
+              <option key={order.id} value={order.id}>{order.label}</option>
+            ))}
+          </select>
+          <select
+            value={keyFilter}
+            onChange={(e) => setKeyFilter(e.target.value)}
+            aria-label="Filter by key"
+            className="bg-slate-800 border border-white/10 rounded-lg px-2 py-2 text-sm text-white/80 focus:outline-none focus:border-purple-400/60"
+          >
+            <option value="all">Any key</option>
+            <option value="compatible" disabled={!formatCamelot(playingKey)}>Mixes with playing track</option>
+            {ALL_KEYS.map(key => (
+              <option key={formatCamelot(key)} value={formatCamelot(key)}>
+                {formatCamelot(key)} · {formatKeyName(key)}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {selectedIds.length > 0 && (
+        <div className="flex items-center justify-between mb-4 px-4 py-2 rounded-lg bg-purple-500/10 border border-purple-500/20 text-sm text-white/80">
+          <span>{selectedIds.length} selected</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setEditingIds(selectedIds)}
+              className="flex items-center gap-1 px-3 py-1 rounded-md bg-white/10 hover:bg-white/20 transition-colors"
+            >
+              <Pencil className="w-3 h-3" />
+              Edit tags
+            </button>
+            <TrackActionsMenu trackIds={getActionTrackIds()} excludeId={listId}>
+              <button className="flex items-center gap-1 px-3 py-1 rounded-md bg-white/10 hover:bg-white/20 transition-colors">
+                <ListPlus className="w-3 h-3" />
+                Queue or add
+              </button>
+            </TrackActionsMenu>
+            <button
+              onClick={() => setSelectedIds([])}
+              className="px-3 py-1 rounded-md text-white/60 hover:text-white hover:bg-white/10 transition-colors"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+
       {playlist.length === 0 ? (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -77,74 +439,181 @@ const Playlist = () => {
         >
           <Music className="w-16 h-16 mx-auto text-white/30 mb-4" />
           <p className="text-white/60 text-lg mb-2">No tracks in playlist</p>
-          <p className="text-white/40 text-sm">Upload some audio files to get started</p>
+          <p className="text-white/40 text-sm">
+            {isLibrary
+              ? 'Upload some audio files to get started'
+              : 'Upload files here or add tracks from your library'}
+          </p>
         </motion.div>
+      ) : displayedTracks.length === 0 ? (
+        <p className="text-center py-8 text-white/50">
+          {searchQuery ? <>No tracks match &ldquo;{query.trim()}&rdquo;</> : 'No tracks in that key'}
+        </p>
       ) : (
-        <div className="space-y-2 max-h-96 overflow-y-auto scrollbar-thin scrollbar-thumb-white/20 scrollbar-track-transparent">
-          <AnimatePresence>
-            {playlist.map((track, index) => (
-              <motion.div
-                key={track.id}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: 20 }}
-                transition={{ delay: index * 0.05 }}
-                className={`group flex items-center gap-4 p-4 rounded-xl transition-all duration-200 cursor-pointer ${
-                  currentTrack?.id === track.id
-                    ? 'bg-gradient-to-r from-purple-500/20 to-pink-500/20 border border-purple-400/30'
-                    : 'bg-white/5 hover:bg-white/10 border border-transparent'
-                }`}
-                onClick={() => handleTrackClick(track)}
-              >
-                <div className="flex-shrink-0">
-                  <motion.button
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.9 }}
-                    className={`w-10 h-10 rounded-full flex items-center justify-center transition-all duration-200 ${
-                      currentTrack?.id === track.id && isPlaying
-                        ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
-                        : 'bg-white/10 text-white/70 group-hover:bg-white/20 group-hover:text-white'
-                    }`}
+        // Reorder (framer-motion 12.25 and later) scrolls this container
+        // itself when a row is dragged near its top or bottom edge
+        <div className="max-h-96 overflow-y-auto scrollbar-thin scrollbar-thumb-white/20 scrollbar-track-transparent">
+          <p id={instructionsId} className="sr-only">
+            Drag to reorder, or use the arrow keys, Home and End to move the track. Selected tracks move together.
+          </p>
+          <Reorder.Group axis="y" values={displayedTracks.map(track => track.id)} onReorder={handleReorder} className="space-y-2">
+            <AnimatePresence>
+              {displayedTracks.map((track, position) => {
+                const index = playlist.indexOf(track);
+                const groupSize = dragOrder && dragRef.current?.track.id === track.id
+                  ? dragRef.current.movingIds.length
+                  : 0;
+
+                return (
+                  <DraggableRow
+                    key={track.id}
+                    value={track.id}
+                    delay={Math.min(position, MAX_STAGGERED_ROWS) * STAGGER_DELAY}
+                    onDragStart={() => handleDragStart(track)}
+                    onDragEnd={handleDragEnd}
+                    className={`relative group flex items-center gap-4 p-4 rounded-xl transition-colors duration-200 cursor-pointer select-none ${
+                      currentTrack?.id === track.id
+                        ? 'bg-gradient-to-r from-purple-500/20 to-pink-500/20 border border-purple-400/30'
+                        : 'bg-white/5 hover:bg-white/10 border border-transparent'
+                    } ${selectedIds.includes(track.id) ? 'ring-2 ring-purple-400/60' : ''}`}
+                    onClick={(e) => handleTrackClick(e, track, index)}
                   >
-                    {currentTrack?.id === track.id && isPlaying ? (
-                      <Pause className="w-4 h-4" />
-                    ) : (
-                      <Play className="w-4 h-4 ml-0.5" />
-                    )}
-                  </motion.button>
-                </div>
-
-                <div className="flex-1 min-w-0">
-                  <h3 className={`font-medium truncate ${
-                    currentTrack?.id === track.id ? 'text-white' : 'text-white/90'
-                  }`}>
-                    {track.name}
-                  </h3>
-                  <p className="text-sm text-white/60 truncate">
-                    {track.artist}
-                  </p>
-                </div>
-
-                <div className="flex items-center gap-3">
-                  <span className="text-sm text-white/60 font-mono">
-                    {formatTime(track.duration)}
-                  </span>
+                    {(startDrag) => (
+                      <>
+                        {canReorder && (
+                          <button
+                            onPointerDown={(e) => {
+                              e.preventDefault();
+                              startDrag(e);
+                            }}
+                            onClick={(e) => e.stopPropagation()}
+                            onKeyDown={(e) => handleHandleKeyDown(e, track)}
+                            aria-label={`Move ${track.title || track.name}`}
+                            aria-describedby={instructionsId}
+                            className="-ml-2 -mr-2 p-1 rounded touch-none cursor-grab active:cursor-grabbing text-white/30 hover:text-white/70 focus-visible:text-white focus-visible:outline focus-visible:outline-2 focus-visible:outline-purple-400"
+                          >
+                            <GripVertical className="w-4 h-4" />
+                          </button>
+                        )}
+
+                        {groupSize > 1 && (
+                          <span className="absolute -top-2 -right-2 px-2 py-0.5 rounded-full bg-purple-500 text-xs font-bold text-white shadow-lg">
+                            {groupSize}
+                          </span>
+                        )}
+
+                        <div className="flex-shrink-0">
+                          <motion.button
+                            whileHover={{ scale: 1.1 }}
+                            whileTap={{ scale: 0.9 }}
+                            className={`w-10 h-10 rounded-full flex items-center justify-center transition-all duration-200 ${
+                              currentTrack?.id === track.id && isPlaying
+                                ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
+                                : 'bg-white/10 text-white/70 group-hover:bg-white/20 group-hover:text-white'
+                            }`}
+                          >
+                            {currentTrack?.id === track.id && isPlaying ? (
+                              <Pause className="w-4 h-4" />
+                            ) : (
+                              <Play className="w-4 h-4 ml-0.5" />
+                            )}
+                          </motion.button>
+                        </div>
+
+                        <div className="flex-1 min-w-0">
+                          <h3 className={`font-medium truncate ${
+                            currentTrack?.id === track.id ? 'text-white' : 'text-white/90'
+                          } ${track.isMissing ? 'opacity-50' : ''}`}>
+                            {track.title || track.name}
+                          </h3>
+                          <p className="text-sm text-white/60 truncate">
+                            {track.isMissing ? (
+                              <span
+                                className="inline-flex items-center gap-1 text-amber-300/80"
+                                title="The browser cleared this file from storage. Upload it again to restore it."
+                              >
+                                <AlertTriangle className="w-3 h-3" />
+                                File missing
+                              </span>
+                            ) : (
+                              <>
+                                {track.artist}
+                                {track.album && <span className="text-white/40"> · {track.album}</span>}
+                              </>
+                            )}
+                          </p>
+                        </div>
+
+                        <div className="flex items-center gap-3">
+                          {formatCamelot(track.key) && (
+                            <span
+                              className={`hidden sm:inline text-xs font-mono whitespace-nowrap ${
+                                track.key.confidence < MIN_KEY_CONFIDENCE ? 'text-white/30' : 'text-white/50'
+                              }`}
+                              title={`Key ${formatKeyName(track.key)}, ${Math.round(track.key.confidence * 100)}% confidence`}
+                            >
+                              {formatCamelot(track.key)} <span className="text-white/40">{formatKeyName(track.key)}</span>
+                            </span>
+                          )}
+                          {track.tempo?.bpm && (
+                            <span
+                              className={`hidden sm:inline text-xs font-mono whitespace-nowrap ${
+                                track.tempo.confidence < MIN_TEMPO_CONFIDENCE ? 'text-white/30' : 'text-white/50'
+                              }`}
+                              title={`Tempo, ${Math.round(track.tempo.confidence * 100)}% confidence`}
+                            >
+                              {formatTempo(track.tempo)}
+                            </span>
+                          )}
+                          <span className="text-sm text-white/60 font-mono">
+                            {formatTime(track.duration)}
+                          </span>
                   
-                  <motion.button
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.9 }}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      removeFromPlaylist(track.id);
-                    }}
-                    className="w-8 h-8 rounded-full bg-red-500/20 hover:bg-red-500/30 text-red-400 hover:text-red-300 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-all duration-200"
-                  >
-                    <X className="w-4 h-4" />
-                  </motion.button>
-                </div>
-              </motion.div>
-            ))}
-          </AnimatePresence>
+                          <motion.button
+                            whileHover={{ scale: 1.1 }}
+                            whileTap={{ scale: 0.9 }}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              editTags(track);
+                            }}
+                            title="Edit tags"
+                            className="w-8 h-8 rounded-full bg-white/10 hover:bg-white/20 text-white/70 hover:text-white flex items-center justify-center opacity-0 group-hover:opacity-100 transition-all duration-200"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </motion.button>
+
+                          <TrackActionsMenu trackIds={getActionTrackIds(track)} excludeId={listId}>
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              title="Queue or add to playlist"
+                              className="w-8 h-8 rounded-full bg-white/10 hover:bg-white/20 text-white/70 hover:text-white flex items-center justify-center opacity-0 group-hover:opacity-100 data-[state=open]:opacity-100 transition-all duration-200"
+                            >
+                              <ListPlus className="w-4 h-4" />
+                            </motion.button>
+                          </TrackActionsMenu>
+
+                          <motion.button
+                            whileHover={{ scale: 1.1 }}
+                            whileTap={{ scale: 0.9 }}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              removeFromPlaylist(index, listId);
+                            }}
+                            title={isLibrary ? 'Delete from library' : 'Remove from playlist'}
+                            className="w-8 h-8 rounded-full bg-red-500/20 hover:bg-red-500/30 text-red-400 hover:text-red-300 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-all duration-200"
+                          >
+                            <X className="w-4 h-4" />
+                          </motion.button>
+                        </div>
+                      </>
+                    )}
+                  </DraggableRow>
+                );
+              })}
+            </AnimatePresence>
+          </Reorder.Group>
+          <div aria-live="polite" className="sr-only">{announcement}</div>
         </div>
       )}
 
@@ -156,13 +625,31 @@ const Playlist = () => {
           className="mt-6 pt-4 border-t border-white/10"
         >
           <div className="flex items-center justify-between text-sm text-white/60">
-            <span>{playlist.length} track{playlist.length !== 1 ? 's' : ''}</span>
+            <span>
+              {isFiltered && `${displayedTracks.length} of `}
+              {playlist.length} track{playlist.length !== 1 ? 's' : ''}
+            </span>
             <span>
               Total: {formatTime(playlist.reduce((total, track) => total + (track.duration || 0), 0))}
             </span>
           </div>
+          {storageUsage && (
+            <div className="mt-2 text-xs text-white/40">
+              {storageUsage.formatted} stored
+              {storageUsage.formattedQuota && ` of ${storageUsage.formattedQuota} available`}
+              {!storageUsage.persisted && ' · may be cleared by the browser when space runs low'}
+            </div>
+          )}
         </motion.div>
       )}
+
+      <TagEditorDialog
+        tracks={editingTracks}
+        open={editingTracks.length > 0}
+        onOpenChange={(open) => {
+          if (!open) setEditingIds(null);
+        }}
+      />
     </div>
   );
 };
@@ -0,0 +1,154 @@
+import React, { useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FileText, FileDown, FileUp, ListPlus } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { getPlaylistName, LIBRARY_ID } from '../utils/playlists';
+import {
+  PLAYLIST_FORMATS,
+  PLAYLIST_FILE_ACCEPT,
+  createPlaylistFile,
+  describePlaylistEntry
+} from '../utils/playlistFormats';
+import { downloadBlob } from '../utils/download';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+const menuItemClassName = 'focus:bg-white/10 focus:text-white';
+const panelClassName = 'bg-slate-900/95 backdrop-blur-lg border-white/20 text-white';
+
+// Import and export of M3U/M3U8, PLS and XSPF files for one list
+const PlaylistFileMenu = ({ listId, tracks }) => {
+  const { playlists, importPlaylistFile } = usePlayerContext();
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  // Whether the chosen file is merged into this list or becomes a new one
+  const importTargetRef = useRef(null);
+  const [result, setResult] = useState(null);
+
+  const listName = getPlaylistName(playlists, listId);
+  const canImportInto = listId !== LIBRARY_ID;
+  const entryCount = result?.tracks ? result.tracks.length + result.unmatched.length : 0;
+
+  const chooseFile = (target) => {
+    importTargetRef.current = target;
+    inputRef.current?.click();
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await importPlaylistFile(file, importTargetRef.current ?? undefined);
+      if (!importTargetRef.current) navigate(`/playlist/${imported.playlistId}`);
+      if (imported.unmatched.length > 0) {
+        setResult({ ...imported, fileName: file.name });
+      }
+    } catch (error) {
+      console.error(`Error importing ${file.name}:`, error);
+      setResult({ fileName: file.name, error: error.message });
+    }
+  };
+
+  const handleExport = (formatId) => {
+    const { blob, fileName } = createPlaylistFile(tracks, listName, formatId);
+    downloadBlob(blob, fileName);
+  };
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <button
+            title="Import or export a playlist file"
+            className="bg-white/10 hover:bg-white/20 text-white px-3 py-2 rounded-lg flex items-center gap-2 transition-colors"
+          >
+            <FileText className="w-4 h-4" />
+            Playlist file
+          </button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className={panelClassName}>
+          <DropdownMenuLabel className="text-white/60">Import</DropdownMenuLabel>
+          <DropdownMenuItem onSelect={() => chooseFile(null)} className={menuItemClassName}>
+            <FileUp className="w-4 h-4" />
+            As a new playlist…
+          </DropdownMenuItem>
+          {canImportInto && (
+            <DropdownMenuItem onSelect={() => chooseFile(listId)} className={menuItemClassName}>
+              <ListPlus className="w-4 h-4" />
+              Into {listName}…
+            </DropdownMenuItem>
+          )}
+          <DropdownMenuSeparator className="bg-white/10" />
+          <DropdownMenuLabel className="text-white/60">Export</DropdownMenuLabel>
+          {Object.entries(PLAYLIST_FORMATS).map(([formatId, format]) => (
+            <DropdownMenuItem
+              key={formatId}
+              disabled={tracks.length === 0}
+              onSelect={() => handleExport(formatId)}
+              className={menuItemClassName}
+            >
+              <FileDown className="w-4 h-4" />
+              {format.label}
+            </DropdownMenuItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={PLAYLIST_FILE_ACCEPT}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+
+      <Dialog open={!!result} onOpenChange={(open) => !open && setResult(null)}>
+        <DialogContent className={panelClassName}>
+          <DialogHeader>
+            <DialogTitle>{result?.error ? 'Import failed' : 'Some entries were not found'}</DialogTitle>
+            <DialogDescription className="text-white/60">
+              {result?.error
+                ? `${result.fileName}: ${result.error}`
+                : result && `${result.tracks.length} of ${entryCount} entries from ${result.fileName} matched tracks in your library. Upload the missing files and import the playlist again to include them.`}
+            </DialogDescription>
+          </DialogHeader>
+
+          {result?.unmatched && (
+            <ul className="max-h-60 overflow-y-auto space-y-1 text-sm text-white/70">
+              {result.unmatched.map((entry, index) => (
+                <li key={index} className="truncate">{describePlaylistEntry(entry)}</li>
+              ))}
+            </ul>
+          )}
+
+          <DialogFooter>
+            <button
+              onClick={() => setResult(null)}
+              className="px-4 py-2 rounded-lg text-sm bg-white/10 hover:bg-white/20 transition-colors"
+            >
+              OK
+            </button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default PlaylistFileMenu;
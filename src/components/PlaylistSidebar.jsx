@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { NavLink, useNavigate, useMatch } from 'react-router-dom';
+import { Library, ListMusic, Plus, MoreHorizontal, Pencil, Copy, Trash2, Volume2, Home } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { LIBRARY_ID } from '../utils/playlists';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupAction,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem
+} from './ui/sidebar';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from './ui/alert-dialog';
+
+const itemClassName = 'text-white/80 hover:bg-white/10 hover:text-white data-[active=true]:bg-purple-500/20 data-[active=true]:text-white';
+const menuClassName = 'bg-slate-900/95 backdrop-blur-lg border-white/20 text-white';
+
+const PlaylistSidebar = () => {
+  const {
+    library,
+    playlists,
+    activePlaylistId,
+    isPlaying,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist
+  } = usePlayerContext();
+
+  const navigate = useNavigate();
+  const isHome = !!useMatch('/');
+  const isLibrary = !!useMatch('/playlist');
+  const viewedId = useMatch('/playlist/:id')?.params.id;
+
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [deletingId, setDeletingId] = useState(null);
+  const deletingPlaylist = playlists.find(playlist => playlist.id === deletingId);
+
+  const handleCreate = () => {
+    const id = createPlaylist();
+    navigate(`/playlist/${id}`);
+    setRenamingId(id);
+    setRenameValue('');
+  };
+
+  const startRename = (playlist) => {
+    setRenamingId(playlist.id);
+    setRenameValue(playlist.name);
+  };
+
+  const commitRename = () => {
+    if (renamingId && renameValue.trim()) {
+      renamePlaylist(renamingId, renameValue);
+    }
+    setRenamingId(null);
+  };
+
+  const handleDuplicate = (playlist) => {
+    const id = duplicatePlaylist(playlist.id);
+    if (id) navigate(`/playlist/${id}`);
+  };
+
+  const handleDelete = () => {
+    if (viewedId === deletingId) navigate('/playlist');
+    deletePlaylist(deletingId);
+    setDeletingId(null);
+  };
+
+  const playingIcon = (playlistId) => (
+    activePlaylistId === playlistId && isPlaying
+      ? <Volume2 className="ml-auto text-purple-300" />
+      : null
+  );
+
+  return (
+    <>
+      <Sidebar className="bg-slate-950/60 backdrop-blur-lg border-white/10 text-white">
+        <SidebarHeader className="px-4 pt-6">
+          <span className="text-lg font-bold bg-gradient-to-r from-pink-400 to-purple-400 bg-clip-text text-transparent">
+            Music Player
+          </span>
+        </SidebarHeader>
+
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                <SidebarMenuItem>
+                  <SidebarMenuButton asChild isActive={isHome} className={itemClassName}>
+                    <NavLink to="/" end>
+                      <Home />
+                      <span>Now playing</span>
+                    </NavLink>
+                  </SidebarMenuButton>
+                </SidebarMenuItem>
+                <SidebarMenuItem>
+                  <SidebarMenuButton asChild isActive={isLibrary} className={itemClassName}>
+                    <NavLink to="/playlist" end>
+                      <Library />
+                      <span>Library</span>
+                      {playingIcon(LIBRARY_ID)}
+                    </NavLink>
+                  </SidebarMenuButton>
+                  <SidebarMenuBadge className="text-white/50">{library.length}</SidebarMenuBadge>
+                </SidebarMenuItem>
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+
+          <SidebarGroup>
+            <SidebarGroupLabel className="text-white/50">Playlists</SidebarGroupLabel>
+            <SidebarGroupAction
+              title="New playlist"
+              onClick={handleCreate}
+              className="text-white/70 hover:bg-white/10 hover:text-white"
+            >
+              <Plus />
+              <span className="sr-only">New playlist</span>
+            </SidebarGroupAction>
+
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {playlists.length === 0 && (
+                  <p className="px-2 py-1 text-xs text-white/40">No playlists yet</p>
+                )}
+
+                {playlists.map(playlist => (
+                  <SidebarMenuItem key={playlist.id}>
+                    {renamingId === playlist.id ? (
+                      <input
+                        autoFocus
+                        value={renameValue}
+                        placeholder={playlist.name}
+                        onChange={(e) => setRenameValue(e.target.value)}
+                        onBlur={commitRename}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') commitRename();
+                          if (e.key === 'Escape') setRenamingId(null);
+                        }}
+                        className="w-full h-8 px-2 rounded-md bg-white/10 border border-purple-400/50 text-sm text-white outline-none"
+                      />
+                    ) : (
+                      <>
+                        <SidebarMenuButton asChild isActive={viewedId === playlist.id} className={itemClassName}>
+                          <NavLink to={`/playlist/${playlist.id}`}>
+                            <ListMusic />
+                            <span>{playlist.name}</span>
+                            {playingIcon(playlist.id)}
+                          </NavLink>
+                        </SidebarMenuButton>
+
+                        <DropdownMenu>
+                          <DropdownMenuTrigger asChild>
+                            <SidebarMenuAction showOnHover className="text-white/70 hover:bg-white/10 hover:text-white">
+                              <MoreHorizontal />
+                              <span className="sr-only">Playlist actions</span>
+                            </SidebarMenuAction>
+                          </DropdownMenuTrigger>
+                          <DropdownMenuContent
+                            side="right"
+                            align="start"
+                            className={menuClassName}
+                            // Leave focus on the rename field instead of the menu trigger
+                            onCloseAutoFocus={(e) => e.preventDefault()}
+                          >
+                            <DropdownMenuItem onSelect={() => startRename(playlist)} className="focus:bg-white/10 focus:text-white">
+                              <Pencil className="w-4 h-4" />
+                              Rename
+                            </DropdownMenuItem>
+                            <DropdownMenuItem onSelect={() => handleDuplicate(playlist)} className="focus:bg-white/10 focus:text-white">
+                              <Copy className="w-4 h-4" />
+                              Duplicate
+                            </DropdownMenuItem>
+                            <DropdownMenuItem onSelect={() => setDeletingId(playlist.id)} className="text-red-300 focus:bg-red-500/20 focus:text-red-200">
+                              <Trash2 className="w-4 h-4" />
+                              Delete
+                            </DropdownMenuItem>
+                          </DropdownMenuContent>
+                        </DropdownMenu>
+                      </>
+                    )}
+                  </SidebarMenuItem>
+                ))}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+      </Sidebar>
+
+      <AlertDialog open={!!deletingPlaylist} onOpenChange={(open) => !open && setDeletingId(null)}>
+        <AlertDialogContent className={menuClassName}>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete “{deletingPlaylist?.name}”?</AlertDialogTitle>
+            <AlertDialogDescription className="text-white/60">
+              The playlist goes away, but its tracks stay in your library.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-white/10 border-white/20 hover:bg-white/20 hover:text-white">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete} className="bg-red-500/80 hover:bg-red-500 text-white">
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+};
+
+export default PlaylistSidebar;
@@ -0,0 +1,258 @@
+import React, { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { ListOrdered, Play, ChevronUp, ChevronDown, X, History, ListStart } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { getPlaylistName } from '../utils/playlists';
+import { formatCamelot, formatKeyName, suggestNextTracks } from '../utils/key';
+import { formatTempo } from '../utils/tempo';
+import AlbumArt from './AlbumArt';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+  SheetTrigger
+} from './ui/sheet';
+
+// How many of the active list's next tracks to preview after the queue
+const LIST_PREVIEW_LENGTH = 5;
+
+const iconButtonClassName = 'w-7 h-7 rounded-full flex items-center justify-center text-white/60 hover:text-white hover:bg-white/10 disabled:opacity-30 disabled:pointer-events-none transition-colors';
+
+const formatPlayedAt = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const QueueRow = ({ track, onPlay, children }) => (
+  <div className="group flex items-center gap-3 px-2 py-1.5 rounded-lg hover:bg-white/5">
+    <button
+      onClick={onPlay}
+      disabled={!onPlay}
+      title={onPlay ? 'Play now' : undefined}
+      className="relative flex-shrink-0 disabled:cursor-default"
+    >
+      <AlbumArt track={track} className="w-10 h-10" textClassName="text-sm" />
+      {onPlay && (
+        <span className="absolute inset-0 rounded-2xl bg-black/50 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity">
+          <Play className="w-4 h-4" />
+        </span>
+      )}
+    </button>
+    <div className="flex-1 min-w-0">
+      <p className="text-sm truncate">{track.title || track.name}</p>
+      <p className="text-xs text-white/50 truncate">{track.artist}</p>
+    </div>
+    {children}
+  </div>
+);
+
+const SectionHeading = ({ title, action }) => (
+  <div className="flex items-center justify-between mt-6 mb-2">
+    <h3 className="text-xs font-semibold uppercase tracking-wider text-white/50">{title}</h3>
+    {action}
+  </div>
+);
+
+// Panel showing what plays now, the queue, what the active list plays after
+// it, and the listening history
+const QueueSheet = () => {
+  const {
+    library,
+    playlists,
+    playlist,
+    activePlaylistId,
+    queue,
+    history,
+    currentTrack,
+    currentIndex,
+    currentQueueEntry,
+    shuffle,
+    shuffleOrder,
+    originalOrder,
+    removeFromQueue,
+    reorderQueue,
+    clearQueue,
+    playFromQueue,
+    replayTrack,
+    clearHistory,
+    playTrack,
+    playNext
+  } = usePlayerContext();
+
+  const tracksById = useMemo(
+    () => new Map(library.map(track => [track.id, track])),
+    [library]
+  );
+
+  // The active list's next few tracks, in the order they will play
+  const listPreview = useMemo(() => {
+    const order = shuffle ? shuffleOrder : originalOrder;
+    const start = order.indexOf(currentIndex) + 1;
+    return order
+      .slice(start, start + LIST_PREVIEW_LENGTH)
+      .map(index => ({ track: playlist[index], index }));
+  }, [playlist, currentIndex, shuffle, shuffleOrder, originalOrder]);
+
+  // Library tracks in a key that mixes with the playing one, not queued yet
+  const suggestions = useMemo(
+    () => suggestNextTracks(currentTrack, library, { excludeIds: queue.map(entry => entry.trackId) }),
+    [currentTrack, library, queue]
+  );
+
+  const listName = getPlaylistName(playlists, activePlaylistId);
+  const clearButtonClassName = 'text-xs text-white/50 hover:text-white transition-colors';
+
+  return (
+    <Sheet>
+      <SheetTrigger asChild>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          title="Queue"
+          className="relative p-2 rounded-full bg-white/10 hover:bg-white/20 text-white/70 hover:text-white transition-all duration-200"
+        >
+          <ListOrdered size={16} />
+          {queue.length > 0 && (
+            <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-pink-500 text-[10px] leading-4 font-bold text-white">
+              {queue.length}
+            </span>
+          )}
+        </motion.button>
+      </SheetTrigger>
+
+      <SheetContent className="bg-slate-900/95 backdrop-blur-lg border-white/20 text-white overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle className="text-white">Queue</SheetTitle>
+          <SheetDescription className="text-white/60">
+            Queued tracks play before {listName} continues.
+          </SheetDescription>
+        </SheetHeader>
+
+        <SectionHeading title="Now playing" />
+        {currentTrack ? (
+          <QueueRow track={currentTrack}>
+            <span className="text-xs text-white/40">
+              {currentQueueEntry ? 'From queue' : listName}
+            </span>
+          </QueueRow>
+        ) : (
+          <p className="px-2 text-sm text-white/40">Nothing is playing</p>
+        )}
+
+        <SectionHeading
+          title={`Next in queue${queue.length > 0 ? ` (${queue.length})` : ''}`}
+          action={queue.length > 0 && (
+            <button onClick={clearQueue} className={clearButtonClassName}>Clear</button>
+          )}
+        />
+        {queue.length === 0 ? (
+          <p className="px-2 text-sm text-white/40">
+            Use “Play next” or “Add to queue” on any track.
+          </p>
+        ) : (
+          queue.map((entry, index) => {
+            const track = tracksById.get(entry.trackId);
+            if (!track) return null;
+
+            return (
+              <QueueRow key={entry.id} track={track} onPlay={() => playFromQueue(entry)}>
+                <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                  <button
+                    onClick={() => reorderQueue(index, index - 1)}
+                    disabled={index === 0}
+                    title="Move up"
+                    className={iconButtonClassName}
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => reorderQueue(index, index + 1)}
+                    disabled={index === queue.length - 1}
+                    title="Move down"
+                    className={iconButtonClassName}
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => removeFromQueue(entry.id)}
+                    title="Remove from queue"
+                    className={iconButtonClassName}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </QueueRow>
+            );
+          })
+        )}
+
+        {listPreview.length > 0 && (
+          <>
+            <SectionHeading title={`Next from ${listName}`} />
+            {listPreview.map(({ track, index }) => (
+              <QueueRow
+                key={track.id}
+                track={track}
+                onPlay={() => playTrack(track, index, activePlaylistId)}
+              />
+            ))}
+          </>
+        )}
+
+        {suggestions.length > 0 && (
+          <>
+            <SectionHeading title={`Mixes well after ${formatCamelot(currentTrack.key)} ${formatKeyName(currentTrack.key)}`} />
+            {suggestions.map(track => (
+              <QueueRow key={track.id} track={track}>
+                <span className="text-xs font-mono text-white/40 whitespace-nowrap">
+                  {[formatCamelot(track.key), formatTempo(track.tempo)].filter(Boolean).join(' · ')}
+                </span>
+                <button
+                  onClick={() => playNext([track.id])}
+                  title="Play next"
+                  className={iconButtonClassName}
+                >
+                  <ListStart className="w-4 h-4" />
+                </button>
+              </QueueRow>
+            ))}
+          </>
+        )}
+
+        <SectionHeading
+          title="History"
+          action={history.length > 0 && (
+            <button onClick={clearHistory} className={clearButtonClassName}>Clear</button>
+          )}
+        />
+        {history.length === 0 ? (
+          <p className="px-2 text-sm text-white/40 flex items-center gap-2">
+            <History className="w-4 h-4" />
+            Tracks you play show up here
+          </p>
+        ) : (
+          history.map(item => {
+            const track = tracksById.get(item.trackId);
+            if (!track) return null;
+
+            return (
+              <QueueRow
+                key={`${item.trackId}-${item.playedAt}`}
+                track={track}
+                onPlay={() => replayTrack(track.id)}
+              >
+                <span className="text-xs text-white/40">{formatPlayedAt(item.playedAt)}</span>
+              </QueueRow>
+            );
+          })
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default QueueSheet;
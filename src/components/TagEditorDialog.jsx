@@ -0,0 +1,250 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { ImagePlus, Trash2, Download } from 'lucide-react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { importArtworkImage, exportTaggedFile } from '../utils/library';
+import { canWriteTags } from '../utils/tags';
+import { downloadBlob } from '../utils/download';
+import AlbumArt from './AlbumArt';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogFooter,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import {
+  Form,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormControl,
+  FormMessage
+} from './ui/form';
+import { Input } from './ui/input';
+
+const inputClassName = 'bg-white/5 border-white/20 text-white placeholder:text-white/30 focus-visible:ring-purple-500';
+
+// Fields editable for a selection; title and track number only make sense
+// for a single track.
+const FIELDS = [
+  { name: 'title', label: 'Title', single: true },
+  { name: 'artist', label: 'Artist' },
+  { name: 'album', label: 'Album' },
+  { name: 'genre', label: 'Genre' },
+  { name: 'trackNumber', label: 'Track number', single: true }
+];
+
+// A field's value when every selected track agrees on it, otherwise null
+const getSharedValue = (tracks, name) => {
+  const values = new Set(tracks.map(track => track[name] ?? ''));
+  return values.size === 1 ? String([...values][0]) : null;
+};
+
+const TagEditorDialog = ({ tracks, open, onOpenChange }) => {
+  const { updateTracks } = usePlayerContext();
+  const isMultiple = tracks.length > 1;
+  const fields = FIELDS.filter(field => !isMultiple || !field.single);
+  const canDownload = tracks.length > 0 && tracks.every(track => canWriteTags(track.fileName, track.type));
+
+  const form = useForm({ defaultValues: {} });
+  // null = keep, 'remove' = clear, or { file, previewUrl } for a new image
+  const [artwork, setArtwork] = useState(null);
+  const [downloadCopy, setDownloadCopy] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const wasOpenRef = useRef(false);
+
+  // Only reset when the dialog opens, not while the tracks update under it
+  useEffect(() => {
+    const opened = open && !wasOpenRef.current;
+    wasOpenRef.current = open;
+    if (!opened) return;
+
+    form.reset(Object.fromEntries(
+      FIELDS.map(({ name }) => [name, getSharedValue(tracks, name) ?? ''])
+    ));
+    setArtwork(null);
+    setDownloadCopy(false);
+    setSaveError(null);
+  }, [open, tracks, form]);
+
+  useEffect(() => {
+    return () => {
+      if (artwork?.previewUrl) URL.revokeObjectURL(artwork.previewUrl);
+    };
+  }, [artwork]);
+
+  const handleArtworkChange = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !file.type.startsWith('image/')) return;
+    setArtwork({ file, previewUrl: URL.createObjectURL(file) });
+  };
+
+  // Only fields the user touched are written, so editing the album of a
+  // multi-selection leaves each track's own title and artist alone.
+  const collectUpdates = (values) => {
+    const { dirtyFields } = form.formState;
+    const updates = {};
+
+    fields.forEach(({ name }) => {
+      if (!dirtyFields[name]) return;
+      const value = values[name].trim();
+
+      if (name === 'trackNumber') {
+        updates.trackNumber = value ? parseInt(value, 10) : undefined;
+      } else if (name === 'artist') {
+        updates.artist = value || 'Unknown Artist';
+      } else {
+        updates[name] = value || undefined;
+      }
+    });
+
+    return updates;
+  };
+
+  const onSubmit = async (values) => {
+    setIsSaving(true);
+    setSaveError(null);
+
+    try {
+      const updates = collectUpdates(values);
+
+      if (artwork === 'remove') {
+        updates.artworkId = null;
+        updates.artworkUrl = null;
+      } else if (artwork?.file) {
+        Object.assign(updates, await importArtworkImage(artwork.file));
+      }
+
+      if (Object.keys(updates).length > 0) {
+        updateTracks(tracks.map(track => track.id), updates);
+      }
+
+      if (downloadCopy) {
+        for (const track of tracks) {
+          const { blob, fileName } = await exportTaggedFile({ ...track, ...updates });
+          downloadBlob(blob, fileName);
+        }
+      }
+
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Error saving tags:', error);
+      setSaveError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const previewTrack = tracks[0] && {
+    ...tracks[0],
+    artworkUrl: artwork === 'remove'
+      ? null
+      : artwork?.previewUrl || (getSharedValue(tracks, 'artworkId') !== null ? tracks[0].artworkUrl : null)
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900/95 backdrop-blur-lg border-white/20 text-white">
+        <DialogHeader>
+          <DialogTitle>Edit tags</DialogTitle>
+          <DialogDescription className="text-white/60">
+            {isMultiple
+              ? `${tracks.length} tracks selected. Fields left as they are keep each track's own value.`
+              : tracks[0]?.fileName}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+            <div className="flex items-center gap-4">
+              {previewTrack && <AlbumArt track={previewTrack} className="w-20 h-20" textClassName="text-2xl" />}
+              <div className="flex flex-col gap-2">
+                <label className="inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-md bg-white/10 hover:bg-white/20 cursor-pointer transition-colors">
+                  <ImagePlus className="w-4 h-4" />
+                  Choose artwork
+                  <input type="file" accept="image/*" onChange={handleArtworkChange} className="hidden" />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setArtwork('remove')}
+                  className="inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-md text-red-300 hover:bg-red-500/20 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Remove artwork
+                </button>
+              </div>
+            </div>
+
+            {fields.map(({ name, label }) => (
+              <FormField
+                key={name}
+                control={form.control}
+                name={name}
+                rules={{
+                  ...(name === 'title' && { validate: value => value.trim() !== '' || 'A track needs a title' }),
+                  ...(name === 'trackNumber' && { pattern: { value: /^\s*\d*\s*$/, message: 'Use a whole number' } })
+                }}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-white/80">{label}</FormLabel>
+                    <FormControl>
+                      <Input
+                        {...field}
+                        inputMode={name === 'trackNumber' ? 'numeric' : undefined}
+                        placeholder={getSharedValue(tracks, name) === null ? 'Multiple values' : ''}
+                        className={inputClassName}
+                      />
+                    </FormControl>
+                    <FormMessage className="text-red-300" />
+                  </FormItem>
+                )}
+              />
+            ))}
+
+            <label
+              className={`flex items-center gap-2 text-sm ${canDownload ? 'text-white/80 cursor-pointer' : 'text-white/40'}`}
+              title={canDownload ? undefined : 'Tags can only be written into MP3 and FLAC files'}
+            >
+              <input
+                type="checkbox"
+                checked={downloadCopy}
+                disabled={!canDownload}
+                onChange={(e) => setDownloadCopy(e.target.checked)}
+                className="accent-purple-500"
+              />
+              <Download className="w-4 h-4" />
+              Download a copy with these tags written into the file
+            </label>
+
+            {saveError && (
+              <p className="text-sm text-red-300">{saveError}</p>
+            )}
+
+            <DialogFooter className="gap-2">
+              <button
+                type="button"
+                onClick={() => onOpenChange(false)}
+                className="px-4 py-2 rounded-lg text-sm bg-white/10 hover:bg-white/20 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 rounded-lg text-sm bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 disabled:opacity-50 transition-all"
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TagEditorDialog;
@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+import { toast } from 'sonner';
+import { usePlayerContext } from '../context/PlayerContext';
+
+const TOAST_ID = 'undo';
+
+// Announces each playlist edit with a toast offering to undo it. The
+// keyboard side (Ctrl+Z, Ctrl+Shift+Z) lives with the other shortcuts.
+// Renders nothing.
+const UndoManager = () => {
+  const { undoHistory, undo, redo } = usePlayerContext();
+  const { lastChange } = undoHistory;
+
+  useEffect(() => {
+    if (!lastChange) return;
+
+    const { kind, label } = lastChange;
+    const messages = {
+      edit: label,
+      undo: `Undone: ${label}`,
+      redo: `Redone: ${label}`
+    };
+
+    toast(messages[kind], {
+      id: TOAST_ID,
+      action: kind === 'undo'
+        ? { label: 'Redo', onClick: redo }
+        : { label: 'Undo', onClick: undo }
+    });
+  }, [lastChange, undo, redo]);
+
+  return null;
+};
+
+export default UndoManager;
@@ -0,0 +1,375 @@
+import React, { useRef, useEffect, useState, useMemo } from 'react'
+import { ZoomIn, ZoomOut } from 'lucide-react'
+import { usePlayerContext } from '../context/PlayerContext'
+import useTrackTheme from '../hooks/useTrackTheme'
+import useWaveform from '../hooks/useWaveform'
+import { formatTime } from '../utils/audio'
+import { MIN_LOOP_LENGTH } from '../utils/loop'
+import { getBeatTimes } from '../utils/tempo'
+
+const HEIGHT = 48 // css pixels
+const BAR_WIDTH = 2
+const BAR_STEP = 3 // bar plus gap
+const MIN_BAR_HEIGHT = 2
+// Height of the bars drawn before a track's peaks are ready
+const FLAT_AMPLITUDE = 0.08
+const MAX_ZOOM = 16
+// Beat ticks are drawn once beats are at least this far apart, in css pixels
+const MIN_BEAT_SPACING = 6
+// Seeks sent while scrubbing, at most one per this many ms
+const SCRUB_INTERVAL = 100
+
+const clampView = ({ zoom, start }, duration) => {
+  const nextZoom = Math.max(1, Math.min(MAX_ZOOM, zoom))
+  const span = duration / nextZoom
+  return { zoom: nextZoom, start: Math.max(0, Math.min(duration - span, start)) || 0 }
+}
+
+// Loudest peak between two times, on a 0–1 scale
+const getAmplitude = (waveform, scale, from, to) => {
+  const { peaks, duration } = waveform
+  const first = Math.max(0, Math.floor((from / duration) * peaks.length))
+  const last = Math.min(peaks.length, Math.max(first + 1, Math.ceil((to / duration) * peaks.length)))
+  let max = 0
+  for (let i = first; i < last; i++) {
+    if (peaks[i] > max) max = peaks[i]
+  }
+  return max * scale
+}
+
+// The progress bar drawn as the track's waveform, coloured with the track's
+// theme up to the playhead. Click or drag to seek, hover to preview the
+// time, and zoom in (buttons or Ctrl + wheel) to place loop points exactly.
+const WaveformSeekBar = () => {
+  const {
+    currentTrack,
+    currentTime,
+    duration,
+    seekTo,
+    trackLoop,
+    activeLoop,
+    setLoopPoint
+  } = usePlayerContext()
+  const { accent } = useTrackTheme(currentTrack)
+  const waveform = useWaveform(currentTrack?.id)
+  const tempo = currentTrack?.tempo
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const durationRef = useRef(duration)
+  // Zoomed in, the view pages along with the playhead until the user pans
+  const followRef = useRef(true)
+  const lastSeekRef = useRef(0)
+  const [width, setWidth] = useState(0)
+  const [view, setView] = useState({ zoom: 1, start: 0 })
+  const [hoverTime, setHoverTime] = useState(null)
+  const [scrubTime, setScrubTime] = useState(null)
+
+  durationRef.current = duration
+  const span = duration / view.zoom
+  const position = scrubTime ?? currentTime
+
+  // Peaks are drawn relative to the loudest one, so quiet tracks fill the bar too
+  const scale = useMemo(() => {
+    if (!waveform) return 1
+    let max = 0
+    for (let i = 0; i < waveform.peaks.length; i++) {
+      if (waveform.peaks[i] > max) max = waveform.peaks[i]
+    }
+    return max > 0 ? 1 / max : 1
+  }, [waveform])
+
+  useEffect(() => {
+    setView({ zoom: 1, start: 0 })
+    followRef.current = true
+  }, [currentTrack?.id])
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width))
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    if (!followRef.current || view.zoom === 1 || scrubTime !== null) return
+    if (currentTime < view.start || currentTime > view.start + span) {
+      setView(prev => clampView({ ...prev, start: currentTime - span * 0.1 }, duration))
+    }
+  }, [currentTime, duration, span, view, scrubTime])
+
+  // Ctrl + wheel zooms around the pointer; Shift + wheel or a sideways
+  // swipe pans. React's wheel listener is passive, so ours is added here
+  // to be able to stop the page scrolling or zooming.
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const handleWheel = (event) => {
+      const total = durationRef.current
+      if (!total) return
+      const rect = container.getBoundingClientRect()
+
+      if (event.ctrlKey || event.metaKey) {
+        event.preventDefault()
+        const fraction = (event.clientX - rect.left) / rect.width
+        setView(prev => {
+          const zoom = prev.zoom * Math.pow(2, -event.deltaY / 200)
+          const pointerTime = prev.start + fraction * (total / prev.zoom)
+          return clampView({ zoom, start: pointerTime - fraction * (total / zoom) }, total)
+        })
+        return
+      }
+
+      const isSideways = Math.abs(event.deltaX) > Math.abs(event.deltaY)
+      if (!event.shiftKey && !isSideways) return
+      const delta = event.shiftKey ? event.deltaY || event.deltaX : event.deltaX
+      event.preventDefault()
+      followRef.current = false
+      setView(prev => clampView({
+        ...prev,
+        start: prev.start + (delta / rect.width) * (total / prev.zoom)
+      }, total))
+    }
+
+    container.addEventListener('wheel', handleWheel, { passive: false })
+    return () => container.removeEventListener('wheel', handleWheel)
+  }, [])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !width) return
+
+    const dpr = window.devicePixelRatio || 1
+    const canvasWidth = Math.round(width * dpr)
+    const canvasHeight = Math.round(HEIGHT * dpr)
+    if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+      canvas.width = canvasWidth
+      canvas.height = canvasHeight
+    }
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, width, HEIGHT)
+
+    const bars = new Path2D()
+    const count = Math.floor(width / BAR_STEP)
+    for (let i = 0; i < count; i++) {
+      const from = view.start + ((i * BAR_STEP) / width) * span
+      const to = view.start + (((i + 1) * BAR_STEP) / width) * span
+      const amplitude = waveform && duration ? getAmplitude(waveform, scale, from, to) : FLAT_AMPLITUDE
+      const barHeight = Math.max(MIN_BAR_HEIGHT, amplitude * HEIGHT)
+      bars.rect(i * BAR_STEP, (HEIGHT - barHeight) / 2, BAR_WIDTH, barHeight)
+    }
+
+    const playedX = duration ? Math.max(0, Math.min(width, ((position - view.start) / span) * width)) : 0
+
+    const gradient = ctx.createLinearGradient(0, 0, width, 0)
+    gradient.addColorStop(0, accent[0])
+    gradient.addColorStop(0.5, accent[1])
+    gradient.addColorStop(1, accent[2])
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(0, 0, playedX, HEIGHT)
+    ctx.clip()
+    ctx.fillStyle = gradient
+    ctx.fill(bars)
+    ctx.restore()
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(playedX, 0, width - playedX, HEIGHT)
+    ctx.clip()
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)'
+    ctx.fill(bars)
+    ctx.restore()
+
+    // The beat grid, when zoomed in far enough to make it out
+    if (tempo?.bpm && duration && ((60 / tempo.bpm) / span) * width >= MIN_BEAT_SPACING) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.35)'
+      getBeatTimes(tempo, view.start, view.start + span).forEach(time => {
+        const x = ((time - view.start) / span) * width
+        ctx.fillRect(x, 0, 1, 4)
+        ctx.fillRect(x, HEIGHT - 4, 1, 4)
+      })
+    }
+
+    if (duration && position >= view.start && position <= view.start + span) {
+      ctx.fillStyle = '#ffffff'
+      ctx.fillRect(playedX - 1, 0, 2, HEIGHT)
+    }
+  }, [waveform, scale, width, view, span, duration, position, accent, tempo])
+
+  const getTimeAt = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect()
+    const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width))
+    return view.start + fraction * span
+  }
+
+  const toPercent = (time) => `${((time - view.start) / span) * 100}%`
+  const toWidth = (length) => `${(length / span) * 100}%`
+  const isVisible = (time) => time !== null && time >= view.start && time <= view.start + span
+  const loopStart = duration ? trackLoop?.start ?? null : null
+  const loopEnd = duration ? trackLoop?.end ?? null : null
+
+  // Seek as the pointer moves, but no more often than the engine can keep
+  // up with; the final position is always sent on release
+  const handlePointerDown = (event) => {
+    if (!duration || event.button !== 0) return
+    const container = event.currentTarget
+    container.setPointerCapture(event.pointerId)
+    followRef.current = true
+
+    const startTime = getTimeAt(event.clientX)
+    setScrubTime(startTime)
+    seekTo(startTime)
+    lastSeekRef.current = performance.now()
+
+    const handleMove = (moveEvent) => {
+      const time = getTimeAt(moveEvent.clientX)
+      setScrubTime(time)
+      setHoverTime(time)
+      const now = performance.now()
+      if (now - lastSeekRef.current >= SCRUB_INTERVAL) {
+        lastSeekRef.current = now
+        seekTo(time)
+      }
+    }
+    const handleUp = (upEvent) => {
+      container.removeEventListener('pointermove', handleMove)
+      container.removeEventListener('pointerup', handleUp)
+      container.removeEventListener('pointercancel', handleUp)
+      if (upEvent.type === 'pointerup') seekTo(getTimeAt(upEvent.clientX))
+      setScrubTime(null)
+    }
+    container.addEventListener('pointermove', handleMove)
+    container.addEventListener('pointerup', handleUp)
+    container.addEventListener('pointercancel', handleUp)
+  }
+
+  // Loop markers follow the pointer while dragged
+  const handleMarkerPointerDown = (point) => (event) => {
+    event.preventDefault()
+    event.stopPropagation()
+    const marker = event.currentTarget
+    marker.setPointerCapture(event.pointerId)
+
+    // Dragged, a point stops at the other one rather than replacing it
+    const handleMove = (moveEvent) => {
+      const time = getTimeAt(moveEvent.clientX)
+      if (point === 'start' && loopEnd !== null) {
+        setLoopPoint(point, Math.min(time, loopEnd - MIN_LOOP_LENGTH))
+      } else if (point === 'end' && loopStart !== null) {
+        setLoopPoint(point, Math.max(time, loopStart + MIN_LOOP_LENGTH))
+      } else {
+        setLoopPoint(point, time)
+      }
+    }
+    const handleUp = () => {
+      marker.removeEventListener('pointermove', handleMove)
+      marker.removeEventListener('pointerup', handleUp)
+      marker.removeEventListener('pointercancel', handleUp)
+    }
+    marker.addEventListener('pointermove', handleMove)
+    marker.addEventListener('pointerup', handleUp)
+    marker.addEventListener('pointercancel', handleUp)
+  }
+
+  // Buttons zoom around the playhead
+  const zoomBy = (factor) => {
+    followRef.current = true
+    setView(prev => {
+      const zoom = Math.max(1, Math.min(MAX_ZOOM, prev.zoom * factor))
+      return clampView({ zoom, start: currentTime - (duration / zoom) / 2 }, duration)
+    })
+  }
+
+  return (
+    <div className="flex-1 min-w-0">
+      <div
+        ref={containerRef}
+        role="slider"
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration) || 0}
+        aria-valuenow={Math.round(position) || 0}
+        aria-valuetext={`${formatTime(position)} of ${formatTime(duration)}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={(event) => duration && setHoverTime(getTimeAt(event.clientX))}
+        onPointerLeave={() => setHoverTime(null)}
+        className={`relative touch-none select-none ${duration ? 'cursor-pointer' : ''}`}
+        style={{ height: HEIGHT }}
+      >
+        <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+
+        {loopStart !== null && loopEnd !== null && loopEnd > view.start && loopStart < view.start + span && (
+          <div
+            className={`absolute inset-y-0 rounded-sm pointer-events-none ${activeLoop ? 'bg-purple-400/25' : 'bg-white/10'}`}
+            style={{
+              left: toPercent(Math.max(loopStart, view.start)),
+              width: toWidth(Math.min(loopEnd, view.start + span) - Math.max(loopStart, view.start))
+            }}
+          />
+        )}
+
+        {hoverTime !== null && (
+          <div
+            className="absolute inset-y-0 w-px bg-white/60 pointer-events-none"
+            style={{ left: toPercent(hoverTime) }}
+          >
+            <span className="absolute bottom-full mb-1 left-1/2 -translate-x-1/2 px-1.5 py-0.5 rounded bg-slate-900/90 text-[10px] font-mono text-white whitespace-nowrap">
+              {formatTime(hoverTime)}
+            </span>
+          </div>
+        )}
+
+        {[['start', 'A', loopStart], ['end', 'B', loopEnd]].map(([point, label, time]) => isVisible(time) && (
+          <div
+            key={point}
+            role="button"
+            aria-label={`Loop ${label}, drag to move`}
+            onPointerDown={handleMarkerPointerDown(point)}
+            className="absolute -top-4 bottom-0 -translate-x-1/2 flex flex-col items-center cursor-ew-resize touch-none select-none"
+            style={{ left: toPercent(time) }}
+          >
+            <span className="text-[10px] font-bold leading-none text-purple-200">{label}</span>
+            <span className="flex-1 w-0.5 mt-0.5 bg-purple-300 rounded-full" />
+          </div>
+        ))}
+      </div>
+
+      {duration > 0 && (
+        <div className="flex items-center justify-end gap-1 mt-1">
+          {view.zoom > 1 && (
+            <button
+              onClick={() => zoomBy(1 / MAX_ZOOM)}
+              className="px-1.5 text-[10px] text-white/60 hover:text-white"
+            >
+              {Math.round(view.zoom * 10) / 10}x · reset
+            </button>
+          )}
+          <button
+            onClick={() => zoomBy(0.5)}
+            disabled={view.zoom === 1}
+            aria-label="Zoom out"
+            className="p-0.5 rounded text-white/60 hover:text-white hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <ZoomOut size={14} />
+          </button>
+          <button
+            onClick={() => zoomBy(2)}
+            disabled={view.zoom === MAX_ZOOM}
+            aria-label="Zoom in"
+            className="p-0.5 rounded text-white/60 hover:text-white hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <ZoomIn size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WaveformSeekBar
@@ -1,14 +1,77 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { loadPlaylist, savePlaylist, loadPlayerState, savePlayerState } from '../utils/storage';
+import { createContext, useCallback, useContext, useMemo, useReducer, useEffect, useRef, useState } from 'react';
+import {
+  loadLibrary,
+  saveLibrary,
+  loadPlaylists,
+  savePlaylists,
+  loadQueue,
+  saveQueue,
+  loadPlayerState,
+  savePlayerState,
+  loadEqualizerPresets,
+  saveEqualizerPresets,
+  loadRemovedTracks,
+  saveRemovedTracks,
+  requestPersistentStorage
+} from '../utils/storage';
+import {
+  importAudioFile,
+  relinkAudioFile,
+  findMissingMatch,
+  findDuplicate,
+  createTrackId,
+  restoreTrackUrls,
+  releaseTrack,
+  releaseAllTracks
+} from '../utils/library';
+import {
+  LIBRARY_ID,
+  createPlaylist,
+  resolvePlaylistTracks,
+  getPlaylistName,
+  getUniquePlaylistName
+} from '../utils/playlists';
+import { parsePlaylistFile, matchPlaylistEntries } from '../utils/playlistFormats';
+import { createAudioEngine } from '../utils/audioEngine';
+import { CROSSFADE_CURVES, MAX_CROSSFADE_DURATION } from '../utils/audio';
+import {
+  DEFAULT_EQUALIZER,
+  findPreset,
+  getPresetSettings,
+  normalizeEqualizer,
+  normalizePreset
+} from '../utils/equalizer';
+import {
+  DEFAULT_NORMALIZATION,
+  dbToGain,
+  getTrackNormalization,
+  measureLoudness,
+  needsLoudnessMeasurement,
+  normalizeNormalization
+} from '../utils/loudness';
+import { RATE_MODES, clampPitchShift, clampPlaybackRate } from '../utils/pitchShifter';
+import { DEFAULT_PRACTICE, getActiveLoop, moveLoopPoint, normalizePractice } from '../utils/loop';
+import { createWaveform } from '../utils/waveform';
+import { analyzeTrack, needsAnalysis } from '../utils/trackAnalysis';
 
 const PlayerContext = createContext();
 
+// Tracks from a long import are handed to the reducer this many at a time
+const IMPORT_BATCH_SIZE = 50;
+
 const initialState = {
-  playlist: [],
+  library: [], // every imported track
+  playlists: [], // named playlists: { id, name, trackIds, createdAt, updatedAt }
+  activePlaylistId: LIBRARY_ID, // the list playback moves through
+  playlist: [], // tracks of the active list, derived from the two above
+  queue: [], // { id, trackId } entries played before the active list resumes
+  history: [], // { trackId, playedAt } of tracks played before, newest first
   currentTrack: null,
-  currentIndex: -1,
+  currentIndex: -1, // position in the active list; while a queued track plays, where the list resumes
+  currentQueueEntry: null, // the queue entry being played, if the current track came from the queue
   isPlaying: false,
   volume: 1,
+  isMuted: false,
   currentTime: 0,
   duration: 0,
   isLoading: false,
@@ -16,49 +79,209 @@ const initialState = {
   repeat: 'none', // 'none', 'one', 'all'
   shuffle: false,
   shuffleOrder: [],
-  originalOrder: []
+  originalOrder: [],
+  crossfadeDuration: 0, // seconds, 0 = gapless
+  crossfadeCurve: 'equal-power', // 'linear', 'equal-power'
+  equalizer: DEFAULT_EQUALIZER, // see utils/equalizer
+  equalizerPresets: [], // the user's own: { id, name, preamp, bands, parametric }
+  normalization: DEFAULT_NORMALIZATION, // loudness normalisation, see utils/loudness
+  // How a track's playbackRate affects its pitch: 'stretch' or 'varispeed'.
+  // The rate and pitchShift themselves are kept on each track.
+  rateMode: 'stretch',
+  abLoop: null, // A–B loop on one track, see utils/loop
+  practice: DEFAULT_PRACTICE, // slow down each time the loop comes round
+  // Library and playlists as they were before each edit. lastChange is the
+  // edit, undo or redo that happened most recently: { kind, label }
+  undoHistory: { past: [], future: [], lastChange: null }
 };
 
+// Edits to the library and playlists that can be undone
+const UNDOABLE_ACTIONS = [
+  'SET_PLAYLIST',
+  'ADD_TO_PLAYLIST',
+  'REMOVE_FROM_PLAYLIST',
+  'UPDATE_TRACKS',
+  'CREATE_PLAYLIST',
+  'RENAME_PLAYLIST',
+  'DELETE_PLAYLIST',
+  'CLEAR_PLAYLIST',
+  'REORDER_PLAYLIST',
+  'MOVE_TRACKS'
+];
+
+const MAX_UNDO = 50;
+
 function playerReducer(state, action) {
   switch (action.type) {
-    case 'SET_PLAYLIST':
+    case 'SET_LIBRARY': {
+      const {
+        library,
+        playlists,
+        activePlaylistId,
+        queue = state.queue,
+        history = state.history
+      } = action.payload;
+      const hasActive = activePlaylistId === LIBRARY_ID ||
+        playlists.some(playlist => playlist.id === activePlaylistId);
+
+      return syncPlaylist({
+        ...state,
+        library,
+        playlists,
+        queue,
+        history,
+        activePlaylistId: hasActive ? activePlaylistId : LIBRARY_ID
+      });
+    }
+
+    // Replace the contents of a list (the active one by default)
+    case 'SET_PLAYLIST': {
+      const { tracks, playlistId = state.activePlaylistId } = action.payload;
+      return syncPlaylist(setListIds(
+        addToLibrary(state, tracks),
+        playlistId,
+        tracks.map(track => track.id)
+      ));
+    }
+
+    // New tracks join the library; the target playlist gets a reference to
+    // each track it does not already hold, at the end or right after
+    // afterTrackId
+    case 'ADD_TO_PLAYLIST': {
+      const { tracks, playlistId = state.activePlaylistId, afterTrackId } = action.payload;
+      const withTracks = addToLibrary(state, tracks);
+      const ids = getListIds(withTracks, playlistId);
+      const newIds = tracks.map(track => track.id).filter(id => !ids.includes(id));
+      const position = afterTrackId ? ids.indexOf(afterTrackId) + 1 : 0;
+      const nextIds = position > 0
+        ? [...ids.slice(0, position), ...newIds, ...ids.slice(position)]
+        : [...ids, ...newIds];
+
+      return syncPlaylist(setListIds(withTracks, playlistId, nextIds));
+    }
+
+    // Removing from the library removes the track everywhere; removing from
+    // a named playlist only drops the reference
+    case 'REMOVE_FROM_PLAYLIST': {
+      const { index, playlistId = state.activePlaylistId } = action.payload;
+      const ids = getListIds(state, playlistId);
+
+      return syncPlaylist(setListIds(state, playlistId, ids.filter((_, i) => i !== index)));
+    }
+
+    case 'UPDATE_TRACK': {
+      const { id, updates } = action.payload;
+      const updateTrack = (track) => track.id === id ? { ...track, ...updates } : track;
+
+      return syncPlaylist({
+        ...state,
+        library: state.library.map(updateTrack)
+      });
+    }
+
+    // Same changes applied to several tracks at once (tag editor)
+    case 'UPDATE_TRACKS': {
+      const { ids, updates } = action.payload;
+      const updateTrack = (track) => ids.includes(track.id) ? { ...track, ...updates } : track;
+
+      return syncPlaylist({
+        ...state,
+        library: state.library.map(updateTrack)
+      });
+    }
+
+    case 'CREATE_PLAYLIST':
       return {
         ...state,
-        playlist: action.payload,
-        originalOrder: action.payload.map((_, index) => index)
+        playlists: [...state.playlists, action.payload]
       };
 
-    case 'ADD_TO_PLAYLIST':
-      const newPlaylist = [...state.playlist, ...action.payload];
+    case 'RENAME_PLAYLIST': {
+      const { id, name } = action.payload;
       return {
         ...state,
-        playlist: newPlaylist,
-        originalOrder: newPlaylist.map((_, index) => index)
+        playlists: state.playlists.map(playlist =>
+          playlist.id === id ? { ...playlist, name, updatedAt: Date.now() } : playlist
+        )
       };
+    }
 
-    case 'REMOVE_FROM_PLAYLIST':
-      const filteredPlaylist = state.playlist.filter((_, index) => index !== action.payload);
-      const newCurrentIndex = action.payload < state.currentIndex 
-        ? state.currentIndex - 1 
-        : action.payload === state.currentIndex 
-          ? -1 
-          : state.currentIndex;
-      
+    case 'DELETE_PLAYLIST': {
+      const playlists = state.playlists.filter(playlist => playlist.id !== action.payload);
+      // Deleting the list being played keeps the music going from the library
+      const activePlaylistId = state.activePlaylistId === action.payload
+        ? LIBRARY_ID
+        : state.activePlaylistId;
+
+      return syncPlaylist({ ...state, playlists, activePlaylistId });
+    }
+
+    // Starting a track from another list makes that list the active one
+    case 'SET_CURRENT_TRACK': {
+      const { track, index, playlistId = state.activePlaylistId } = action.payload;
+      const nextState = playlistId === state.activePlaylistId
+        ? state
+        : syncPlaylist({ ...state, activePlaylistId: playlistId });
+
+      return {
+        ...nextState,
+        history: addToHistory(state),
+        currentTrack: track,
+        currentIndex: index ?? nextState.playlist.findIndex(item => item.id === track?.id),
+        currentQueueEntry: null,
+        currentTime: 0
+      };
+    }
+
+    // Queue entries are created by the caller so the reducer stays pure.
+    // 'next' puts them at the front of the queue, 'end' after everything.
+    case 'QUEUE_ADD': {
+      const { entries, position } = action.payload;
+      return {
+        ...state,
+        queue: position === 'next'
+          ? [...entries, ...state.queue]
+          : [...state.queue, ...entries]
+      };
+    }
+
+    case 'QUEUE_REMOVE':
       return {
         ...state,
-        playlist: filteredPlaylist,
-        currentIndex: newCurrentIndex,
-        currentTrack: newCurrentIndex >= 0 ? filteredPlaylist[newCurrentIndex] : null,
-        originalOrder: filteredPlaylist.map((_, index) => index)
+        queue: state.queue.filter(entry => entry.id !== action.payload)
       };
 
-    case 'SET_CURRENT_TRACK':
+    case 'QUEUE_REORDER': {
+      const { startIndex, endIndex } = action.payload;
+      const queue = [...state.queue];
+      const [removed] = queue.splice(startIndex, 1);
+      queue.splice(endIndex, 0, removed);
+
+      return { ...state, queue };
+    }
+
+    case 'QUEUE_CLEAR':
+      return { ...state, queue: [] };
+
+    // Play an entry straight away, whether it is waiting in the queue or not
+    // (history items are replayed this way). The active list resumes after it.
+    case 'QUEUE_PLAY': {
+      const entry = action.payload;
+      const track = state.library.find(item => item.id === entry.trackId);
+      if (!track) return state;
+
       return {
         ...state,
-        currentTrack: action.payload.track,
-        currentIndex: action.payload.index,
+        history: addToHistory(state),
+        queue: state.queue.filter(item => item.id !== entry.id),
+        currentTrack: track,
+        currentQueueEntry: entry,
         currentTime: 0
       };
+    }
+
+    case 'HISTORY_CLEAR':
+      return { ...state, history: [] };
 
     case 'SET_PLAYING':
       return {
@@ -72,6 +295,12 @@ function playerReducer(state, action) {
         volume: action.payload
       };
 
+    case 'SET_MUTED':
+      return {
+        ...state,
+        isMuted: action.payload
+      };
+
     case 'SET_CURRENT_TIME':
       return {
         ...state,
@@ -103,7 +332,50 @@ function playerReducer(state, action) {
         repeat: action.payload
       };
 
-    case 'SET_SHUFFLE':
+    case 'SET_CROSSFADE':
+      return {
+        ...state,
+        crossfadeDuration: action.payload.duration ?? state.crossfadeDuration,
+        crossfadeCurve: action.payload.curve ?? state.crossfadeCurve
+      };
+
+    case 'SET_EQUALIZER':
+      return {
+        ...state,
+        equalizer: { ...state.equalizer, ...action.payload }
+      };
+
+    case 'SET_EQUALIZER_PRESETS':
+      return {
+        ...state,
+        equalizerPresets: action.payload
+      };
+
+    case 'SET_AB_LOOP':
+      return {
+        ...state,
+        abLoop: action.payload
+      };
+
+    case 'SET_PRACTICE':
+      return {
+        ...state,
+        practice: { ...state.practice, ...action.payload }
+      };
+
+    case 'SET_RATE_MODE':
+      return {
+        ...state,
+        rateMode: action.payload
+      };
+
+    case 'SET_NORMALIZATION':
+      return {
+        ...state,
+        normalization: { ...state.normalization, ...action.payload }
+      };
+
+    case 'SET_SHUFFLE': {
       const shuffleOrder = action.payload 
         ? shuffleArray([...state.originalOrder])
         : [];
@@ -113,61 +385,373 @@ function playerReducer(state, action) {
         shuffle: action.payload,
         shuffleOrder
       };
+    }
 
-    case 'NEXT_TRACK':
-      const nextIndex = getNextTrackIndex(state);
-      return {
-        ...state,
-        currentIndex: nextIndex,
-        currentTrack: nextIndex >= 0 ? state.playlist[nextIndex] : null,
-        currentTime: 0
-      };
+    case 'NEXT_TRACK': {
+      const upcoming = getUpcoming(state);
+      if (!upcoming) {
+        return {
+          ...state,
+          history: addToHistory(state),
+          currentIndex: -1,
+          currentTrack: null,
+          currentQueueEntry: null,
+          isPlaying: false,
+          currentTime: 0
+        };
+      }
+
+      return playUpcoming(state, upcoming);
+    }
+
+    case 'TRACK_ENDED': {
+      const upcoming = getUpcoming(state);
+      if (!upcoming) {
+        return {
+          ...state,
+          isPlaying: false,
+          currentTime: 0
+        };
+      }
+
+      return playUpcoming(state, upcoming);
+    }
+
+    // Going back from a queued track returns to where the active list left
+    // off, and puts the queued track back at the front of the queue
+    case 'PREVIOUS_TRACK': {
+      const queue = state.currentQueueEntry
+        ? [state.currentQueueEntry, ...state.queue]
+        : state.queue;
+      const prevIndex = state.currentQueueEntry && state.currentIndex >= 0
+        ? state.currentIndex
+        : getPreviousTrackIndex(state);
 
-    case 'PREVIOUS_TRACK':
-      const prevIndex = getPreviousTrackIndex(state);
       return {
         ...state,
+        queue,
+        history: addToHistory(state),
         currentIndex: prevIndex,
         currentTrack: prevIndex >= 0 ? state.playlist[prevIndex] : null,
+        currentQueueEntry: null,
+        isPlaying: prevIndex >= 0 ? state.isPlaying : false,
         currentTime: 0
       };
+    }
 
-    case 'CLEAR_PLAYLIST':
-      return {
+    case 'CLEAR_PLAYLIST': {
+      const playlistId = action.payload?.playlistId ?? state.activePlaylistId;
+      return syncPlaylist(setListIds(state, playlistId, []));
+    }
+
+    case 'REORDER_PLAYLIST': {
+      const { startIndex, endIndex, playlistId = state.activePlaylistId } = action.payload;
+      const ids = [...getListIds(state, playlistId)];
+      const [removed] = ids.splice(startIndex, 1);
+      ids.splice(endIndex, 0, removed);
+
+      return syncPlaylist(setListIds(state, playlistId, ids));
+    }
+
+    // Move several tracks as one block, kept in list order, so that it
+    // starts at `index` among the tracks that stay put
+    case 'MOVE_TRACKS': {
+      const { trackIds, index, playlistId = state.activePlaylistId } = action.payload;
+      const ids = getListIds(state, playlistId);
+      const moving = ids.filter(id => trackIds.includes(id));
+      const staying = ids.filter(id => !trackIds.includes(id));
+      const position = Math.max(0, Math.min(staying.length, index));
+
+      return syncPlaylist(setListIds(state, playlistId, [
+        ...staying.slice(0, position),
+        ...moving,
+        ...staying.slice(position)
+      ]));
+    }
+
+    default:
+      return state;
+  }
+}
+
+// playerReducer with undo history. Before each undoable edit the library
+// and playlists are kept as they were; undoing swaps them back in. Actions
+// sharing an undoGroup (the batches of one import) undo as a single step.
+function undoableReducer(state, action) {
+  const { undoHistory } = state;
+
+  switch (action.type) {
+    case 'UNDO':
+    case 'REDO': {
+      const isUndo = action.type === 'UNDO';
+      const source = isUndo ? undoHistory.past : undoHistory.future;
+      const entry = source[source.length - 1];
+      if (!entry) return state;
+
+      const current = { ...entry, library: state.library, playlists: state.playlists, group: null };
+      const remaining = source.slice(0, -1);
+      const target = [...(isUndo ? undoHistory.future : undoHistory.past), current];
+      const hasActive = state.activePlaylistId === LIBRARY_ID ||
+        entry.playlists.some(playlist => playlist.id === state.activePlaylistId);
+
+      return syncPlaylist({
         ...state,
-        playlist: [],
-        currentTrack: null,
-        currentIndex: -1,
-        isPlaying: false,
-        originalOrder: [],
-        shuffleOrder: []
+        library: entry.library,
+        playlists: entry.playlists,
+        activePlaylistId: hasActive ? state.activePlaylistId : LIBRARY_ID,
+        undoHistory: {
+          past: isUndo ? remaining : target,
+          future: isUndo ? target : remaining,
+          lastChange: { kind: isUndo ? 'undo' : 'redo', label: entry.label }
+        }
+      });
+    }
+
+    // A fresh library starts a fresh history
+    case 'SET_LIBRARY':
+      return { ...playerReducer(state, action), undoHistory: initialState.undoHistory };
+
+    // Single-track updates are not edits (relinked audio, for one), so they
+    // reach the saved copies too and survive an undo
+    case 'UPDATE_TRACK': {
+      const { id, updates } = action.payload;
+      const updateTrack = (track) => track.id === id ? { ...track, ...updates } : track;
+      const updateEntry = (entry) => entry.library.some(track => track.id === id)
+        ? { ...entry, library: entry.library.map(updateTrack) }
+        : entry;
+
+      return {
+        ...playerReducer(state, action),
+        undoHistory: {
+          ...undoHistory,
+          past: undoHistory.past.map(updateEntry),
+          future: undoHistory.future.map(updateEntry)
+        }
       };
+    }
 
-    case 'REORDER_PLAYLIST':
-      const { startIndex, endIndex } = action.payload;
-      const newList = Array.from(state.playlist);
-      const [removed] = newList.splice(startIndex, 1);
-      newList.splice(endIndex, 0, removed);
-      
-      let newCurrentIndex = state.currentIndex;
-      if (startIndex === state.currentIndex) {
-        newCurrentIndex = endIndex;
-      } else if (startIndex < state.currentIndex && endIndex >= state.currentIndex) {
-        newCurrentIndex = state.currentIndex - 1;
-      } else if (startIndex > state.currentIndex && endIndex <= state.currentIndex) {
-        newCurrentIndex = state.currentIndex + 1;
-      }
+    default: {
+      const next = playerReducer(state, action);
+      if (!UNDOABLE_ACTIONS.includes(action.type)) return next;
+      if (next.library === state.library && next.playlists === state.playlists) return next;
+
+      const top = undoHistory.past[undoHistory.past.length - 1];
+      const isGrouped = !!action.undoGroup && top?.group === action.undoGroup;
+      const before = isGrouped ? top : {
+        action,
+        group: action.undoGroup ?? null,
+        library: state.library,
+        playlists: state.playlists
+      };
+      const entry = { ...before, label: describeEdit(before, next) };
+      const past = [...(isGrouped ? undoHistory.past.slice(0, -1) : undoHistory.past), entry].slice(-MAX_UNDO);
 
       return {
-        ...state,
-        playlist: newList,
-        currentIndex: newCurrentIndex,
-        originalOrder: newList.map((_, index) => index)
+        ...next,
+        undoHistory: { past, future: [], lastChange: { kind: 'edit', label: entry.label } }
       };
+    }
+  }
+}
+
+const countTracks = (count) => `${count} track${count === 1 ? '' : 's'}`;
+
+// What an edit did, for the undo toast. `before` holds the action that
+// started the edit and the library and playlists from before it.
+function describeEdit(before, state) {
+  const { type, payload } = before.action;
+  const playlistId = payload?.playlistId ?? state.activePlaylistId;
+  const isLibrary = playlistId === LIBRARY_ID;
+  const oldIds = getListIds(before, playlistId);
+  const findTitle = (trackId) => before.library.find(track => track.id === trackId)?.title ??
+    state.library.find(track => track.id === trackId)?.title;
+  const listName = getPlaylistName(state.playlists, playlistId);
+
+  switch (type) {
+    case 'SET_PLAYLIST':
+    case 'ADD_TO_PLAYLIST': {
+      const oldSet = new Set(oldIds);
+      const added = getListIds(state, playlistId).filter(id => !oldSet.has(id)).length;
+      return `Added ${countTracks(added)} to ${listName}`;
+    }
+
+    case 'REMOVE_FROM_PLAYLIST': {
+      const title = findTitle(oldIds[payload.index]);
+      return isLibrary ? `Deleted "${title}"` : `Removed "${title}" from ${listName}`;
+    }
+
+    case 'UPDATE_TRACKS':
+      return payload.ids.length === 1
+        ? `Edited the tags of "${findTitle(payload.ids[0])}"`
+        : `Edited the tags of ${countTracks(payload.ids.length)}`;
+
+    case 'CREATE_PLAYLIST':
+      return `Created ${payload.name}`;
+
+    case 'RENAME_PLAYLIST':
+      return `Renamed ${getPlaylistName(before.playlists, payload.id)} to ${payload.name}`;
+
+    case 'DELETE_PLAYLIST':
+      return `Deleted ${getPlaylistName(before.playlists, payload)}`;
+
+    case 'CLEAR_PLAYLIST':
+      return isLibrary ? 'Deleted every track in the library' : `Cleared ${listName}`;
+
+    case 'REORDER_PLAYLIST':
+      return `Moved "${findTitle(oldIds[payload.startIndex])}"`;
+
+    case 'MOVE_TRACKS':
+      return payload.trackIds.length === 1
+        ? `Moved "${findTitle(payload.trackIds[0])}"`
+        : `Moved ${countTracks(payload.trackIds.length)}`;
 
     default:
-      return state;
+      return 'Edited the library';
+  }
+}
+
+function getListIds(state, playlistId) {
+  if (playlistId === LIBRARY_ID) {
+    return state.library.map(track => track.id);
+  }
+  return state.playlists.find(playlist => playlist.id === playlistId)?.trackIds ?? [];
+}
+
+// Write a list back as ids. For the library this reorders/filters the
+// tracks themselves, and tracks leaving it leave every playlist too.
+function setListIds(state, playlistId, trackIds) {
+  if (playlistId !== LIBRARY_ID) {
+    return {
+      ...state,
+      playlists: state.playlists.map(playlist =>
+        playlist.id === playlistId ? { ...playlist, trackIds, updatedAt: Date.now() } : playlist
+      )
+    };
+  }
+
+  const tracksById = new Map(state.library.map(track => [track.id, track]));
+  const kept = new Set(trackIds);
+
+  return {
+    ...state,
+    library: trackIds.map(id => tracksById.get(id)).filter(Boolean),
+    playlists: state.playlists.map(playlist =>
+      playlist.trackIds.every(id => kept.has(id))
+        ? playlist
+        : { ...playlist, trackIds: playlist.trackIds.filter(id => kept.has(id)), updatedAt: Date.now() }
+    )
+  };
+}
+
+function addToLibrary(state, tracks) {
+  const known = new Set(state.library.map(track => track.id));
+  const newTracks = tracks.filter(track => !known.has(track.id));
+  return newTracks.length > 0
+    ? { ...state, library: [...state.library, ...newTracks] }
+    : state;
+}
+
+// Re-derive the playing list after the library, playlists or active list
+// changed. The current track keeps playing as long as it is still in the
+// active list (or, for a queued track, in the library); otherwise playback
+// stops. Queue and history entries for tracks that left the library go too.
+function syncPlaylist(state) {
+  const playlist = resolvePlaylistTracks(state.library, state.playlists, state.activePlaylistId);
+  const tracksById = new Map(state.library.map(track => [track.id, track]));
+  const order = playlist.map((_, index) => index);
+
+  let currentIndex;
+  let currentTrack;
+  if (state.currentQueueEntry) {
+    // The list position to resume from is tracked by the track sitting there
+    const resumeId = state.playlist[state.currentIndex]?.id;
+    currentIndex = resumeId ? playlist.findIndex(track => track.id === resumeId) : -1;
+    currentTrack = tracksById.get(state.currentTrack.id) ?? null;
+  } else {
+    currentIndex = state.currentTrack
+      ? playlist.findIndex(track => track.id === state.currentTrack.id)
+      : -1;
+    currentTrack = currentIndex >= 0 ? playlist[currentIndex] : null;
+  }
+
+  return {
+    ...state,
+    playlist,
+    queue: keepKnownTracks(state.queue, tracksById),
+    history: keepKnownTracks(state.history, tracksById),
+    currentIndex,
+    currentTrack,
+    currentQueueEntry: currentTrack ? state.currentQueueEntry : null,
+    isPlaying: currentTrack ? state.isPlaying : false,
+    originalOrder: order,
+    shuffleOrder: state.shuffle && playlist.length !== state.playlist.length
+      ? shuffleArray(order)
+      : state.shuffleOrder
+  };
+}
+
+// Same array back when nothing was dropped, so unchanged lists are not
+// saved again
+function keepKnownTracks(entries, tracksById) {
+  const kept = entries.filter(entry => tracksById.has(entry.trackId));
+  return kept.length === entries.length ? entries : kept;
+}
+
+const MAX_HISTORY = 100;
+
+// History with the outgoing current track added at the front. Replaying
+// the same track back to back (repeat, previous) only counts once.
+function addToHistory(state) {
+  const { currentTrack, history } = state;
+  if (!currentTrack || history[0]?.trackId === currentTrack.id) return history;
+
+  return [
+    { trackId: currentTrack.id, playedAt: Date.now() },
+    ...history
+  ].slice(0, MAX_HISTORY);
+}
+
+// What plays after the current track: the track itself on repeat-one, else
+// the head of the queue, else the next track of the active list
+function getUpcoming(state) {
+  if (state.repeat === 'one' && state.currentTrack) {
+    return { track: state.currentTrack, isRepeat: true };
+  }
+
+  if (state.queue.length > 0) {
+    const entry = state.queue[0];
+    return { track: state.library.find(track => track.id === entry.trackId), entry };
+  }
+
+  const index = getNextTrackIndex(state);
+  return index >= 0 ? { track: state.playlist[index], index } : null;
+}
+
+function playUpcoming(state, upcoming) {
+  if (upcoming.isRepeat) {
+    return { ...state, currentTime: 0 };
   }
+
+  if (upcoming.entry) {
+    // currentIndex stays put so the active list resumes where it was
+    return {
+      ...state,
+      history: addToHistory(state),
+      queue: state.queue.slice(1),
+      currentTrack: upcoming.track,
+      currentQueueEntry: upcoming.entry,
+      currentTime: 0
+    };
+  }
+
+  return {
+    ...state,
+    history: addToHistory(state),
+    currentIndex: upcoming.index,
+    currentTrack: upcoming.track,
+    currentQueueEntry: null,
+    currentTime: 0
+  };
 }
 
 function shuffleArray(array) {
@@ -222,66 +806,512 @@ function getPreviousTrackIndex(state) {
 }
 
 export function PlayerProvider({ children }) {
-  const [state, dispatch] = useReducer(playerReducer, initialState);
+  const [state, dispatch] = useReducer(undoableReducer, initialState);
+  const [audioEngine, setAudioEngine] = useState(null);
+  const [isRestored, setIsRestored] = useState(false);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // Own the audio engine and feed its events back into the reducer
+  useEffect(() => {
+    const engine = createAudioEngine();
+
+    const unsubscribers = [
+      engine.on('loadstart', () => {
+        dispatch({ type: 'SET_ERROR', payload: null });
+        dispatch({ type: 'SET_LOADING', payload: true });
+      }),
+      engine.on('loadedmetadata', ({ duration }) => {
+        dispatch({ type: 'SET_DURATION', payload: duration });
+        dispatch({ type: 'SET_LOADING', payload: false });
+      }),
+      engine.on('timeupdate', ({ currentTime }) => {
+        dispatch({ type: 'SET_CURRENT_TIME', payload: currentTime });
+      }),
+      engine.on('ended', ({ gapless }) => {
+        // Without a preloaded handover, repeat-one has to restart by hand
+        if (!gapless && stateRef.current.repeat === 'one') {
+          engine.seek(0);
+          engine.play();
+          return;
+        }
+        dispatch({ type: 'TRACK_ENDED' });
+      }),
+      engine.on('error', ({ message }) => {
+        dispatch({ type: 'SET_ERROR', payload: message });
+        dispatch({ type: 'SET_PLAYING', payload: false });
+      }),
+      // While the audio is decoded anyway, work out the seek bar's waveform,
+      // the tempo and key of tracks imported before they were detected, and
+      // the loudness of tracks without ReplayGain tags, keeping the results
+      // on the track
+      engine.on('decoded', ({ track, buffer }) => {
+        createWaveform(track, buffer)
+          .catch(error => console.warn('Could not draw the waveform:', error));
+
+        const saved = stateRef.current.library.find(item => item.id === track.id) ?? track;
+        if (needsAnalysis(saved)) {
+          analyzeTrack(saved, buffer)
+            .then(updates => dispatch({ type: 'UPDATE_TRACK', payload: { id: track.id, updates } }))
+            .catch(error => console.warn('Could not analyse the track:', error));
+        }
+
+        if (!needsLoudnessMeasurement(saved)) return;
 
-  // Load saved state on mount
+        measureLoudness(saved, buffer)
+          .then(loudness => dispatch({ type: 'UPDATE_TRACK', payload: { id: track.id, updates: { loudness } } }))
+          .catch(error => console.warn('Could not measure loudness:', error));
+      }),
+      // Practice mode takes the speed down a step each pass of the loop
+      engine.on('loop', ({ track }) => {
+        const { practice, library } = stateRef.current;
+        if (!practice.enabled) return;
+
+        const rate = library.find(item => item.id === track.id)?.playbackRate ?? 1;
+        const playbackRate = clampPlaybackRate(Math.max(practice.minRate, rate - practice.step));
+        if (playbackRate === rate) return;
+        dispatch({
+          type: 'UPDATE_TRACK',
+          payload: { id: track.id, updates: { playbackRate: playbackRate === 1 ? undefined : playbackRate } }
+        });
+      })
+    ];
+
+    setAudioEngine(engine);
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      engine.dispose();
+      setAudioEngine(null);
+    };
+  }, []);
+
+  // Load whichever track the reducer says is current
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    if (state.currentTrack) {
+      audioEngine.load(state.currentTrack);
+    } else {
+      audioEngine.unload();
+      dispatch({ type: 'SET_DURATION', payload: 0 });
+    }
+  }, [audioEngine, state.currentTrack]);
+
+  // Start or stop playback; re-runs on track change so a new track keeps playing
   useEffect(() => {
-    const savedPlaylist = loadPlaylist();
+    if (!audioEngine) return;
+
+    if (state.isPlaying && state.currentTrack) {
+      audioEngine.play();
+    } else {
+      audioEngine.pause();
+    }
+  }, [audioEngine, state.isPlaying, state.currentTrack]);
+
+  // Keep the engine's next deck in step with the queue, shuffle order and
+  // repeat mode
+  const upcomingTrack = state.currentTrack ? getUpcoming(state)?.track ?? null : null;
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.preload(upcomingTrack);
+  }, [audioEngine, upcomingTrack]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.setVolume(state.volume);
+    audioEngine.setMuted(state.isMuted);
+  }, [audioEngine, state.volume, state.isMuted]);
+
+  // A track can carry its own preset, which then wins over the EQ settings
+  const trackPreset = state.currentTrack?.eqPresetId
+    ? findPreset(state.equalizerPresets, state.currentTrack.eqPresetId)
+    : null;
+  const activeEqualizer = useMemo(
+    () => trackPreset ? getPresetSettings(trackPreset) : state.equalizer,
+    [trackPreset, state.equalizer]
+  );
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.setEqualizer(activeEqualizer);
+  }, [audioEngine, activeEqualizer]);
+
+  // Album gain depends on the other tracks of the album, so the whole
+  // library is looked at
+  const { library, normalization } = state;
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.setTrackGain((track) => {
+      const saved = library.find(item => item.id === track.id) ?? track;
+      return dbToGain(getTrackNormalization(saved, library, normalization)?.gain ?? 0);
+    });
+  }, [audioEngine, library, normalization]);
+
+  // Speed and pitch are the track's own, so a podcast stays at 1.5x and a
+  // song being practised stays slowed down
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    const findSaved = (track) => library.find(item => item.id === track.id) ?? track;
+    audioEngine.setPlaybackRate(track => findSaved(track).playbackRate ?? 1);
+    audioEngine.setPitchShift(track => findSaved(track).pitchShift ?? 0);
+  }, [audioEngine, library]);
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.setRateMode(state.rateMode);
+  }, [audioEngine, state.rateMode]);
+
+  const currentTrackId = state.currentTrack?.id;
+  const activeLoop = useMemo(
+    () => getActiveLoop(state.abLoop, currentTrackId),
+    [state.abLoop, currentTrackId]
+  );
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.setLoop(activeLoop);
+  }, [audioEngine, activeLoop]);
+
+  const trackNormalization = useMemo(
+    () => getTrackNormalization(state.currentTrack, library, normalization),
+    [state.currentTrack, library, normalization]
+  );
+
+  useEffect(() => {
+    if (!audioEngine) return;
+
+    audioEngine.setCrossfade({
+      duration: state.crossfadeDuration,
+      curve: state.crossfadeCurve
+    });
+  }, [audioEngine, state.crossfadeDuration, state.crossfadeCurve]);
+
+  // Load saved state on mount. Track audio lives in IndexedDB, so the
+  // playlist only becomes playable once fresh blob URLs have been minted.
+  useEffect(() => {
+    let cancelled = false;
     const savedPlayerState = loadPlayerState();
-    
-    if (savedPlaylist && savedPlaylist.length > 0) {
-      dispatch({ type: 'SET_PLAYLIST', payload: savedPlaylist });
+
+    if (savedPlayerState) {
+      if (savedPlayerState.volume !== undefined) {
+        dispatch({ type: 'SET_VOLUME', payload: savedPlayerState.volume });
+      }
+
+      if (savedPlayerState.isMuted !== undefined) {
+        dispatch({ type: 'SET_MUTED', payload: savedPlayerState.isMuted });
+      }
       
+      if (savedPlayerState.repeat) {
+        dispatch({ type: 'SET_REPEAT', payload: savedPlayerState.repeat });
+      }
+
+      if (savedPlayerState.crossfadeDuration !== undefined || savedPlayerState.crossfadeCurve) {
+        dispatch({
+          type: 'SET_CROSSFADE',
+          payload: {
+            duration: savedPlayerState.crossfadeDuration,
+            curve: savedPlayerState.crossfadeCurve
+          }
+        });
+      }
+
+      if (savedPlayerState.equalizer) {
+        dispatch({ type: 'SET_EQUALIZER', payload: normalizeEqualizer(savedPlayerState.equalizer) });
+      }
+
+      if (RATE_MODES.some(mode => mode.id === savedPlayerState.rateMode)) {
+        dispatch({ type: 'SET_RATE_MODE', payload: savedPlayerState.rateMode });
+      }
+
+      if (savedPlayerState.practice) {
+        dispatch({ type: 'SET_PRACTICE', payload: normalizePractice(savedPlayerState.practice) });
+      }
+
+      if (savedPlayerState.normalization) {
+        dispatch({ type: 'SET_NORMALIZATION', payload: normalizeNormalization(savedPlayerState.normalization) });
+      }
+    }
+
+    dispatch({
+      type: 'SET_EQUALIZER_PRESETS',
+      payload: loadEqualizerPresets().map(normalizePreset).filter(Boolean)
+    });
+
+    const restore = async () => {
+      const savedLibrary = loadLibrary();
+      const library = savedLibrary.length > 0
+        ? await restoreTrackUrls(savedLibrary)
+        : [];
+
+      if (cancelled) {
+        releaseAllTracks(library);
+        return;
+      }
+
+      const playlists = loadPlaylists();
+      const { queue, history } = loadQueue();
+      const activePlaylistId = savedPlayerState?.activePlaylistId ?? LIBRARY_ID;
+      dispatch({
+        type: 'SET_LIBRARY',
+        payload: { library, playlists, activePlaylistId, queue, history }
+      });
+
       if (savedPlayerState) {
-        if (savedPlayerState.currentIndex >= 0 && savedPlayerState.currentIndex < savedPlaylist.length) {
+        // Older saves only know the index into the single playlist
+        const activeTracks = resolvePlaylistTracks(library, playlists, activePlaylistId);
+        const savedIndex = savedPlayerState.currentTrackId
+          ? activeTracks.findIndex(track => track.id === savedPlayerState.currentTrackId)
+          : savedPlayerState.currentIndex;
+
+        if (savedIndex >= 0 && savedIndex < activeTracks.length) {
           dispatch({
             type: 'SET_CURRENT_TRACK',
-            payload: {
-              track: savedPlaylist[savedPlayerState.currentIndex],
-              index: savedPlayerState.currentIndex
-            }
+            payload: { track: activeTracks[savedIndex], index: savedIndex }
           });
         }
-        
-        if (savedPlayerState.volume !== undefined) {
-          dispatch({ type: 'SET_VOLUME', payload: savedPlayerState.volume });
-        }
-        
-        if (savedPlayerState.repeat) {
-          dispatch({ type: 'SET_REPEAT', payload: savedPlayerState.repeat });
-        }
-        
+
         if (savedPlayerState.shuffle !== undefined) {
           dispatch({ type: 'SET_SHUFFLE', payload: savedPlayerState.shuffle });
         }
       }
-    }
+
+      setIsRestored(true);
+
+      if (library.length > 0) {
+        requestPersistentStorage();
+      }
+    };
+
+    restore();
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // Save playlist when it changes
+  // Save the library and playlists when they change
+  useEffect(() => {
+    if (isRestored) {
+      saveLibrary(state.library);
+    }
+  }, [isRestored, state.library]);
+
+  useEffect(() => {
+    if (isRestored) {
+      savePlaylists(state.playlists);
+    }
+  }, [isRestored, state.playlists]);
+
+  useEffect(() => {
+    if (isRestored) {
+      saveQueue({ queue: state.queue, history: state.history });
+    }
+  }, [isRestored, state.queue, state.history]);
+
   useEffect(() => {
-    if (state.playlist.length > 0) {
-      savePlaylist(state.playlist);
+    if (isRestored) {
+      saveEqualizerPresets(state.equalizerPresets);
     }
-  }, [state.playlist]);
+  }, [isRestored, state.equalizerPresets]);
+
+  // Removed tracks stay playable while an undo can still bring them back.
+  // Once no version of the library refers to one, its audio goes for good.
+  const liveTracksRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!isRestored) return;
+
+    const live = new Map();
+    const collect = (library) => library.forEach(track => live.set(track.id, track));
+    state.undoHistory.past.forEach(entry => collect(entry.library));
+    state.undoHistory.future.forEach(entry => collect(entry.library));
+    collect(state.library);
+
+    liveTracksRef.current.forEach((track, id) => {
+      if (!live.has(id)) releaseTrack(track, { deleteAudio: true });
+    });
+
+    // Whatever an undo could still bring back is kept if the page closes
+    // now; the next load deletes it once the library is known not to have it
+    const inLibrary = new Set(state.library.map(track => track.id));
+    const removed = new Map(loadRemovedTracks()
+      .filter(entry => !inLibrary.has(entry.id))
+      .map(entry => [entry.id, entry]));
+    [...liveTracksRef.current.values(), ...live.values()].forEach(track => {
+      if (!inLibrary.has(track.id)) {
+        removed.set(track.id, { id: track.id, artworkId: track.artworkId ?? null });
+      }
+    });
+    saveRemovedTracks([...removed.values()]);
+    liveTracksRef.current = live;
+  }, [isRestored, state.library, state.undoHistory]);
 
   // Save player state when relevant properties change
   useEffect(() => {
+    if (!isRestored) return;
+
     const playerState = {
+      activePlaylistId: state.activePlaylistId,
+      currentTrackId: state.currentTrack?.id ?? null,
       currentIndex: state.currentIndex,
       volume: state.volume,
+      isMuted: state.isMuted,
       repeat: state.repeat,
-      shuffle: state.shuffle
+      shuffle: state.shuffle,
+      crossfadeDuration: state.crossfadeDuration,
+      crossfadeCurve: state.crossfadeCurve,
+      equalizer: state.equalizer,
+      normalization: state.normalization,
+      rateMode: state.rateMode,
+      practice: state.practice
     };
     savePlayerState(playerState);
-  }, [state.currentIndex, state.volume, state.repeat, state.shuffle]);
+  }, [
+    isRestored,
+    state.activePlaylistId,
+    state.currentTrack?.id,
+    state.currentIndex,
+    state.volume,
+    state.isMuted,
+    state.repeat,
+    state.shuffle,
+    state.crossfadeDuration,
+    state.crossfadeCurve,
+    state.equalizer,
+    state.normalization,
+    state.rateMode,
+    state.practice
+  ]);
+
+  // Stable, so effects that offer them (the undo toast) can depend on them
+  const undo = useCallback(() => dispatch({ type: 'UNDO' }), []);
+  const redo = useCallback(() => dispatch({ type: 'REDO' }), []);
 
   const actions = {
-    setPlaylist: (playlist) => dispatch({ type: 'SET_PLAYLIST', payload: playlist }),
+    setPlaylist: (tracks, playlistId) => dispatch({
+      type: 'SET_PLAYLIST',
+      payload: { tracks, playlistId }
+    }),
     
-    addToPlaylist: (tracks) => dispatch({ type: 'ADD_TO_PLAYLIST', payload: tracks }),
+    addToPlaylist: (tracks, playlistId) => dispatch({
+      type: 'ADD_TO_PLAYLIST',
+      payload: { tracks: Array.isArray(tracks) ? tracks : [tracks], playlistId }
+    }),
     
-    removeFromPlaylist: (index) => dispatch({ type: 'REMOVE_FROM_PLAYLIST', payload: index }),
+    // Index into the given list (the active one by default). Only removal
+    // from the library deletes the stored audio, once it can't be undone.
+    removeFromPlaylist: (index, playlistId = state.activePlaylistId) => dispatch({
+      type: 'REMOVE_FROM_PLAYLIST',
+      payload: { index, playlistId }
+    }),
+
+    updateTrack: (id, updates) => dispatch({
+      type: 'UPDATE_TRACK',
+      payload: { id, updates }
+    }),
+
+    updateTracks: (ids, updates) => dispatch({
+      type: 'UPDATE_TRACKS',
+      payload: { ids, updates }
+    }),
+
+    // Store uploaded files in the library and add them to a playlist (the
+    // active one by default). Files matching a track whose audio was evicted
+    // re-attach to that track instead, and files already in the library are
+    // not stored twice. Large imports reach the playlist in batches and can
+    // be stopped through options.signal; options.afterTrackId inserts them
+    // after that track instead of at the end.
+    importFiles: async (files, playlistId, { onProgress, signal, afterTrackId } = {}) => {
+      const tracks = [];
+      const added = [];
+      const relinked = [];
+      const duplicates = [];
+      const errors = [];
+      const known = [...state.library];
+      let pending = [];
+      let processed = 0;
+      let insertAfterId = afterTrackId;
+      // The whole import is undone in one go
+      const undoGroup = createTrackId();
+
+      const flush = () => {
+        if (pending.length === 0) return;
+        dispatch({
+          type: 'ADD_TO_PLAYLIST',
+          payload: { tracks: pending, playlistId, afterTrackId: insertAfterId },
+          undoGroup
+        });
+        // Later batches follow this one rather than jumping ahead of it
+        if (insertAfterId) insertAfterId = pending[pending.length - 1].id;
+        tracks.push(...pending);
+        pending = [];
+      };
+
+      for (const file of files) {
+        if (signal?.aborted) break;
+        onProgress?.({ done: processed, total: files.length, fileName: file.name });
+
+        try {
+          const missing = findMissingMatch(known, file);
+          const duplicate = !missing && findDuplicate(known, file);
+
+          if (missing) {
+            const restored = await relinkAudioFile(missing, file);
+            dispatch({ type: 'UPDATE_TRACK', payload: { id: missing.id, updates: restored } });
+            known[known.indexOf(missing)] = restored;
+            relinked.push(restored);
+            pending.push(restored);
+          } else if (duplicate) {
+            duplicates.push(duplicate);
+            pending.push(duplicate);
+          } else {
+            const track = await importAudioFile(file);
+            known.push(track);
+            added.push(track);
+            pending.push(track);
+          }
+        } catch (error) {
+          console.error(`Error importing ${file.name}:`, error);
+          errors.push({ file, message: error.message });
+        }
+
+        processed++;
+        if (pending.length >= IMPORT_BATCH_SIZE) flush();
+      }
+
+      flush();
+      onProgress?.({ done: processed, total: files.length, fileName: null });
+
+      // Tempo and key detection carry on in the background, a track at a time
+      [...added, ...relinked].filter(needsAnalysis).forEach(track => {
+        analyzeTrack(track)
+          .then(updates => dispatch({ type: 'UPDATE_TRACK', payload: { id: track.id, updates } }))
+          .catch(error => console.warn(`Could not analyse ${track.fileName}:`, error));
+      });
+
+      if (added.length > 0) {
+        requestPersistentStorage();
+      }
+
+      if (added.some(track => !track.isPersisted)) {
+        dispatch({
+          type: 'SET_ERROR',
+          payload: 'Storage is full: some tracks will only be available until the page is reloaded'
+        });
+      }
+
+      return { tracks, added, relinked, duplicates, errors, processed };
+    },
     
     setCurrentTrack: (track, index) => dispatch({
       type: 'SET_CURRENT_TRACK',
@@ -293,8 +1323,26 @@ export function PlayerProvider({ children }) {
     pause: () => dispatch({ type: 'SET_PLAYING', payload: false }),
     
     togglePlay: () => dispatch({ type: 'SET_PLAYING', payload: !state.isPlaying }),
+
+    // Play a track from a list, making that list the active one
+    playTrack: (track, index, playlistId = state.activePlaylistId) => {
+      dispatch({
+        type: 'SET_CURRENT_TRACK',
+        payload: { track, index, playlistId }
+      });
+      dispatch({ type: 'SET_PLAYING', payload: true });
+    },
     
-    setVolume: (volume) => dispatch({ type: 'SET_VOLUME', payload: Math.max(0, Math.min(1, volume)) }),
+    setVolume: (volume) => {
+      dispatch({ type: 'SET_VOLUME', payload: Math.max(0, Math.min(1, volume)) });
+      if (state.isMuted && volume > 0) {
+        dispatch({ type: 'SET_MUTED', payload: false });
+      }
+    },
+
+    setMuted: (muted) => dispatch({ type: 'SET_MUTED', payload: muted }),
+
+    toggleMute: () => dispatch({ type: 'SET_MUTED', payload: !state.isMuted }),
     
     setCurrentTime: (time) => dispatch({ type: 'SET_CURRENT_TIME', payload: time }),
     
@@ -319,19 +1367,282 @@ export function PlayerProvider({ children }) {
       dispatch({ type: 'SET_REPEAT', payload: nextMode });
     },
     
+    setCrossfadeDuration: (seconds) => dispatch({
+      type: 'SET_CROSSFADE',
+      payload: { duration: Math.max(0, Math.min(MAX_CROSSFADE_DURATION, seconds)) }
+    }),
+
+    setCrossfadeCurve: (curve) => {
+      if (CROSSFADE_CURVES.includes(curve)) {
+        dispatch({ type: 'SET_CROSSFADE', payload: { curve } });
+      }
+    },
+
+    setEqualizerEnabled: (enabled) => dispatch({ type: 'SET_EQUALIZER', payload: { enabled } }),
+
+    // Any hand edit turns the settings into a custom curve
+    updateEqualizer: (updates) => dispatch({
+      type: 'SET_EQUALIZER',
+      payload: { ...updates, presetId: null }
+    }),
+
+    applyEqualizerPreset: (presetId) => {
+      const preset = findPreset(state.equalizerPresets, presetId);
+      if (preset) {
+        dispatch({ type: 'SET_EQUALIZER', payload: getPresetSettings(preset) });
+      }
+    },
+
+    // Keep the current settings as a preset of the user's own
+    saveEqualizerPreset: (name) => {
+      const { preamp, bands, parametric } = state.equalizer;
+      const preset = {
+        id: createTrackId(),
+        name: getUniquePlaylistName(state.equalizerPresets, name.trim() || 'My preset'),
+        preamp,
+        bands: [...bands],
+        parametric: parametric.map(band => ({ ...band }))
+      };
+      dispatch({ type: 'SET_EQUALIZER_PRESETS', payload: [...state.equalizerPresets, preset] });
+      dispatch({ type: 'SET_EQUALIZER', payload: { presetId: preset.id } });
+      return preset.id;
+    },
+
+    // Tracks set to a deleted preset go back to the EQ settings
+    deleteEqualizerPreset: (presetId) => {
+      dispatch({
+        type: 'SET_EQUALIZER_PRESETS',
+        payload: state.equalizerPresets.filter(preset => preset.id !== presetId)
+      });
+      if (state.equalizer.presetId === presetId) {
+        dispatch({ type: 'SET_EQUALIZER', payload: { presetId: null } });
+      }
+    },
+
+    // A preset this track always plays with, or null to follow the EQ
+    setTrackEqualizerPreset: (trackId, presetId) => dispatch({
+      type: 'UPDATE_TRACK',
+      payload: { id: trackId, updates: { eqPresetId: presetId ?? undefined } }
+    }),
+
+    // { mode, preamp, preventClipping }, any of them
+    updateNormalization: (updates) => dispatch({
+      type: 'SET_NORMALIZATION',
+      payload: normalizeNormalization({ ...state.normalization, ...updates })
+    }),
+
+    // Speed and pitch of a track, the current one by default. 1x and no
+    // shift are not stored.
+    setPlaybackRate: (rate, trackId = state.currentTrack?.id) => {
+      if (!trackId) return;
+      const playbackRate = clampPlaybackRate(rate);
+      dispatch({
+        type: 'UPDATE_TRACK',
+        payload: { id: trackId, updates: { playbackRate: playbackRate === 1 ? undefined : playbackRate } }
+      });
+    },
+
+    setPitchShift: (semitones, trackId = state.currentTrack?.id) => {
+      if (!trackId) return;
+      const pitchShift = clampPitchShift(semitones);
+      dispatch({
+        type: 'UPDATE_TRACK',
+        payload: { id: trackId, updates: { pitchShift: pitchShift === 0 ? undefined : pitchShift } }
+      });
+    },
+
+    setRateMode: (mode) => {
+      if (RATE_MODES.some(({ id }) => id === mode)) {
+        dispatch({ type: 'SET_RATE_MODE', payload: mode });
+      }
+    },
+
+    // A and B points, at the playhead unless a time is given
+    setLoopPoint: (point, time = state.currentTime) => {
+      const track = state.currentTrack;
+      if (!track) return;
+      const loop = state.abLoop?.trackId === track.id
+        ? state.abLoop
+        : { trackId: track.id, start: null, end: null, enabled: true };
+      dispatch({
+        type: 'SET_AB_LOOP',
+        payload: { ...moveLoopPoint(loop, point, time, state.duration), enabled: true }
+      });
+    },
+
+    nudgeLoopPoint: (point, seconds) => {
+      const loop = state.abLoop;
+      if (loop?.[point] === null || loop?.[point] === undefined) return;
+      dispatch({ type: 'SET_AB_LOOP', payload: moveLoopPoint(loop, point, loop[point] + seconds, state.duration) });
+    },
+
+    toggleLoop: () => {
+      if (state.abLoop) {
+        dispatch({ type: 'SET_AB_LOOP', payload: { ...state.abLoop, enabled: !state.abLoop.enabled } });
+      }
+    },
+
+    clearLoop: () => dispatch({ type: 'SET_AB_LOOP', payload: null }),
+
+    // Keep the current loop on the track under a name
+    saveLoop: (name) => {
+      const track = state.currentTrack;
+      const loop = state.abLoop;
+      if (!track || loop?.trackId !== track.id || loop.start === null || loop.end === null) return null;
+
+      const loops = track.loops ?? [];
+      const saved = {
+        id: createTrackId(),
+        name: getUniquePlaylistName(loops, name.trim() || 'Loop'),
+        start: loop.start,
+        end: loop.end
+      };
+      dispatch({ type: 'UPDATE_TRACK', payload: { id: track.id, updates: { loops: [...loops, saved] } } });
+      return saved.id;
+    },
+
+    loadSavedLoop: (loopId) => {
+      const track = state.currentTrack;
+      const saved = track?.loops?.find(loop => loop.id === loopId);
+      if (saved) {
+        dispatch({
+          type: 'SET_AB_LOOP',
+          payload: { trackId: track.id, start: saved.start, end: saved.end, enabled: true }
+        });
+      }
+    },
+
+    deleteSavedLoop: (loopId) => {
+      const track = state.currentTrack;
+      if (!track?.loops) return;
+      const loops = track.loops.filter(loop => loop.id !== loopId);
+      dispatch({
+        type: 'UPDATE_TRACK',
+        payload: { id: track.id, updates: { loops: loops.length > 0 ? loops : undefined } }
+      });
+    },
+
+    updatePractice: (updates) => dispatch({
+      type: 'SET_PRACTICE',
+      payload: normalizePractice({ ...state.practice, ...updates })
+    }),
+
     setShuffle: (shuffle) => dispatch({ type: 'SET_SHUFFLE', payload: shuffle }),
     
     toggleShuffle: () => dispatch({ type: 'SET_SHUFFLE', payload: !state.shuffle }),
     
-    clearPlaylist: () => dispatch({ type: 'CLEAR_PLAYLIST' }),
+    // Clearing the library deletes every track; clearing a named playlist
+    // only empties it
+    clearPlaylist: (playlistId = state.activePlaylistId) => dispatch({
+      type: 'CLEAR_PLAYLIST',
+      payload: { playlistId }
+    }),
     
-    reorderPlaylist: (startIndex, endIndex) => dispatch({
+    reorderPlaylist: (startIndex, endIndex, playlistId) => dispatch({
       type: 'REORDER_PLAYLIST',
+      payload: { startIndex, endIndex, playlistId }
+    }),
+
+    moveTracks: (trackIds, index, playlistId) => dispatch({
+      type: 'MOVE_TRACKS',
+      payload: { trackIds, index, playlistId }
+    }),
+
+    createPlaylist: (name = 'New playlist', trackIds = []) => {
+      const playlist = createPlaylist(getUniquePlaylistName(state.playlists, name.trim() || 'New playlist'), trackIds);
+      dispatch({ type: 'CREATE_PLAYLIST', payload: playlist });
+      return playlist.id;
+    },
+
+    renamePlaylist: (id, name) => {
+      const trimmed = name.trim();
+      if (!trimmed) return;
+      dispatch({ type: 'RENAME_PLAYLIST', payload: { id, name: trimmed } });
+    },
+
+    duplicatePlaylist: (id) => {
+      const source = state.playlists.find(playlist => playlist.id === id);
+      if (!source) return null;
+
+      const copy = createPlaylist(
+        getUniquePlaylistName(state.playlists, `${source.name} copy`),
+        [...source.trackIds]
+      );
+      dispatch({ type: 'CREATE_PLAYLIST', payload: copy });
+      return copy.id;
+    },
+
+    deletePlaylist: (id) => dispatch({ type: 'DELETE_PLAYLIST', payload: id }),
+
+    // Read an M3U/PLS/XSPF file and point its entries at tracks already in
+    // the library: appended to the given playlist, or as a new playlist
+    // named after the file. Entries with no matching track are returned.
+    importPlaylistFile: async (file, playlistId) => {
+      const { name, entries } = await parsePlaylistFile(file);
+      // Read the latest library, which may have grown by an import that ran
+      // just before this one
+      const { library, playlists } = stateRef.current;
+      const { tracks, unmatched } = matchPlaylistEntries(entries, library);
+      const uniqueTracks = [...new Set(tracks)];
+
+      if (playlistId) {
+        dispatch({ type: 'ADD_TO_PLAYLIST', payload: { tracks: uniqueTracks, playlistId } });
+        return { playlistId, tracks: uniqueTracks, unmatched };
+      }
+
+      const playlist = createPlaylist(getUniquePlaylistName(playlists, name));
+      dispatch({ type: 'CREATE_PLAYLIST', payload: playlist, undoGroup: playlist.id });
+      dispatch({
+        type: 'SET_PLAYLIST',
+        payload: { tracks: uniqueTracks, playlistId: playlist.id },
+        undoGroup: playlist.id
+      });
+      return { playlistId: playlist.id, tracks: uniqueTracks, unmatched };
+    },
+
+    // Queue tracks to play right after the current one, in the given order
+    playNext: (trackIds) => dispatch({
+      type: 'QUEUE_ADD',
+      payload: { entries: createQueueEntries(trackIds), position: 'next' }
+    }),
+
+    addToQueue: (trackIds) => dispatch({
+      type: 'QUEUE_ADD',
+      payload: { entries: createQueueEntries(trackIds), position: 'end' }
+    }),
+
+    removeFromQueue: (entryId) => dispatch({ type: 'QUEUE_REMOVE', payload: entryId }),
+
+    reorderQueue: (startIndex, endIndex) => dispatch({
+      type: 'QUEUE_REORDER',
       payload: { startIndex, endIndex }
     }),
+
+    clearQueue: () => dispatch({ type: 'QUEUE_CLEAR' }),
+
+    playFromQueue: (entry) => {
+      dispatch({ type: 'QUEUE_PLAY', payload: entry });
+      dispatch({ type: 'SET_PLAYING', payload: true });
+    },
+
+    // Replay a track from the history without switching the active list
+    replayTrack: (trackId) => {
+      dispatch({ type: 'QUEUE_PLAY', payload: createQueueEntries([trackId])[0] });
+      dispatch({ type: 'SET_PLAYING', payload: true });
+    },
+
+    clearHistory: () => dispatch({ type: 'HISTORY_CLEAR' }),
+
+    // Step back or forward through edits to the library and playlists
+    undo,
+
+    redo,
     
     seekTo: (time) => {
-      const clampedTime = Math.max(0, Math.min(state.duration, time));
+      // The engine sends a seek past the loop end back to its start
+      const target = activeLoop && time >= activeLoop.end ? activeLoop.start : time;
+      const clampedTime = Math.max(0, Math.min(state.duration, target));
+      audioEngine?.seek(clampedTime);
       dispatch({ type: 'SET_CURRENT_TIME', payload: clampedTime });
       return clampedTime;
     },
@@ -349,9 +1660,21 @@ export function PlayerProvider({ children }) {
   const contextValue = {
     ...state,
     ...actions,
+    audioEngine,
+    isRestored,
     // Computed values
-    hasNext: getNextTrackIndex(state) !== -1,
-    hasPrevious: getPreviousTrackIndex(state) !== -1,
+    hasNext: getUpcoming(state) !== null,
+    hasPrevious: !!state.currentQueueEntry || getPreviousTrackIndex(state) !== -1,
+    canUndo: state.undoHistory.past.length > 0,
+    activeEqualizer,
+    trackEqualizerPreset: trackPreset,
+    trackNormalization,
+    playbackRate: state.currentTrack?.playbackRate ?? 1,
+    activeLoop,
+    // The loop being set or played on the current track
+    trackLoop: state.abLoop?.trackId === state.currentTrack?.id ? state.abLoop : null,
+    pitchShift: state.currentTrack?.pitchShift ?? 0,
+    canRedo: state.undoHistory.future.length > 0,
     progress: state.duration > 0 ? (state.currentTime / state.duration) * 100 : 0,
     formattedCurrentTime: formatTime(state.currentTime),
     formattedDuration: formatTime(state.duration)
@@ -364,6 +1687,10 @@ export function PlayerProvider({ children }) {
   );
 }
 
+function createQueueEntries(trackIds) {
+  return trackIds.map(trackId => ({ id: createTrackId(), trackId }));
+}
+
 function formatTime(seconds) {
   if (!seconds || isNaN(seconds)) return '0:00';
   
@@ -383,4 +1710,6 @@ export function usePlayer() {
   return context;
 }
 
+export const usePlayerContext = usePlayer;
+
 export default PlayerContext;
\ No newline at end of file
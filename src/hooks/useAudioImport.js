@@ -0,0 +1,68 @@
+import { useRef, useState } from 'react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { filterAudioFiles } from '../utils/fileScanner';
+import { isPlaylistFile } from '../utils/playlistFormats';
+
+// Runs an import with progress reporting, for ImportProgressDialog.
+// `job` is null while idle, otherwise:
+//   { phase: 'scanning' | 'importing' | 'done', done, total, fileName,
+//     rejected, ignored, result, playlists, cancelled, error }
+const useAudioImport = () => {
+  const { importFiles, importPlaylistFile } = usePlayerContext();
+  const [job, setJob] = useState(null);
+  const controllerRef = useRef(null);
+
+  // collectFiles may take a while (walking a dropped folder), so the
+  // dialog shows a scanning state until it resolves. With importPlaylists,
+  // M3U/PLS/XSPF files among them become playlists once the audio is in.
+  const runImport = async (collectFiles, { playlistId, afterTrackId, importPlaylists = false } = {}) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setJob({ phase: 'scanning', done: 0, total: 0 });
+
+    try {
+      const files = await collectFiles();
+      const playlistFiles = importPlaylists ? files.filter(isPlaylistFile) : [];
+      const { audioFiles, rejected, ignored } = filterAudioFiles(
+        files.filter(file => !playlistFiles.includes(file))
+      );
+      setJob(current => ({ ...current, phase: 'importing', total: audioFiles.length, rejected, ignored }));
+
+      const result = await importFiles(audioFiles, playlistId, {
+        signal: controller.signal,
+        afterTrackId,
+        onProgress: ({ done, fileName }) => setJob(current => ({ ...current, done, fileName }))
+      });
+
+      const playlists = [];
+      for (const file of playlistFiles) {
+        if (controller.signal.aborted) break;
+        try {
+          playlists.push({ fileName: file.name, ...(await importPlaylistFile(file)) });
+        } catch (error) {
+          console.error(`Error importing ${file.name}:`, error);
+          result.errors.push({ file, message: error.message });
+        }
+      }
+
+      setJob(current => ({ ...current, phase: 'done', result, playlists, cancelled: controller.signal.aborted }));
+      return result;
+    } catch (error) {
+      console.error('Error importing files:', error);
+      setJob(current => ({ ...current, phase: 'done', error: error.message }));
+      return null;
+    } finally {
+      controllerRef.current = null;
+    }
+  };
+
+  const cancel = () => controllerRef.current?.abort();
+
+  const dismiss = () => {
+    if (!controllerRef.current) setJob(null);
+  };
+
+  return { job, runImport, cancel, dismiss };
+};
+
+export default useAudioImport;
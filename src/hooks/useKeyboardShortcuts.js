@@ -0,0 +1,83 @@
+import { useEffect, useRef } from 'react';
+import { usePlayerContext } from '../context/PlayerContext';
+import { findShortcut, getKeyCombo } from '../utils/shortcuts';
+
+const SEEK_STEP = 5;
+const LONG_SEEK_STEP = 30;
+const VOLUME_STEP = 0.05;
+const SPEED_STEP = 0.1;
+
+// Keys typed into these belong to them
+const TEXT_FIELD_SELECTOR = 'input:not([type="range"]):not([type="checkbox"]):not([type="radio"]), textarea, select, [contenteditable="true"]';
+// Widgets that handle keys themselves: menus and dialogs (arrow keys,
+// typeahead) and sliders
+const WIDGET_SELECTOR = '[role="dialog"], [role="alertdialog"], [role="menu"], [role="listbox"], [role="slider"], input[type="range"]';
+const BUTTON_SELECTOR = 'button, a[href], [role="button"], [role="checkbox"], [role="switch"]';
+
+const shouldIgnore = (event, combo) => {
+  const target = event.target instanceof Element ? event.target : null;
+  if (!target) return false;
+  if (target.closest(TEXT_FIELD_SELECTOR) || target.closest(WIDGET_SELECTOR)) return true;
+  // Space and Enter press a focused button; doing the shortcut as well
+  // would undo what the button just did
+  return (combo === 'Space' || combo === 'Enter') && !!target.closest(BUTTON_SELECTOR);
+};
+
+// Runs the shortcut bound to each key pressed anywhere on the page, except
+// where focus is on something that needs the key itself.
+const useKeyboardShortcuts = (keymap, { onShowShortcuts, enabled = true } = {}) => {
+  const player = usePlayerContext();
+  const commandsRef = useRef(null);
+
+  const seekBy = (seconds) => player.seekTo(player.currentTime + seconds);
+  const seekToPercent = (digit) => player.seekTo(player.duration * digit / 10);
+
+  commandsRef.current = {
+    togglePlay: () => player.currentTrack && player.togglePlay(),
+    nextTrack: () => player.hasNext && player.nextTrack(),
+    previousTrack: () => player.hasPrevious && player.previousTrack(),
+    toggleShuffle: player.toggleShuffle,
+    toggleRepeat: player.toggleRepeat,
+    slowDown: () => player.setPlaybackRate(player.playbackRate - SPEED_STEP),
+    speedUp: () => player.setPlaybackRate(player.playbackRate + SPEED_STEP),
+    resetSpeed: () => player.setPlaybackRate(1),
+    seekForward: () => seekBy(SEEK_STEP),
+    seekBackward: () => seekBy(-SEEK_STEP),
+    seekForwardLong: () => seekBy(LONG_SEEK_STEP),
+    seekBackwardLong: () => seekBy(-LONG_SEEK_STEP),
+    ...Object.fromEntries(Array.from({ length: 10 }, (_, digit) => [
+      `seekPercent${digit}`,
+      () => seekToPercent(digit)
+    ])),
+    setLoopStart: () => player.setLoopPoint('start'),
+    setLoopEnd: () => player.setLoopPoint('end'),
+    toggleLoop: player.toggleLoop,
+    volumeUp: () => player.setVolume(player.volume + VOLUME_STEP),
+    volumeDown: () => player.setVolume(player.volume - VOLUME_STEP),
+    toggleMute: player.toggleMute,
+    focusSearch: () => document.querySelector('[data-search-input]')?.focus(),
+    undo: () => player.canUndo && player.undo(),
+    redo: () => player.canRedo && player.redo(),
+    showShortcuts: () => onShowShortcuts?.()
+  };
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      const combo = getKeyCombo(event);
+      if (!combo || event.defaultPrevented || shouldIgnore(event, combo)) return;
+
+      const shortcutId = findShortcut(keymap, combo);
+      if (!shortcutId) return;
+
+      event.preventDefault();
+      commandsRef.current[shortcutId]?.();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keymap, enabled]);
+};
+
+export default useKeyboardShortcuts;
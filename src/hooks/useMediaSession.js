@@ -0,0 +1,157 @@
+import { useEffect, useRef } from 'react';
+import { usePlayerContext } from '../context/PlayerContext';
+
+const DEFAULT_SEEK_OFFSET = 10; // seconds, when the OS does not say
+// A position report further off than this from where the OS would have
+// extrapolated it means the track was seeked
+const SEEK_TOLERANCE = 1.5;
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+// One second of silent 8 kHz mono WAV
+const createSilenceUrl = () => {
+  const sampleRate = 8000;
+  const buffer = new ArrayBuffer(44 + sampleRate);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + sampleRate, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate, true); // byte rate
+  view.setUint16(32, 1, true); // block align
+  view.setUint16(34, 8, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, sampleRate, true);
+  new Uint8Array(buffer, 44).fill(128); // 8-bit silence is the midpoint
+
+  return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+};
+
+// Publishes the current track to the OS (lock screen, media notifications,
+// hardware media keys) and takes its play/pause/skip/seek requests.
+// Browsers only hand the media session to pages playing through a media
+// element, which the Web Audio engine does not use, so a silent looping
+// <audio> plays alongside it.
+const useMediaSession = () => {
+  const player = usePlayerContext();
+  const { currentTrack, isPlaying, duration, currentTime, playbackRate, hasNext, hasPrevious } = player;
+  const playerRef = useRef(player);
+  playerRef.current = player;
+  const lastPositionRef = useRef(null);
+
+  useEffect(() => {
+    if (!hasMediaSession() || !currentTrack) return;
+
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: currentTrack.title || currentTrack.name || '',
+      artist: currentTrack.artist === 'Unknown Artist' ? '' : currentTrack.artist || '',
+      album: currentTrack.album || '',
+      artwork: currentTrack.artworkUrl ? [{ src: currentTrack.artworkUrl }] : []
+    });
+
+    return () => {
+      navigator.mediaSession.metadata = null;
+    };
+  }, [currentTrack]);
+
+  // The stand-in media element follows the real playback state
+  const silenceRef = useRef(null);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const url = createSilenceUrl();
+    const audio = new Audio(url);
+    audio.loop = true;
+    silenceRef.current = audio;
+
+    return () => {
+      audio.pause();
+      audio.removeAttribute('src');
+      URL.revokeObjectURL(url);
+      silenceRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const audio = silenceRef.current;
+    const playing = isPlaying && !!currentTrack;
+    if (playing) {
+      // Rejected without a user gesture; the session then waits for one
+      audio?.play().catch(() => {});
+    } else {
+      audio?.pause();
+    }
+    navigator.mediaSession.playbackState = currentTrack ? (playing ? 'playing' : 'paused') : 'none';
+  }, [isPlaying, currentTrack]);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const seekTo = (time) => playerRef.current.seekTo(time);
+    const handlers = {
+      play: () => playerRef.current.play(),
+      pause: () => playerRef.current.pause(),
+      previoustrack: hasPrevious ? () => playerRef.current.previousTrack() : null,
+      nexttrack: hasNext ? () => playerRef.current.nextTrack() : null,
+      seekto: ({ seekTime }) => seekTo(seekTime),
+      seekbackward: ({ seekOffset }) => seekTo(playerRef.current.currentTime - (seekOffset || DEFAULT_SEEK_OFFSET)),
+      seekforward: ({ seekOffset }) => seekTo(playerRef.current.currentTime + (seekOffset || DEFAULT_SEEK_OFFSET))
+    };
+
+    // Unsupported actions throw; a null handler greys the button out
+    const setHandler = (action, handler) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {
+        // Not supported by this browser
+      }
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => setHandler(action, handler));
+    return () => Object.keys(handlers).forEach(action => setHandler(action, null));
+  }, [hasNext, hasPrevious]);
+
+  // The OS extrapolates the position itself, so it only needs telling when
+  // playback starts, stops, seeks, changes speed or the track changes
+  useEffect(() => {
+    if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+
+    if (!currentTrack || !(duration > 0)) {
+      lastPositionRef.current = null;
+      navigator.mediaSession.setPositionState();
+      return;
+    }
+
+    const now = performance.now();
+    const last = lastPositionRef.current;
+    const expected = last
+      ? last.position + (last.isPlaying ? (now - last.at) / 1000 * last.playbackRate : 0)
+      : null;
+    const isUnchanged = last &&
+      last.trackId === currentTrack.id &&
+      last.duration === duration &&
+      last.isPlaying === isPlaying &&
+      last.playbackRate === playbackRate &&
+      Math.abs(currentTime - expected) < SEEK_TOLERANCE;
+    if (isUnchanged) return;
+
+    const position = Math.min(Math.max(0, currentTime), duration);
+    lastPositionRef.current = { trackId: currentTrack.id, duration, isPlaying, playbackRate, position, at: now };
+    try {
+      navigator.mediaSession.setPositionState({ duration, playbackRate, position });
+    } catch (error) {
+      console.error('Error updating the media session position:', error);
+    }
+  }, [currentTrack, duration, currentTime, isPlaying, playbackRate]);
+};
+
+export default useMediaSession;
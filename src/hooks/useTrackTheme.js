@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_THEME, getTrackTheme } from '../utils/palette';
+
+// Colour theme for the given track, following it as the track changes.
+// Keeps the previous theme until the new one is ready so colours never
+// flash back to the default between tracks.
+const useTrackTheme = (track) => {
+  const [theme, setTheme] = useState(DEFAULT_THEME);
+  // Only the fields the theme is made from, so edits to anything else
+  // (play counts, tags the theme ignores) do not recompute it
+  const hasTrack = Boolean(track);
+  const { artworkId, artworkUrl, artist, album, title } = track ?? {};
+
+  useEffect(() => {
+    if (!hasTrack) {
+      setTheme(DEFAULT_THEME);
+      return;
+    }
+
+    let cancelled = false;
+    getTrackTheme({ artworkId, artworkUrl, artist, album, title }).then((nextTheme) => {
+      if (!cancelled) setTheme(nextTheme);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hasTrack, artworkId, artworkUrl, artist, album, title]);
+
+  return theme;
+};
+
+export default useTrackTheme;
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { getCachedWaveform, loadWaveform, subscribeWaveform } from '../utils/waveform';
+
+// Waveform peaks `{ peaks, duration }` for a track, or null until they have
+// been worked out. Picks them up from storage or as soon as they are ready.
+const useWaveform = (trackId) => {
+  const [waveform, setWaveform] = useState(() => (trackId ? getCachedWaveform(trackId) : null));
+
+  useEffect(() => {
+    setWaveform(trackId ? getCachedWaveform(trackId) : null);
+    if (!trackId) return;
+
+    let cancelled = false;
+    loadWaveform(trackId).then((stored) => {
+      if (!cancelled && stored) setWaveform(stored);
+    });
+    const unsubscribe = subscribeWaveform((id, ready) => {
+      if (!cancelled && id === trackId) setWaveform(ready);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [trackId]);
+
+  return waveform;
+};
+
+export default useWaveform;
@@ -4,13 +4,30 @@ export const createAudioContext = () => {
   return new AudioContextClass();
 };
 
+// Browsers leave the type empty when the OS has no MIME type for a file,
+// as many do for .flac, .m4a, .opus and .ogg, so the extension counts too
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'flac'];
+const AUDIO_EXTENSION = new RegExp(`\\.(${AUDIO_EXTENSIONS.join('|')})$`, 'i');
+
+// For file inputs; some pickers hide files without a MIME type from audio/*
+export const AUDIO_FILE_ACCEPT = ['audio/*', ...AUDIO_EXTENSIONS.map(extension => `.${extension}`)].join(',');
+
+// MP3, WAV, ..., AAC or FLAC
+const AUDIO_FORMAT_NAMES = AUDIO_EXTENSIONS.map(extension => extension.toUpperCase());
+const AUDIO_FORMAT_LIST = `${AUDIO_FORMAT_NAMES.slice(0, -1).join(', ')} or ${AUDIO_FORMAT_NAMES.at(-1)}`;
+
+export const hasAudioExtension = (file) => AUDIO_EXTENSION.test(file.name || '');
+
 // Audio file validation
 export const validateAudioFile = (file) => {
-  const validTypes = ['audio/mp3', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a'];
+  const validTypes = [
+    'audio/mp3', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/opus',
+    'audio/m4a', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/flac', 'audio/x-flac'
+  ];
   const maxSize = 50 * 1024 * 1024; // 50MB
 
-  if (!validTypes.includes(file.type)) {
-    throw new Error('Invalid file type. Please upload MP3, WAV, OGG, or M4A files.');
+  if (!validTypes.includes(file.type) && !hasAudioExtension(file)) {
+    throw new Error(`Invalid file type. Please upload ${AUDIO_FORMAT_LIST} files.`);
   }
 
   if (file.size > maxSize) {
@@ -99,64 +116,6 @@ export const setupAudioAnalyser = (audioContext, audioElement) => {
   return { analyser, dataArray };
 };
 
-// Draw waveform visualization
-export const drawWaveform = (canvas, bars, color = '#3b82f6') => {
-  const ctx = canvas.getContext('2d');
-  const { width, height } = canvas;
-  
-  ctx.clearRect(0, 0, width, height);
-  
-  const barWidth = width / bars.length;
-  const centerY = height / 2;
-  
-  bars.forEach((bar, index) => {
-    const barHeight = bar * height * 0.8;
-    const x = index * barWidth;
-    
-    // Create gradient
-    const gradient = ctx.createLinearGradient(0, centerY - barHeight / 2, 0, centerY + barHeight / 2);
-    gradient.addColorStop(0, color);
-    gradient.addColorStop(1, color + '40');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(x, centerY - barHeight / 2, barWidth - 1, barHeight);
-  });
-};
-
-// Draw circular visualizer
-export const drawCircularVisualizer = (canvas, bars, color = '#3b82f6') => {
-  const ctx = canvas.getContext('2d');
-  const { width, height } = canvas;
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const radius = Math.min(width, height) * 0.3;
-  
-  ctx.clearRect(0, 0, width, height);
-  
-  const angleStep = (Math.PI * 2) / bars.length;
-  
-  bars.forEach((bar, index) => {
-    const angle = index * angleStep - Math.PI / 2;
-    const barHeight = bar * radius * 0.8;
-    
-    const startX = centerX + Math.cos(angle) * radius;
-    const startY = centerY + Math.sin(angle) * radius;
-    const endX = centerX + Math.cos(angle) * (radius + barHeight);
-    const endY = centerY + Math.sin(angle) * (radius + barHeight);
-    
-    const gradient = ctx.createLinearGradient(startX, startY, endX, endY);
-    gradient.addColorStop(0, color + '40');
-    gradient.addColorStop(1, color);
-    
-    ctx.strokeStyle = gradient;
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(startX, startY);
-    ctx.lineTo(endX, endY);
-    ctx.stroke();
-  });
-};
-
 // Audio effects
 export const createGainNode = (audioContext, initialGain = 1) => {
   const gainNode = audioContext.createGain();
@@ -164,22 +123,63 @@ export const createGainNode = (audioContext, initialGain = 1) => {
   return gainNode;
 };
 
-// Crossfade between tracks
-export const crossfade = (currentGain, nextGain, duration = 1000) => {
-  const steps = 20;
-  const stepDuration = duration / steps;
-  let step = 0;
-  
-  const interval = setInterval(() => {
-    const progress = step / steps;
-    currentGain.gain.value = 1 - progress;
-    nextGain.gain.value = progress;
-    
-    step++;
-    if (step > steps) {
-      clearInterval(interval);
-    }
-  }, stepDuration);
+// gain is in dB; q is ignored by shelves and in dB for lowpass/highpass
+export const createBiquadFilter = (audioContext, { type = 'peaking', frequency = 1000, gain = 0, q = 1 } = {}) => {
+  const filter = audioContext.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.value = frequency;
+  filter.gain.value = gain;
+  filter.Q.value = q;
+  return filter;
+};
+
+// Crossfade curves
+export const CROSSFADE_CURVES = ['linear', 'equal-power'];
+export const MAX_CROSSFADE_DURATION = 12; // seconds
+
+export const createFadeCurve = (curve = 'equal-power', direction = 'in', steps = 128) => {
+  const values = new Float32Array(steps);
+
+  for (let i = 0; i < steps; i++) {
+    const progress = i / (steps - 1);
+    const t = direction === 'in' ? progress : 1 - progress;
+    // Equal-power keeps the summed energy constant, so there is no dip in
+    // loudness halfway through as there is with a linear fade.
+    values[i] = curve === 'linear' ? t : Math.sin(t * Math.PI / 2);
+  }
+
+  return values;
+};
+
+// Schedule a gain fade on the AudioContext clock
+export const fadeGain = (gainNode, direction, startTime, duration, curve = 'equal-power') => {
+  const { gain, context } = gainNode;
+  const start = Math.max(startTime, context.currentTime);
+
+  // A fade out starts wherever the gain is now, so a deck cut off halfway
+  // through fading in (a second skip mid-crossfade) does not jump back to
+  // full volume first. A fade in is always of a deck just (re)started, so
+  // it starts from silence.
+  const from = direction === 'in' ? 0 : gain.value;
+
+  // A curve may not overlap other automation, so restart from a clean slate
+  gain.cancelScheduledValues(0);
+  gain.setValueAtTime(from, context.currentTime);
+
+  if (duration <= 0) {
+    gain.setValueAtTime(direction === 'in' ? 1 : 0, start);
+    return;
+  }
+  const values = createFadeCurve(curve, direction);
+  if (direction === 'out') values.forEach((value, i) => { values[i] = value * from; });
+  gain.setValueCurveAtTime(values, start, duration);
+};
+
+// Crossfade between tracks (times in seconds, on the AudioContext clock)
+export const crossfade = (currentGain, nextGain, { startTime, duration = 1, curve = 'equal-power' } = {}) => {
+  const start = startTime ?? currentGain.context.currentTime;
+  fadeGain(currentGain, 'out', start, duration, curve);
+  fadeGain(nextGain, 'in', start, duration, curve);
 };
 
 // Generate audio buffer from frequency data
@@ -209,19 +209,27 @@ export const generateTone = (audioContext, frequency, duration, type = 'sine') =
   return buffer;
 };
 
-// Calculate audio peaks for waveform display
+// Calculate audio peaks for waveform display: the loudest sample of any
+// channel in each of `samples` equal slices of the audio
 export const calculateAudioPeaks = (audioBuffer, samples = 1000) => {
-  const channelData = audioBuffer.getChannelData(0);
-  const blockSize = Math.floor(channelData.length / samples);
+  const channels = Array.from(
+    { length: audioBuffer.numberOfChannels || 1 },
+    (_, i) => audioBuffer.getChannelData(i)
+  );
+  const length = channels[0].length;
+  const blockSize = length / samples;
   const peaks = [];
   
   for (let i = 0; i < samples; i++) {
-    const start = i * blockSize;
-    const end = Math.min(start + blockSize, channelData.length);
+    const start = Math.floor(i * blockSize);
+    const end = Math.min(Math.floor((i + 1) * blockSize), length);
     let max = 0;
     
-    for (let j = start; j < end; j++) {
-      max = Math.max(max, Math.abs(channelData[j]));
+    for (const channelData of channels) {
+      for (let j = start; j < end; j++) {
+        const value = Math.abs(channelData[j]);
+        if (value > max) max = value;
+      }
     }
     
     peaks.push(max);
@@ -229,39 +237,3 @@ export const calculateAudioPeaks = (audioBuffer, samples = 1000) => {
   
   return peaks;
 };
-
-// Detect audio tempo (basic BPM detection)
-export const detectTempo = (audioBuffer) => {
-  const channelData = audioBuffer.getChannelData(0);
-  const sampleRate = audioBuffer.sampleRate;
-  const windowSize = Math.floor(sampleRate * 0.1); // 100ms windows
-  const peaks = [];
-  
-  for (let i = 0; i < channelData.length - windowSize; i += windowSize) {
-    let energy = 0;
-    for (let j = i; j < i + windowSize; j++) {
-      energy += channelData[j] * channelData[j];
-    }
-    peaks.push(energy);
-  }
-  
-  // Simple peak detection for BPM estimation
-  const threshold = peaks.reduce((a, b) => a + b) / peaks.length * 1.5;
-  const beatTimes = [];
-  
-  for (let i = 1; i < peaks.length - 1; i++) {
-    if (peaks[i] > threshold && peaks[i] > peaks[i - 1] && peaks[i] > peaks[i + 1]) {
-      beatTimes.push(i * 0.1); // Convert to seconds
-    }
-  }
-  
-  if (beatTimes.length < 2) return 120; // Default BPM
-  
-  const intervals = [];
-  for (let i = 1; i < beatTimes.length; i++) {
-    intervals.push(beatTimes[i] - beatTimes[i - 1]);
-  }
-  
-  const avgInterval = intervals.reduce((a, b) => a + b) / intervals.length;
-  return Math.round(60 / avgInterval);
-};
\ No newline at end of file
@@ -0,0 +1,686 @@
+// Audio engine: the single owner of the Web Audio graph.
+// PlayerProvider drives it from reducer state and listens to its events.
+//
+// Tracks are decoded into AudioBuffers and played through "decks" (a buffer
+// source, a gain node for the track's loudness normalisation and one for
+// fades). Because every deck is scheduled on the
+// AudioContext clock, the preloaded next track can be started on the exact
+// sample where the current one runs out, which is what makes playback
+// gapless. With a crossfade set, the incoming deck is started that much
+// earlier instead and the two decks' gains are ramped against each other.
+// Each deck plays at its track's own speed; positions are always in track
+// time, so the clock maths below divides by the rate where it matters.
+// An A–B loop is the buffer source's own looping, so it is sample-accurate;
+// while one is set the next track is not scheduled.
+//
+//   decks (source -> track gain -> fade gain) -> pitch shifter -> equalizer -> master gain (volume) -> speakers
+//                                                                                        \-> analysers (see createAnalyser)
+import { createAudioContext, createGainNode, crossfade, fadeGain, MAX_CROSSFADE_DURATION } from './audio';
+import { createEqualizer } from './equalizer';
+import { createPitchShifter, getPitchRatio } from './pitchShifter';
+
+export const ENGINE_EVENTS = [
+  'loadstart',
+  'loadedmetadata',
+  'timeupdate',
+  'ended',
+  'error',
+  'graphready',
+  'decoded',
+  'loop'
+];
+
+const TIME_UPDATE_INTERVAL = 250; // ms, matches HTMLMediaElement's cadence
+const TRACK_GAIN_SMOOTHING = 0.05; // seconds
+const ANALYSER_FFT_SIZE = 256;
+const ANALYSER_SMOOTHING = 0.8;
+
+export const createAudioEngine = () => {
+  const listeners = new Map(ENGINE_EVENTS.map(type => [type, new Set()]));
+  const bufferCache = new Map(); // track id -> Promise<AudioBuffer>
+  const outgoing = new Set(); // decks fading out after a manual skip
+  let context = null;
+  let masterGain = null;
+  let equalizer = null;
+  let equalizerSettings = null;
+  let getTrackGain = () => 1;
+  let pitchShifter = null;
+  let getPlaybackRate = () => 1;
+  let getPitchShift = () => 0;
+  let rateMode = 'stretch';
+  let loop = null; // { start, end } of the current track
+  let current = null;
+  let next = null;
+  let volume = 1;
+  let muted = false;
+  let crossfadeDuration = 0;
+  let crossfadeCurve = 'equal-power';
+  let wantsPlayback = false;
+  let loadToken = 0;
+  let preloadToken = 0;
+  let timeUpdateTimer = null;
+  let disposed = false;
+
+  const emit = (type, payload) => {
+    listeners.get(type)?.forEach(handler => handler(payload));
+  };
+
+  const applyVolume = () => {
+    if (!masterGain) return;
+    masterGain.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.015);
+  };
+
+  // Browsers only let an AudioContext produce sound after a user gesture,
+  // but it can be created (suspended) earlier and still decode audio.
+  const ensureGraph = () => {
+    if (context || disposed) return context;
+
+    try {
+      context = createAudioContext();
+      masterGain = createGainNode(context, muted ? 0 : volume);
+      equalizer = createEqualizer(context);
+      equalizer.apply(equalizerSettings);
+      equalizer.output.connect(masterGain);
+      pitchShifter = createPitchShifter(context);
+      pitchShifter.output.connect(equalizer.input);
+      masterGain.connect(context.destination);
+
+      emit('graphready', { context });
+    } catch (error) {
+      console.error('Error initializing audio graph:', error);
+      context = null;
+      masterGain = null;
+      equalizer = null;
+      pitchShifter = null;
+    }
+
+    return context;
+  };
+
+  // Decoding
+
+  const decodeTrack = (track) => {
+    if (bufferCache.has(track.id)) {
+      return bufferCache.get(track.id);
+    }
+
+    const promise = fetch(track.url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then(data => context.decodeAudioData(data))
+      .then(buffer => {
+        emit('decoded', { track, buffer });
+        return buffer;
+      });
+
+    promise.catch(() => bufferCache.delete(track.id));
+    bufferCache.set(track.id, promise);
+    return promise;
+  };
+
+  // Decoded PCM is large, so only the current and preloaded tracks are kept.
+  const pruneCache = () => {
+    const keep = new Set([current?.track.id, next?.track.id]);
+    bufferCache.forEach((_, id) => {
+      if (!keep.has(id)) bufferCache.delete(id);
+    });
+  };
+
+  // Decks
+
+  const createDeck = (track, buffer) => {
+    const trackGain = createGainNode(context, getTrackGain(track));
+    const gain = createGainNode(context, 1);
+    trackGain.connect(gain);
+    gain.connect(pitchShifter.input);
+    return { track, buffer, trackGain, gain, rate: getPlaybackRate(track), source: null, startedAt: 0, offset: 0 };
+  };
+
+  const startDeck = (deck, when, offset) => {
+    const source = context.createBufferSource();
+    source.buffer = deck.buffer;
+    source.playbackRate.value = deck.rate;
+    if (deck === current) applyLoop(source);
+    source.connect(deck.trackGain);
+    source.onended = () => handleSourceEnded(deck, source);
+    source.start(when, offset);
+
+    deck.source = source;
+    deck.startedAt = when;
+    deck.offset = offset;
+  };
+
+  const stopDeck = (deck) => {
+    if (!deck?.source) return;
+
+    deck.source.onended = null;
+    try {
+      deck.source.stop();
+    } catch {
+      // Already stopped
+    }
+    deck.source.disconnect();
+    deck.source = null;
+  };
+
+  const disposeDeck = (deck) => {
+    if (!deck) return;
+    stopDeck(deck);
+    deck.trackGain.disconnect();
+    deck.gain.disconnect();
+  };
+
+  const resetGain = (deck) => {
+    deck.gain.gain.cancelScheduledValues(0);
+    deck.gain.gain.setValueAtTime(1, context.currentTime);
+  };
+
+  // On a manual skip the old deck keeps playing until the new one is ready,
+  // then fadeOutgoing() crossfades them.
+  const retireDeck = (deck) => {
+    if (!deck) return;
+    if (!deck.source || !wantsPlayback || crossfadeDuration === 0) {
+      disposeDeck(deck);
+      return;
+    }
+
+    deck.source.onended = () => {
+      outgoing.delete(deck);
+      disposeDeck(deck);
+    };
+    outgoing.add(deck);
+  };
+
+  const fadeOutgoing = (startTime) => {
+    const pending = [...outgoing].filter(deck => !deck.fading);
+    if (pending.length === 0) return;
+
+    const duration = Math.min(crossfadeDuration, getRemainingTime(current, 0) / 2);
+    fadeGain(current.gain, 'in', startTime, duration, crossfadeCurve);
+    pending.forEach(deck => {
+      deck.fading = true;
+      fadeGain(deck.gain, 'out', startTime, duration, crossfadeCurve);
+      deck.source.stop(startTime + duration);
+    });
+  };
+
+  const disposeOutgoing = () => {
+    outgoing.forEach(disposeDeck);
+    outgoing.clear();
+  };
+
+  const applyLoop = (source) => {
+    source.loop = !!loop;
+    if (loop) {
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+  };
+
+  // Where the deck would be without looping
+  const getUnloopedPosition = (deck) => {
+    const elapsed = Math.max(0, context.currentTime - deck.startedAt);
+    return deck.offset + elapsed * deck.rate;
+  };
+
+  const isLooping = (deck) => !!loop && deck === current && deck.offset < loop.end;
+
+  const getPosition = (deck) => {
+    if (!deck) return 0;
+    if (!deck.source) return deck.offset;
+
+    let position = getUnloopedPosition(deck);
+    if (isLooping(deck) && position >= loop.end) {
+      position = loop.start + (position - loop.end) % (loop.end - loop.start);
+    }
+    return Math.min(deck.buffer.duration, position);
+  };
+
+  // Seconds of real time a deck takes to play from `offset` to its end
+  const getRemainingTime = (deck, offset) => (deck.buffer.duration - offset) / deck.rate;
+
+  // The shifter follows the current track: its own pitch shift, plus
+  // undoing the rate's effect on pitch in 'stretch' mode
+  const applyPitch = () => {
+    pitchShifter?.setRatio(getPitchRatio({
+      rate: current?.rate ?? 1,
+      semitones: current ? getPitchShift(current.track) : 0,
+      mode: rateMode
+    }));
+  };
+
+  // Queue the preloaded deck to start on the sample where the current one
+  // ends, or a crossfade's length before that
+  const scheduleNext = () => {
+    if (!next || next.source || !current?.source || loop) return;
+
+    const now = context.currentTime;
+    const endTime = current.startedAt + getRemainingTime(current, current.offset);
+    // Repeat-one loops stay gapless rather than fading into themselves
+    const fade = next.track.id === current.track.id
+      ? 0
+      : Math.min(crossfadeDuration, getRemainingTime(current, 0) / 2, getRemainingTime(next, 0) / 2);
+
+    if (fade === 0) {
+      startDeck(next, Math.max(endTime, now), 0);
+      return;
+    }
+
+    const fadeStart = Math.max(endTime - fade, now);
+    startDeck(next, fadeStart, 0);
+    crossfade(current.gain, next.gain, {
+      startTime: fadeStart,
+      duration: Math.max(0, endTime - fadeStart),
+      curve: crossfadeCurve
+    });
+  };
+
+  const cancelNext = () => {
+    if (!next) return;
+    stopDeck(next);
+    next.offset = 0;
+    resetGain(next);
+    if (current) resetGain(current);
+  };
+
+  const handleSourceEnded = (deck, source) => {
+    if (deck !== current || deck.source !== source) return;
+
+    const finished = current;
+
+    if (next?.source) {
+      current = next;
+      next = null;
+      disposeDeck(finished);
+
+      // Repeat-one: the preload target is still this same track, so re-arm
+      // it now; PlayerProvider sees no change and won't preload it again.
+      if (current.track.id === finished.track.id) {
+        next = createDeck(current.track, current.buffer);
+        scheduleNext();
+      }
+      pruneCache();
+      applyPitch();
+
+      emit('ended', { track: finished.track, nextTrack: current.track, gapless: true });
+      emit('loadedmetadata', { duration: current.buffer.duration, track: current.track });
+      return;
+    }
+
+    finished.source.disconnect();
+    finished.source = null;
+    finished.offset = 0;
+    wantsPlayback = false;
+    stopTimeUpdates();
+
+    emit('timeupdate', { currentTime: finished.buffer.duration, track: finished.track });
+    emit('ended', { track: finished.track, nextTrack: null, gapless: false });
+  };
+
+  // Progress reporting
+
+  // Each time the loop comes round, the deck's clock is moved up to the
+  // loop start, so its position stays simple to work out
+  const emitTimeUpdate = () => {
+    if (!current) return;
+    if (current.source && isLooping(current) && getUnloopedPosition(current) >= loop.end) {
+      current.offset = getPosition(current);
+      current.startedAt = context.currentTime;
+      emit('loop', { track: current.track });
+    }
+    emit('timeupdate', { currentTime: getPosition(current), track: current.track });
+  };
+
+  const startTimeUpdates = () => {
+    if (timeUpdateTimer) return;
+    timeUpdateTimer = setInterval(emitTimeUpdate, TIME_UPDATE_INTERVAL);
+  };
+
+  const stopTimeUpdates = () => {
+    clearInterval(timeUpdateTimer);
+    timeUpdateTimer = null;
+  };
+
+  const startCurrent = (offset) => {
+    const now = context.currentTime;
+    applyPitch();
+    startDeck(current, now, offset);
+    fadeOutgoing(now);
+    scheduleNext();
+    startTimeUpdates();
+  };
+
+  // Public API
+
+  const load = async (track) => {
+    if (disposed) return;
+    if (!track) {
+      unload();
+      return;
+    }
+    if (!track.url) {
+      unload();
+      emit('error', {
+        message: 'The audio for this track is no longer stored. Import the file again to restore it.',
+        track
+      });
+      return;
+    }
+
+    // The reducer catching up with a gapless handover, or a metadata edit
+    if (current?.track.id === track.id) {
+      current.track = track;
+      return;
+    }
+
+    const token = ++loadToken;
+    disposeOutgoing();
+    cancelNext();
+    retireDeck(current);
+    current = null;
+
+    // Manual skip onto the track that is already decoded
+    if (next?.track.id === track.id) {
+      current = next;
+      current.track = track;
+      next = null;
+      emit('loadedmetadata', { duration: current.buffer.duration, track });
+      if (wantsPlayback) startCurrent(0);
+      return;
+    }
+
+    stopTimeUpdates();
+    emit('loadstart', { track });
+
+    if (!ensureGraph()) {
+      emit('error', { message: 'Web Audio is not supported in this browser', track });
+      return;
+    }
+
+    try {
+      const buffer = await decodeTrack(track);
+      if (token !== loadToken || disposed) return;
+
+      current = createDeck(track, buffer);
+      pruneCache();
+      emit('loadedmetadata', { duration: buffer.duration, track });
+
+      if (wantsPlayback && context.state === 'running') {
+        startCurrent(0);
+      }
+    } catch (error) {
+      if (token !== loadToken) return;
+      console.error('Error decoding audio:', error);
+      emit('error', { message: 'Failed to load audio file', track });
+    }
+  };
+
+  const unload = () => {
+    loadToken++;
+    preloadToken++;
+    wantsPlayback = false;
+    stopTimeUpdates();
+    disposeOutgoing();
+    disposeDeck(current);
+    disposeDeck(next);
+    current = null;
+    next = null;
+    bufferCache.clear();
+  };
+
+  // Decode the track that will follow the current one. Passing null drops
+  // whatever was preloaded (e.g. repeat turned off at the end of the list).
+  const preload = async (track) => {
+    if (disposed) return;
+
+    if (!track?.url) {
+      preloadToken++;
+      disposeDeck(next);
+      next = null;
+      pruneCache();
+      return;
+    }
+
+    if (next?.track.id === track.id) {
+      next.track = track;
+      scheduleNext();
+      return;
+    }
+
+    const token = ++preloadToken;
+    disposeDeck(next);
+    next = null;
+
+    if (!ensureGraph()) return;
+
+    try {
+      const buffer = await decodeTrack(track);
+      if (token !== preloadToken || disposed) return;
+
+      next = createDeck(track, buffer);
+      pruneCache();
+      scheduleNext();
+    } catch (error) {
+      // Not fatal: the track is decoded again when it actually comes up
+      console.warn('Error preloading audio:', error);
+    }
+  };
+
+  const play = async () => {
+    if (disposed) return false;
+
+    wantsPlayback = true;
+    if (!ensureGraph()) return false;
+
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    if (current && !current.source && wantsPlayback) {
+      startCurrent(current.offset);
+    }
+    return true;
+  };
+
+  const pause = () => {
+    wantsPlayback = false;
+    stopTimeUpdates();
+    disposeOutgoing();
+    cancelNext();
+
+    if (current?.source) {
+      current.offset = getPosition(current);
+      stopDeck(current);
+    }
+  };
+
+  // With a loop set, seeking past its end lands on its start
+  const seek = (time) => {
+    if (!current || !isFinite(time)) return;
+
+    const target = loop && time >= loop.end ? loop.start : time;
+    const offset = Math.max(0, Math.min(current.buffer.duration, target));
+    disposeOutgoing();
+    if (current.source) {
+      stopDeck(current);
+      cancelNext();
+      startCurrent(offset);
+    } else {
+      current.offset = offset;
+    }
+    emitTimeUpdate();
+  };
+
+  const setVolume = (value) => {
+    volume = Math.max(0, Math.min(1, value));
+    applyVolume();
+  };
+
+  const setMuted = (value) => {
+    muted = Boolean(value);
+    applyVolume();
+  };
+
+  // Changing the crossfade re-plans a handover that is already queued
+  const setCrossfade = ({ duration = crossfadeDuration, curve = crossfadeCurve } = {}) => {
+    crossfadeDuration = Math.max(0, Math.min(MAX_CROSSFADE_DURATION, Number(duration) || 0));
+    crossfadeCurve = curve;
+
+    if (next?.source && context && next.startedAt > context.currentTime) {
+      cancelNext();
+      scheduleNext();
+    }
+  };
+
+  // Settings from utils/equalizer; kept until the graph exists
+  const setEqualizer = (settings) => {
+    equalizerSettings = settings;
+    equalizer?.apply(settings);
+  };
+
+  // Loudness normalisation: getGain(track) is the linear gain to play a
+  // track at. Decks already playing glide to their new gain.
+  const setTrackGain = (getGain) => {
+    getTrackGain = getGain;
+    if (!context) return;
+
+    [current, next, ...outgoing].forEach(deck => {
+      deck?.trackGain.gain.setTargetAtTime(getGain(deck.track), context.currentTime, TRACK_GAIN_SMOOTHING);
+    });
+  };
+
+  // getRate(track) is the speed to play a track at. Decks already playing
+  // change speed from where they are; a queued handover is re-planned.
+  const setPlaybackRate = (getRate) => {
+    getPlaybackRate = getRate;
+    if (!context) return;
+
+    const now = context.currentTime;
+    const isQueued = next?.source && next.startedAt > now;
+    if (isQueued) cancelNext();
+
+    [current, next, ...outgoing].forEach(deck => {
+      const rate = deck && getRate(deck.track);
+      if (!deck || rate === deck.rate) return;
+
+      if (deck.source) {
+        deck.offset = getPosition(deck);
+        deck.startedAt = now;
+        deck.source.playbackRate.setValueAtTime(rate, now);
+      }
+      deck.rate = rate;
+    });
+
+    if (isQueued) scheduleNext();
+    applyPitch();
+  };
+
+  // Loop { start, end } of the current track, or null to stop looping. A
+  // playhead outside the new loop jumps to its start.
+  const setLoop = (range) => {
+    const position = getPosition(current);
+    loop = range ? { start: range.start, end: range.end } : null;
+    if (!current) return;
+
+    const isOutside = loop && (position < loop.start || position >= loop.end);
+    if (!current.source) {
+      if (isOutside) current.offset = loop.start;
+      return;
+    }
+
+    if (isOutside) {
+      seek(loop.start);
+      return;
+    }
+
+    current.offset = position;
+    current.startedAt = context.currentTime;
+    applyLoop(current.source);
+    if (loop) {
+      cancelNext();
+    } else {
+      scheduleNext();
+    }
+  };
+
+  // getShift(track) is the track's pitch shift in semitones
+  const setPitchShift = (getShift) => {
+    getPitchShift = getShift;
+    applyPitch();
+  };
+
+  // 'stretch' or 'varispeed', see utils/pitchShifter
+  const setRateMode = (mode) => {
+    rateMode = mode;
+    applyPitch();
+  };
+
+  // An analyser of the master output for one consumer, so a visualizer
+  // asking for a finer FFT does not change what another one sees. Null
+  // until the graph exists (see 'graphready'); release() disconnects it.
+  const createAnalyser = () => {
+    if (!masterGain) return null;
+
+    const source = masterGain;
+    const node = context.createAnalyser();
+    node.fftSize = ANALYSER_FFT_SIZE;
+    node.smoothingTimeConstant = ANALYSER_SMOOTHING;
+    source.connect(node);
+
+    let connected = true;
+    return {
+      analyser: node,
+      release: () => {
+        if (!connected) return;
+        connected = false;
+        source.disconnect(node);
+      }
+    };
+  };
+
+  const on = (type, handler) => {
+    if (!listeners.has(type)) {
+      throw new Error(`Unknown audio engine event: ${type}`);
+    }
+    listeners.get(type).add(handler);
+    return () => listeners.get(type).delete(handler);
+  };
+
+  const dispose = () => {
+    if (disposed) return;
+
+    unload();
+    disposed = true;
+    listeners.forEach(set => set.clear());
+
+    if (context && context.state !== 'closed') {
+      context.close();
+    }
+  };
+
+  return {
+    load,
+    unload,
+    preload,
+    play,
+    pause,
+    seek,
+    setVolume,
+    setMuted,
+    setCrossfade,
+    setEqualizer,
+    setTrackGain,
+    setPlaybackRate,
+    setPitchShift,
+    setRateMode,
+    setLoop,
+    on,
+    dispose,
+    createAnalyser,
+    getAudioContext: () => context,
+    getCurrentTime: () => getPosition(current),
+    getDecodedBuffer: () => current?.buffer ?? null
+  };
+};
@@ -0,0 +1,120 @@
+// IndexedDB access for data too large for localStorage (audio blobs etc.)
+const DB_NAME = 'mp3_player';
+const DB_VERSION = 3;
+
+export const STORES = {
+  AUDIO_FILES: 'audio_files',
+  ARTWORK: 'artwork',
+  PEAKS: 'peaks'
+};
+
+let databasePromise = null;
+
+export const isIndexedDBAvailable = () => {
+  return typeof indexedDB !== 'undefined';
+};
+
+export const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgrading the schema needs us to let go
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error);
+    };
+  });
+
+  return databasePromise;
+};
+
+// Run one request against a store and resolve once the transaction commits,
+// so a QuotaExceededError raised at commit time is not lost.
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+
+    request.onsuccess = () => {
+      result = request.result;
+    };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onabort = () => reject(transaction.error || request.error);
+    transaction.onerror = () => reject(transaction.error || request.error);
+  });
+};
+
+export const getRecord = (storeName, key) => {
+  return withStore(storeName, 'readonly', store => store.get(key));
+};
+
+export const putRecord = (storeName, record) => {
+  return withStore(storeName, 'readwrite', store => store.put(record));
+};
+
+export const deleteRecord = (storeName, key) => {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+};
+
+export const clearStore = (storeName) => {
+  return withStore(storeName, 'readwrite', store => store.clear());
+};
+
+export const getAllKeys = (storeName) => {
+  return withStore(storeName, 'readonly', store => store.getAllKeys());
+};
+
+// Walk the store with a cursor so large values are not all held at once
+export const reduceRecords = async (storeName, reducer, initialValue) => {
+  const db = await openDatabase();
+  const request = db
+    .transaction(storeName, 'readonly')
+    .objectStore(storeName)
+    .openCursor();
+
+  let accumulator = initialValue;
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(accumulator);
+        return;
+      }
+      accumulator = reducer(accumulator, cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const isQuotaExceededError = (error) => {
+  return error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+};
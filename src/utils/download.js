@@ -0,0 +1,12 @@
+// Save a generated file through the browser's normal download flow
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,254 @@
+// Equalizer: a 10-band graphic EQ plus any number of parametric bands, all
+// BiquadFilterNodes chained between the decks and the master volume.
+//
+// Settings: { enabled, preamp, bands, parametric, presetId }
+//   preamp      dB applied before the filters, to make room for boosts
+//   bands       gain in dB for each GRAPHIC_EQ_FREQUENCIES entry
+//   parametric  [{ id, type, frequency, gain, q }]
+//   presetId    the preset the settings came from, null once edited
+import { createBiquadFilter, createGainNode } from './audio';
+import { createTrackId } from './library';
+
+export const GRAPHIC_EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const MAX_EQ_GAIN = 12; // dB either way
+export const MIN_EQ_FREQUENCY = 20;
+export const MAX_EQ_FREQUENCY = 20000;
+
+// One octave wide, so neighbouring bands meet around -3 dB
+const GRAPHIC_EQ_Q = 1.41;
+const SMOOTHING = 0.02; // seconds, so slider drags do not click
+
+export const PARAMETRIC_TYPES = [
+  { id: 'peaking', label: 'Peak', hasGain: true, hasQ: true },
+  { id: 'lowshelf', label: 'Low shelf', hasGain: true, hasQ: false },
+  { id: 'highshelf', label: 'High shelf', hasGain: true, hasQ: false },
+  { id: 'lowpass', label: 'Low pass', hasGain: false, hasQ: true },
+  { id: 'highpass', label: 'High pass', hasGain: false, hasQ: true },
+  { id: 'notch', label: 'Notch', hasGain: false, hasQ: true }
+];
+
+const flat = () => GRAPHIC_EQ_FREQUENCIES.map(() => 0);
+
+export const BUILT_IN_PRESETS = [
+  { id: 'flat', name: 'Flat', preamp: 0, bands: flat(), parametric: [] },
+  { id: 'bass-boost', name: 'Bass Boost', preamp: -4, bands: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0], parametric: [] },
+  { id: 'bass-cut', name: 'Bass Cut', preamp: 0, bands: [-6, -5, -4, -2, 0, 0, 0, 0, 0, 0], parametric: [] },
+  { id: 'treble-boost', name: 'Treble Boost', preamp: -4, bands: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6], parametric: [] },
+  { id: 'vocal', name: 'Vocal', preamp: -3, bands: [-2, -2, -1, 1, 3, 4, 3, 2, 0, -1], parametric: [] },
+  { id: 'rock', name: 'Rock', preamp: -4, bands: [5, 4, 2, -1, -2, -1, 2, 3, 4, 4], parametric: [] },
+  { id: 'pop', name: 'Pop', preamp: -3, bands: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2], parametric: [] },
+  { id: 'jazz', name: 'Jazz', preamp: -3, bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3], parametric: [] },
+  { id: 'classical', name: 'Classical', preamp: -3, bands: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4], parametric: [] },
+  { id: 'electronic', name: 'Electronic', preamp: -5, bands: [5, 4, 1, 0, -2, 2, 1, 1, 4, 5], parametric: [] },
+  { id: 'loudness', name: 'Loudness', preamp: -5, bands: [6, 4, 0, 0, -2, 0, -1, -4, 5, 1], parametric: [] },
+  { id: 'spoken-word', name: 'Spoken Word', preamp: -2, bands: [-3, -1, 0, 1, 3, 4, 4, 2, 0, -3], parametric: [] }
+];
+
+export const DEFAULT_EQUALIZER = {
+  enabled: false,
+  preamp: 0,
+  bands: flat(),
+  parametric: [],
+  presetId: 'flat'
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const clampGain = (gain) => clamp(Number(gain) || 0, -MAX_EQ_GAIN, MAX_EQ_GAIN);
+
+export const createParametricBand = (overrides = {}) => ({
+  id: createTrackId(),
+  type: 'peaking',
+  frequency: 1000,
+  gain: 0,
+  q: 1,
+  ...overrides
+});
+
+// Saved settings from an older or damaged save, made whole
+export const normalizeEqualizer = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_EQUALIZER;
+
+  return {
+    enabled: Boolean(saved.enabled),
+    preamp: clampGain(saved.preamp),
+    bands: GRAPHIC_EQ_FREQUENCIES.map((_, i) => clampGain(saved.bands?.[i])),
+    parametric: Array.isArray(saved.parametric)
+      ? saved.parametric
+        .filter(band => PARAMETRIC_TYPES.some(type => type.id === band?.type))
+        .map(band => createParametricBand({
+          ...band,
+          frequency: clamp(Number(band.frequency) || 1000, MIN_EQ_FREQUENCY, MAX_EQ_FREQUENCY),
+          gain: clampGain(band.gain),
+          q: Number(band.q) || 1
+        }))
+      : [],
+    presetId: saved.presetId ?? null
+  };
+};
+
+// A saved user preset made whole, or null if it is not one
+export const normalizePreset = (saved) => {
+  if (!saved?.id || !saved.name) return null;
+  const { preamp, bands, parametric } = normalizeEqualizer(saved);
+  return { id: saved.id, name: String(saved.name), preamp, bands, parametric };
+};
+
+export const findPreset = (userPresets, presetId) => {
+  return BUILT_IN_PRESETS.find(preset => preset.id === presetId) ??
+    userPresets.find(preset => preset.id === presetId) ??
+    null;
+};
+
+// Settings that play a preset as it is
+export const getPresetSettings = (preset) => ({
+  enabled: true,
+  preamp: preset.preamp,
+  bands: [...preset.bands],
+  parametric: preset.parametric.map(band => ({ ...band })),
+  presetId: preset.id
+});
+
+// Every filter the settings call for, in chain order. Off means no filters.
+export const getFilterSpecs = (settings) => {
+  if (!settings?.enabled) return [];
+
+  return [
+    ...GRAPHIC_EQ_FREQUENCIES.map((frequency, i) => ({
+      type: 'peaking',
+      frequency,
+      gain: settings.bands[i] ?? 0,
+      q: GRAPHIC_EQ_Q
+    })),
+    ...settings.parametric
+  ];
+};
+
+// Biquad coefficients as the Web Audio spec defines them (the Audio EQ
+// Cookbook, with lowpass/highpass Q in dB and shelves at slope 1)
+const getCoefficients = ({ type, frequency, gain = 0, q = 1 }, sampleRate) => {
+  const w0 = 2 * Math.PI * clamp(frequency, 1, sampleRate / 2 - 1) / sampleRate;
+  const cos = Math.cos(w0);
+  const sin = Math.sin(w0);
+  const A = Math.pow(10, gain / 40);
+  const sqrtA = Math.sqrt(A);
+
+  switch (type) {
+    case 'lowpass':
+    case 'highpass': {
+      const alpha = sin / (2 * Math.pow(10, q / 20));
+      const sign = type === 'lowpass' ? -1 : 1;
+      const b = (1 + sign * cos) / 2;
+      return [b, -sign * 2 * b, b, 1 + alpha, -2 * cos, 1 - alpha];
+    }
+    case 'notch': {
+      const alpha = sin / (2 * Math.max(q, 0.0001));
+      return [1, -2 * cos, 1, 1 + alpha, -2 * cos, 1 - alpha];
+    }
+    case 'lowshelf': {
+      const alpha2 = sin * Math.SQRT2 * sqrtA; // 2·√A·alpha at slope 1
+      return [
+        A * ((A + 1) - (A - 1) * cos + alpha2),
+        2 * A * ((A - 1) - (A + 1) * cos),
+        A * ((A + 1) - (A - 1) * cos - alpha2),
+        (A + 1) + (A - 1) * cos + alpha2,
+        -2 * ((A - 1) + (A + 1) * cos),
+        (A + 1) + (A - 1) * cos - alpha2
+      ];
+    }
+    case 'highshelf': {
+      const alpha2 = sin * Math.SQRT2 * sqrtA;
+      return [
+        A * ((A + 1) + (A - 1) * cos + alpha2),
+        -2 * A * ((A - 1) + (A + 1) * cos),
+        A * ((A + 1) + (A - 1) * cos - alpha2),
+        (A + 1) - (A - 1) * cos + alpha2,
+        2 * ((A - 1) - (A + 1) * cos),
+        (A + 1) - (A - 1) * cos - alpha2
+      ];
+    }
+    default: {
+      const alpha = sin / (2 * Math.max(q, 0.0001));
+      return [1 + alpha * A, -2 * cos, 1 - alpha * A, 1 + alpha / A, -2 * cos, 1 - alpha / A];
+    }
+  }
+};
+
+// |H| in dB of one biquad at the given frequency
+const getMagnitude = ([b0, b1, b2, a0, a1, a2], frequency, sampleRate) => {
+  const w = 2 * Math.PI * frequency / sampleRate;
+  const cos1 = Math.cos(w);
+  const sin1 = Math.sin(w);
+  const cos2 = Math.cos(2 * w);
+  const sin2 = Math.sin(2 * w);
+  const numerator = (b0 + b1 * cos1 + b2 * cos2) ** 2 + (b1 * sin1 + b2 * sin2) ** 2;
+  const denominator = (a0 + a1 * cos1 + a2 * cos2) ** 2 + (a1 * sin1 + a2 * sin2) ** 2;
+  return 10 * Math.log10(numerator / denominator);
+};
+
+// Log-spaced frequencies across the audible range, for drawing the curve
+export const getResponseFrequencies = (count = 128) => Array.from({ length: count }, (_, i) =>
+  MIN_EQ_FREQUENCY * Math.pow(MAX_EQ_FREQUENCY / MIN_EQ_FREQUENCY, i / (count - 1))
+);
+
+// Overall gain in dB the settings apply at each frequency, preamp included
+export const getFrequencyResponse = (settings, frequencies, sampleRate = 48000) => {
+  const filters = getFilterSpecs(settings).map(spec => getCoefficients(spec, sampleRate));
+  const preamp = settings?.enabled ? settings.preamp : 0;
+
+  return frequencies.map(frequency => filters.reduce(
+    (total, coefficients) => total + getMagnitude(coefficients, frequency, sampleRate),
+    preamp
+  ));
+};
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// The filter chain for an AudioContext. Connect into `input` and out of
+// `output`; apply() retunes the filters in place, and only rebuilds the
+// chain when bands are added, removed or change type.
+export const createEqualizer = (context) => {
+  const input = createGainNode(context, 1);
+  const output = createGainNode(context, 1);
+  let filters = [];
+  let layout = '';
+
+  const connect = () => {
+    input.disconnect();
+    filters.forEach(filter => filter.disconnect());
+    [input, ...filters, output].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+  };
+
+  const apply = (settings) => {
+    const specs = getFilterSpecs(settings);
+    const nextLayout = specs.map(spec => spec.type).join();
+    const now = context.currentTime;
+
+    if (nextLayout !== layout) {
+      filters.forEach(filter => filter.disconnect());
+      filters = specs.map(spec => createBiquadFilter(context, spec));
+      layout = nextLayout;
+      connect();
+    } else {
+      specs.forEach((spec, i) => {
+        filters[i].frequency.setTargetAtTime(spec.frequency, now, SMOOTHING);
+        filters[i].gain.setTargetAtTime(spec.gain ?? 0, now, SMOOTHING);
+        filters[i].Q.setTargetAtTime(spec.q ?? 1, now, SMOOTHING);
+      });
+    }
+
+    input.gain.setTargetAtTime(settings?.enabled ? dbToGain(settings.preamp) : 1, now, SMOOTHING);
+  };
+
+  const dispose = () => {
+    input.disconnect();
+    filters.forEach(filter => filter.disconnect());
+    output.disconnect();
+  };
+
+  connect();
+  return { input, output, apply, dispose };
+};
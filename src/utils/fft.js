@@ -0,0 +1,82 @@
+// Radix-2 FFT for the analysis workers. Works in place on separate real and
+// imaginary arrays whose length is a power of two.
+export const fft = (real, imag) => {
+  const n = real.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = -2 * Math.PI / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let twiddleReal = 1;
+      let twiddleImag = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tReal = real[b] * twiddleReal - imag[b] * twiddleImag;
+        const tImag = real[b] * twiddleImag + imag[b] * twiddleReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+
+        const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+        twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+        twiddleReal = nextReal;
+      }
+    }
+  }
+};
+
+export const createHannWindow = (size) => Float32Array.from(
+  { length: size },
+  (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size)
+);
+
+// Magnitudes of bins 0..size/2 for the frame of `samples` starting at
+// `offset`, windowed. `real` and `imag` are scratch arrays of `size`.
+export const getMagnitudes = (samples, offset, window, real, imag, magnitudes) => {
+  const size = window.length;
+  for (let i = 0; i < size; i++) {
+    real[i] = (samples[offset + i] || 0) * window[i];
+    imag[i] = 0;
+  }
+  fft(real, imag);
+  for (let i = 0; i <= size / 2; i++) {
+    magnitudes[i] = Math.hypot(real[i], imag[i]);
+  }
+  return magnitudes;
+};
+
+// Mono mix of the channels, averaged down by a whole factor so analysis
+// runs near `targetRate` whatever rate the audio was decoded at
+export const mixDown = (channels, sampleRate, targetRate) => {
+  const factor = Math.max(1, Math.round(sampleRate / targetRate));
+  const length = Math.floor(channels[0].length / factor);
+  const mono = new Float32Array(length);
+  const scale = 1 / (factor * channels.length);
+
+  channels.forEach(samples => {
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      const start = i * factor;
+      for (let j = 0; j < factor; j++) sum += samples[start + j];
+      mono[i] += sum * scale;
+    }
+  });
+
+  return { samples: mono, sampleRate: sampleRate / factor };
+};
@@ -0,0 +1,93 @@
+// Collecting audio files from picked or dropped folders. Files read from
+// dropped directory entries have no webkitRelativePath, so the path they
+// were found at is remembered here instead.
+import { hasAudioExtension, validateAudioFile } from './audio';
+
+const filePaths = new WeakMap();
+
+// Path of a file inside the folder it was imported from, if it came from one
+export const getRelativePath = (file) => filePaths.get(file) || file.webkitRelativePath || null;
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const readFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries hands out directory contents in batches (100 at a time in
+// Chrome) and signals the end with an empty one
+const walkEntry = async (entry, files) => {
+  if (entry.isFile) {
+    const file = await readFile(entry);
+    filePaths.set(file, entry.fullPath.replace(/^\//, ''));
+    files.push(file);
+    return;
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    let batch;
+    do {
+      batch = await readEntries(reader);
+      for (const child of batch) {
+        await walkEntry(child, files);
+      }
+    } while (batch.length > 0);
+  }
+};
+
+const comparePaths = (a, b) => (getRelativePath(a) || a.name).localeCompare(
+  getRelativePath(b) || b.name,
+  undefined,
+  { numeric: true, sensitivity: 'base' }
+);
+
+// Every file in a drop, with dropped folders walked recursively. The
+// entries have to be taken from the DataTransfer synchronously, before the
+// drop event returns, so call this straight from the handler.
+export const readDroppedFiles = (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    // No entry support: fall back to the plain file list (no folders)
+    return Promise.resolve(Array.from(dataTransfer.files || []));
+  }
+
+  return (async () => {
+    const files = [];
+    for (const entry of entries) {
+      await walkEntry(entry, files);
+    }
+    return files.sort(comparePaths);
+  })();
+};
+
+// Files picked through a webkitdirectory input, in folder order
+export const sortFolderFiles = (files) => Array.from(files).sort(comparePaths);
+
+// Split scanned files into importable audio and the rest. Non-audio files
+// found inside a folder (cover images, cue sheets) are only counted; any
+// other file validateAudioFile turns down is reported with its message.
+export const filterAudioFiles = (files) => {
+  const audioFiles = [];
+  const rejected = [];
+  let ignored = 0;
+
+  files.forEach(file => {
+    const isInFolder = getRelativePath(file)?.includes('/');
+    if (isInFolder && !file.type.startsWith('audio/') && !hasAudioExtension(file)) {
+      ignored++;
+      return;
+    }
+
+    try {
+      validateAudioFile(file);
+      audioFiles.push(file);
+    } catch (error) {
+      rejected.push({ file, message: error.message });
+    }
+  });
+
+  return { audioFiles, rejected, ignored };
+};
@@ -0,0 +1,150 @@
+// Musical key detection and harmonic mixing, run in a worker on audio
+// decoded by trackAnalysis.js. The result is kept on the track as
+//   key: { tonic, mode, confidence }
+// tonic      pitch class of the key note, 0 = C up to 11 = B; null if the
+//            track has no pitched content to go on
+// mode       'major' or 'minor'
+// confidence 0–1, how well the track's pitches fit the key
+//
+// DJs mostly name keys on the Camelot wheel: the circle of fifths numbered
+// 1–12, B for major keys and A for their relative minors. Keys next to each
+// other on the wheel mix without clashing.
+
+// Below this the key is shown as a guess
+export const MIN_KEY_CONFIDENCE = 0.6;
+
+const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+const pendingRequests = new Map();
+let keyWorker = null;
+let requestId = 0;
+
+const getWorker = () => {
+  if (keyWorker) return keyWorker;
+
+  keyWorker = new Worker(new URL('../workers/key.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  keyWorker.onmessage = (event) => {
+    const { id, key, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(key);
+    }
+  };
+
+  return keyWorker;
+};
+
+// The samples are copied, as other analyses may be reading them too
+const analyzeSamples = ({ samples, sampleRate }) => new Promise((resolve, reject) => {
+  const id = ++requestId;
+  const channels = [samples.slice()];
+  pendingRequests.set(id, { resolve, reject });
+  getWorker().postMessage({ id, channels, sampleRate }, [channels[0].buffer]);
+});
+
+export const needsKeyAnalysis = (track) => !track.key;
+
+// Resolves to the key of decoded mono audio, `{ samples, sampleRate }`
+export const analyzeKey = (audio) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.reject(new Error('Web Workers are not supported'));
+  }
+
+  return analyzeSamples(audio)
+    .then(key => key ?? { tonic: null, mode: 'major', confidence: 0 });
+};
+
+const hasKey = (key) => Number.isInteger(key?.tonic);
+
+// Camelot position: { number: 1–12, letter: 'A' (minor) or 'B' (major) }.
+// A minor key sits with its relative major, three semitones up.
+export const getCamelot = (key) => {
+  if (!hasKey(key)) return null;
+  const majorTonic = key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic;
+  // Each step round the wheel is a fifth (7 semitones); C major is 8B
+  return {
+    number: ((majorTonic * 7) % 12 + 7) % 12 + 1,
+    letter: key.mode === 'minor' ? 'A' : 'B'
+  };
+};
+
+// 8A
+export const formatCamelot = (key) => {
+  const camelot = getCamelot(key);
+  return camelot ? `${camelot.number}${camelot.letter}` : null;
+};
+
+// Am, F#, Bbm
+export const formatKeyName = (key) => {
+  if (!hasKey(key)) return null;
+  return key.mode === 'minor' ? `${MINOR_NAMES[key.tonic]}m` : MAJOR_NAMES[key.tonic];
+};
+
+// All 24 keys in Camelot order (1A, 1B, 2A, ...), for pickers
+export const ALL_KEYS = Array.from({ length: 24 }, (_, i) => {
+  const number = Math.floor(i / 2) + 1;
+  const mode = i % 2 ? 'major' : 'minor';
+  // Inverse of getCamelot: 7 is its own inverse modulo 12
+  const majorTonic = ((number - 8) * 7 % 12 + 12) % 12;
+  const tonic = mode === 'minor' ? (majorTonic + 9) % 12 : majorTonic;
+  return { tonic, mode };
+});
+
+// Sort key for Camelot order
+export const getCamelotIndex = (key) => {
+  const camelot = getCamelot(key);
+  return camelot ? (camelot.number - 1) * 2 + (camelot.letter === 'B' ? 1 : 0) : null;
+};
+
+// How well `next` follows `key`: 3 for the same key, 2 for a neighbour on
+// the wheel (a fifth up or down), 1 for the relative major or minor, 0
+// when the two would clash
+export const getKeyCompatibility = (key, next) => {
+  const a = getCamelot(key);
+  const b = getCamelot(next);
+  if (!a || !b) return 0;
+
+  const steps = Math.min((a.number - b.number + 12) % 12, (b.number - a.number + 12) % 12);
+  if (a.letter === b.letter) {
+    if (steps === 0) return 3;
+    if (steps === 1) return 2;
+    return 0;
+  }
+  return steps === 0 ? 1 : 0;
+};
+
+// Library tracks that mix well after `track`, best first. Only compatible
+// keys qualify; among those a close tempo counts for about as much as the
+// key (a double or half tempo counts as close too). Tracks in `excludeIds`
+// are left out.
+export const suggestNextTracks = (track, library, { limit = 3, excludeIds = [] } = {}) => {
+  if (!hasKey(track?.key)) return [];
+
+  const excluded = new Set([track.id, ...excludeIds]);
+  const bpm = track.tempo?.bpm;
+
+  // In octaves, so 0.1 is about a 7% tempo change
+  const tempoDistance = (other) => {
+    const otherBpm = other.tempo?.bpm;
+    if (!bpm || !otherBpm) return 0.5;
+    const ratio = Math.abs(Math.log2(otherBpm / bpm));
+    return Math.min(ratio, Math.abs(ratio - 1));
+  };
+
+  return library
+    .filter(other => !excluded.has(other.id) && !other.isMissing)
+    .map(other => ({ track: other, compatibility: getKeyCompatibility(track.key, other.key) }))
+    .filter(({ compatibility }) => compatibility > 0)
+    .map(candidate => ({ ...candidate, score: candidate.compatibility - 10 * tempoDistance(candidate.track) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ track: other }) => other);
+};
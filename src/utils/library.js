@@ -0,0 +1,284 @@
+// Audio library: turns uploaded files into playable tracks backed by
+// IndexedDB, and brings those tracks back to life after a reload.
+import { createAudioUrl, revokeAudioUrl, getAudioMetadata } from './audio';
+import {
+  saveAudioFile,
+  getAudioFile,
+  removeAudioFile,
+  clearAudioFiles,
+  saveArtwork,
+  getArtwork,
+  removeArtwork,
+  clearArtwork,
+  removePeaks,
+  clearPeaks,
+  loadRemovedTracks,
+  saveRemovedTracks
+} from './storage';
+import { isQuotaExceededError } from './database';
+import { readTags, writeTags } from './tags';
+import { getRelativePath } from './fileScanner';
+
+const TAG_FIELDS = [
+  'album',
+  'albumArtist',
+  'trackNumber',
+  'trackTotal',
+  'discNumber',
+  'discTotal',
+  'year',
+  'genre'
+];
+
+// One object URL per stored picture, shared by every track that uses it.
+// Each import or restore that hands one out counts as a user, so a restore
+// that is thrown away cannot revoke a URL another one still shows.
+const artworkUrls = new Map();
+
+export const createTrackId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// FNV-1a over the picture bytes; the length is appended to make collisions
+// between different covers even less likely.
+const hashBytes = (bytes) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${(hash >>> 0).toString(16)}-${bytes.length.toString(16)}`;
+};
+
+const getArtworkUrl = (artworkId, blob) => {
+  if (!artworkUrls.has(artworkId)) {
+    artworkUrls.set(artworkId, { url: createAudioUrl(blob), users: 0 });
+  }
+  const entry = artworkUrls.get(artworkId);
+  entry.users += 1;
+  return entry.url;
+};
+
+const releaseArtworkUrl = (artworkId) => {
+  const entry = artworkUrls.get(artworkId);
+  if (!entry) return;
+  entry.users -= 1;
+  if (entry.users === 0) {
+    revokeAudioUrl(entry.url);
+    artworkUrls.delete(artworkId);
+  }
+};
+
+// Store an embedded picture and return the fields that point a track at it.
+// Artwork that cannot be stored is still shown for this session.
+const importArtwork = async (picture) => {
+  if (!picture?.data?.length) return {};
+
+  const artworkId = hashBytes(picture.data);
+  const blob = new Blob([picture.data], { type: picture.mimeType || 'image/jpeg' });
+
+  try {
+    await saveArtwork(artworkId, blob);
+  } catch (error) {
+    if (!isQuotaExceededError(error)) throw error;
+  }
+
+  return { artworkId, artworkUrl: getArtworkUrl(artworkId, blob) };
+};
+
+const pickTagFields = (tags) => {
+  return TAG_FIELDS.reduce((fields, key) => {
+    if (tags[key] !== undefined && tags[key] !== '') {
+      fields[key] = tags[key];
+    }
+    return fields;
+  }, {});
+};
+
+// Build a track from a File and store its audio. If the browser refuses to
+// store it (quota), the track still plays for this session and is flagged
+// so the UI can say it will not survive a reload.
+export const importAudioFile = async (file) => {
+  const id = createTrackId();
+  const path = getRelativePath(file);
+  const [metadata, tags] = await Promise.all([
+    getAudioMetadata(file).catch(() => null),
+    readTags(file)
+  ]);
+
+  const track = {
+    id,
+    title: tags.title || file.name.replace(/\.[^/.]+$/, ''),
+    artist: tags.artist || 'Unknown Artist',
+    ...pickTagFields(tags),
+    ...(tags.replayGain && { replayGain: tags.replayGain }),
+    ...(await importArtwork(tags.picture)),
+    duration: metadata?.duration || 0,
+    fileName: file.name,
+    // Folder imports know where the file sat; playlist files match on it
+    ...(path && { path }),
+    size: file.size,
+    type: file.type,
+    addedAt: Date.now(),
+    url: createAudioUrl(file),
+    isPersisted: true
+  };
+
+  try {
+    await saveAudioFile(file, id);
+  } catch (error) {
+    if (!isQuotaExceededError(error)) throw error;
+    console.warn(`Storage quota exceeded, "${file.name}" will not survive a reload`);
+    track.isPersisted = false;
+  }
+
+  return track;
+};
+
+const restoreArtworkUrl = async (artworkId) => {
+  if (!artworkId) return null;
+  if (artworkUrls.has(artworkId)) return getArtworkUrl(artworkId);
+
+  const blob = await getArtwork(artworkId);
+  return blob ? getArtworkUrl(artworkId, blob) : null;
+};
+
+// Deleted tracks keep their audio while the deletion can still be undone;
+// whatever the last session removed goes on the next load. Only tracks it
+// recorded as removed are touched, so a library save that fell behind can
+// never cost a track its audio.
+const pruneRemovedTracks = async (tracks) => {
+  const removed = loadRemovedTracks();
+  if (removed.length === 0) return;
+
+  const trackIds = new Set(tracks.map(track => track.id));
+  const artworkIds = new Set(tracks.map(track => track.artworkId).filter(Boolean));
+  const gone = removed.filter(entry => !trackIds.has(entry.id));
+  // Pictures are shared, so one goes only when no remaining track shows it
+  const goneArtwork = new Set(gone
+    .map(entry => entry.artworkId)
+    .filter(artworkId => artworkId && !artworkIds.has(artworkId)));
+
+  await Promise.all([
+    ...gone.map(entry => removeAudioFile(entry.id)),
+    ...gone.map(entry => removePeaks(entry.id)),
+    ...[...goneArtwork].map(artworkId => removeArtwork(artworkId))
+  ]);
+
+  const handled = new Set(removed.map(entry => entry.id));
+  saveRemovedTracks(loadRemovedTracks().filter(entry => !handled.has(entry.id)));
+};
+
+// Re-mint blob URLs for stored tracks. Tracks whose audio has been evicted
+// by the browser (or was never stored) are kept, marked missing.
+export const restoreTrackUrls = async (tracks) => {
+  const restored = await Promise.all(tracks.map(async (track) => {
+    const artworkUrl = await restoreArtworkUrl(track.artworkId);
+    const withArtwork = track.artworkId ? { ...track, artworkUrl } : track;
+
+    if (track.url && !track.url.startsWith('blob:')) {
+      return withArtwork;
+    }
+
+    const blob = await getAudioFile(track.id);
+    if (!blob) {
+      return { ...withArtwork, url: null, isMissing: true };
+    }
+
+    return { ...withArtwork, url: createAudioUrl(blob), isMissing: false, isPersisted: true };
+  }));
+
+  pruneRemovedTracks(restored);
+  return restored;
+};
+
+// Put audio back behind a track that lost it, e.g. when the same file is
+// imported again after eviction.
+export const relinkAudioFile = async (track, file) => {
+  let isPersisted = true;
+
+  try {
+    await saveAudioFile(file, track.id);
+  } catch (error) {
+    if (!isQuotaExceededError(error)) throw error;
+    isPersisted = false;
+  }
+
+  // Whatever the track pointed at before is no use now
+  const url = createAudioUrl(file);
+  if (track.url?.startsWith('blob:') && track.url !== url) {
+    revokeAudioUrl(track.url);
+  }
+
+  return { ...track, url, isMissing: false, isPersisted };
+};
+
+// Use an image file picked by the user as a track's artwork
+export const importArtworkImage = async (file) => {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return importArtwork({ mimeType: file.type, data });
+};
+
+// The stored audio for a track, falling back to whatever its URL serves
+const getTrackAudio = async (track) => {
+  const stored = await getAudioFile(track.id);
+  if (stored) return stored;
+  if (!track.url) throw new Error(`The audio for "${track.title}" is no longer stored`);
+  return fetch(track.url).then(response => response.blob());
+};
+
+// A copy of the track's file with its current tags and artwork written in
+export const exportTaggedFile = async (track) => {
+  const audio = await getTrackAudio(track);
+  let picture = null;
+
+  if (track.artworkUrl) {
+    const image = await fetch(track.artworkUrl).then(response => response.blob());
+    picture = { mimeType: image.type, data: new Uint8Array(await image.arrayBuffer()) };
+  }
+
+  const blob = await writeTags(audio, {
+    title: track.title,
+    artist: track.artist === 'Unknown Artist' ? '' : track.artist,
+    ...pickTagFields(track),
+    picture
+  });
+
+  return { blob, fileName: track.fileName || `${track.title}.mp3` };
+};
+
+export const findMissingMatch = (tracks, file) => {
+  return tracks.find(track =>
+    track.isMissing && track.fileName === file.name && track.size === file.size
+  );
+};
+
+// A playable track that is most likely this same file, imported before
+export const findDuplicate = (tracks, file) => {
+  return tracks.find(track =>
+    !track.isMissing && track.fileName === file.name && track.size === file.size
+  );
+};
+
+export const releaseTrack = (track, { deleteAudio = false } = {}) => {
+  if (track?.url?.startsWith('blob:')) {
+    revokeAudioUrl(track.url);
+  }
+  if (deleteAudio && track) {
+    removePeaks(track.id);
+    return removeAudioFile(track.id);
+  }
+  return Promise.resolve(true);
+};
+
+// Artwork URLs are shared between tracks, so they are only given up here,
+// when a whole library goes away, and revoked once no other holds them.
+export const releaseAllTracks = (tracks, { deleteAudio = false } = {}) => {
+  tracks.forEach(track => {
+    releaseTrack(track);
+    if (track.artworkUrl) releaseArtworkUrl(track.artworkId);
+  });
+  return deleteAudio
+    ? Promise.all([clearAudioFiles(), clearArtwork(), clearPeaks()]).then(() => true)
+    : Promise.resolve(true);
+};
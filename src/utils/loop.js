@@ -0,0 +1,72 @@
+// A–B looping. The loop belongs to the track it was set on:
+//   { trackId, start, end, enabled }   start/end in seconds, either may still
+//                                      be null while the loop is being set
+// Named loops are kept on the track itself as `loops: [{ id, name, start, end }]`.
+//
+// Practice mode: { enabled, step, minRate } slows the track down by `step`
+// (a playback rate difference) every time the loop comes round, down to
+// `minRate`.
+
+export const MIN_LOOP_LENGTH = 0.05; // seconds
+
+// How far one nudge moves a loop point; 'beat' needs the tempo
+export const NUDGE_UNITS = [
+  { id: 'ms10', label: '10 ms', seconds: 0.01 },
+  { id: 'ms100', label: '100 ms', seconds: 0.1 },
+  { id: 'beat', label: 'Beat', seconds: null }
+];
+
+export const DEFAULT_PRACTICE = {
+  enabled: false,
+  step: 0.05,
+  minRate: 0.5
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export const normalizePractice = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_PRACTICE;
+
+  return {
+    enabled: Boolean(saved.enabled),
+    step: clamp(Number(saved.step) || DEFAULT_PRACTICE.step, 0.01, 0.25),
+    minRate: clamp(Number(saved.minRate) || DEFAULT_PRACTICE.minRate, 0.25, 1)
+  };
+};
+
+// Seconds one nudge moves a point, or null when the unit cannot be used
+export const getNudgeSeconds = (unitId, bpm) => {
+  const unit = NUDGE_UNITS.find(({ id }) => id === unitId);
+  if (!unit) return null;
+  if (unit.seconds !== null) return unit.seconds;
+  return bpm > 0 ? 60 / bpm : null;
+};
+
+// The loop with one point moved, kept inside the track and at least
+// MIN_LOOP_LENGTH long. Returns the loop unchanged if the move is impossible.
+export const moveLoopPoint = (loop, point, time, duration) => {
+  const limit = duration > 0 ? duration : Infinity;
+  const next = { ...loop, [point]: clamp(time, 0, limit) };
+
+  if (next.start !== null && next.end !== null && next.end - next.start < MIN_LOOP_LENGTH) {
+    // Setting A past B starts a new loop from A
+    if (point === 'start') return { ...next, end: null };
+    return loop;
+  }
+  return next;
+};
+
+// { start, end } the engine should loop for this track right now, or null
+export const getActiveLoop = (loop, trackId) => {
+  if (!loop?.enabled || !trackId || loop.trackId !== trackId) return null;
+  if (loop.start === null || loop.end === null) return null;
+  return { start: loop.start, end: loop.end };
+};
+
+// Loop points as 1:23.456
+export const formatLoopTime = (seconds) => {
+  if (seconds === null || !isFinite(seconds)) return '–';
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(3).padStart(6, '0');
+  return `${minutes}:${rest}`;
+};
@@ -0,0 +1,178 @@
+// Loudness normalisation (ReplayGain). A track's gain comes from its
+// ReplayGain or R128 tags when it has them; otherwise its integrated
+// loudness is measured in a worker the first time it is decoded, and
+// cached on the track as `loudness: { integrated, peak }`.
+//
+// Settings: { mode, preamp, preventClipping }
+//   mode             'off', 'track', or 'album' (one gain for a whole album,
+//                    keeping the loud and quiet songs on it as mastered)
+//   preamp           dB added to every gain
+//   preventClipping  never raise a track so far that its peak goes over 0 dBFS
+
+// ReplayGain 2.0 brings everything to -18 LUFS
+export const REFERENCE_LOUDNESS = -18;
+export const MAX_PREAMP = 15; // dB either way
+
+export const NORMALIZATION_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'track', label: 'Track' },
+  { id: 'album', label: 'Album' }
+];
+
+export const DEFAULT_NORMALIZATION = {
+  mode: 'off',
+  preamp: 0,
+  preventClipping: true
+};
+
+const pendingRequests = new Map();
+const measuring = new Map(); // track id -> Promise<loudness>
+let loudnessWorker = null;
+let requestId = 0;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Saved settings from an older or damaged save, made whole
+export const normalizeNormalization = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_NORMALIZATION;
+
+  return {
+    mode: NORMALIZATION_MODES.some(mode => mode.id === saved.mode) ? saved.mode : DEFAULT_NORMALIZATION.mode,
+    preamp: clamp(Number(saved.preamp) || 0, -MAX_PREAMP, MAX_PREAMP),
+    preventClipping: saved.preventClipping !== false
+  };
+};
+
+// Tracks with neither tags nor a measurement, which are measured on decode
+export const needsLoudnessMeasurement = (track) => {
+  return !!track && track.loudness === undefined && track.replayGain?.trackGain === undefined;
+};
+
+// { gain, peak, source } for the track alone, or null while unknown
+const getTrackInfo = (track) => {
+  if (track.replayGain?.trackGain !== undefined) {
+    return {
+      gain: track.replayGain.trackGain,
+      peak: track.replayGain.trackPeak ?? track.loudness?.peak ?? null,
+      source: 'tags'
+    };
+  }
+  if (typeof track.loudness?.integrated === 'number') {
+    return {
+      gain: REFERENCE_LOUDNESS - track.loudness.integrated,
+      peak: track.loudness.peak ?? null,
+      source: 'analysis'
+    };
+  }
+  return null;
+};
+
+const getAlbumKey = (track) => {
+  if (!track.album) return null;
+  return `${track.albumArtist || track.artist || ''}\u0000${track.album}`;
+};
+
+// The album's gain from its tags, or else from the loudness of every album
+// track known so far: their energies averaged by duration, which is close
+// to measuring the album as one long piece
+const getAlbumInfo = (track, library) => {
+  if (track.replayGain?.albumGain !== undefined) {
+    return {
+      gain: track.replayGain.albumGain,
+      peak: track.replayGain.albumPeak ?? track.replayGain.trackPeak ?? null,
+      source: 'tags'
+    };
+  }
+
+  const key = getAlbumKey(track);
+  if (!key) return null;
+
+  let energy = 0;
+  let duration = 0;
+  let peak = null;
+  let source = 'tags';
+  library.forEach(albumTrack => {
+    if (getAlbumKey(albumTrack) !== key) return;
+    const info = getTrackInfo(albumTrack);
+    if (!info) return;
+
+    const weight = albumTrack.duration || 1;
+    energy += weight * Math.pow(10, (REFERENCE_LOUDNESS - info.gain) / 10);
+    duration += weight;
+    if (info.peak !== null) peak = Math.max(peak ?? 0, info.peak);
+    if (info.source === 'analysis') source = 'analysis';
+  });
+
+  if (duration === 0) return null;
+  return { gain: REFERENCE_LOUDNESS - 10 * Math.log10(energy / duration), peak, source };
+};
+
+/**
+ * The gain to play a track at under the given settings:
+ * `{ gain (dB), source: 'tags' | 'analysis', isLimited }`, where isLimited
+ * says clipping prevention lowered it. Null when normalisation is off or
+ * nothing is known about the track's loudness yet.
+ */
+export const getTrackNormalization = (track, library, settings) => {
+  if (!track || !settings || settings.mode === 'off') return null;
+
+  const info = (settings.mode === 'album' && getAlbumInfo(track, library)) || getTrackInfo(track);
+  if (!info) return null;
+
+  const gain = info.gain + settings.preamp;
+  const ceiling = settings.preventClipping && info.peak > 0 ? -20 * Math.log10(info.peak) : Infinity;
+  return {
+    gain: Math.min(gain, ceiling),
+    source: info.source,
+    isLimited: gain > ceiling
+  };
+};
+
+const getWorker = () => {
+  if (loudnessWorker) return loudnessWorker;
+
+  loudnessWorker = new Worker(new URL('../workers/loudness.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  loudnessWorker.onmessage = (event) => {
+    const { id, loudness, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(loudness);
+    }
+  };
+
+  return loudnessWorker;
+};
+
+// The samples are copied, as the buffer they come from may be playing
+const analyzeBuffer = (buffer) => new Promise((resolve, reject) => {
+  const id = ++requestId;
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i).slice());
+  pendingRequests.set(id, { resolve, reject });
+  getWorker().postMessage(
+    { id, channels, sampleRate: buffer.sampleRate },
+    channels.map(samples => samples.buffer)
+  );
+});
+
+// Resolves to `{ integrated, peak }`: integrated loudness in LUFS (null for
+// silence) and sample peak. A track already being measured is not sent again.
+export const measureLoudness = (track, buffer) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.reject(new Error('Web Workers are not supported'));
+  }
+
+  if (!measuring.has(track.id)) {
+    const promise = analyzeBuffer(buffer).finally(() => measuring.delete(track.id));
+    measuring.set(track.id, promise);
+  }
+  return measuring.get(track.id);
+};
@@ -0,0 +1,137 @@
+// Colour themes derived from cover art. The heavy lifting (decoding the
+// image and finding its dominant colours) runs in a worker; this module
+// turns those colours into background and accent shades and caches the
+// result per artwork, so every component asking for the same cover shares
+// one computation.
+
+// The app's original purple/blue/pink look, used when nothing is playing.
+// Everything is expressed in hsl() so framer-motion can tween between themes.
+export const DEFAULT_THEME = {
+  background: ['hsl(274, 66%, 32%)', 'hsl(224, 64%, 33%)', 'hsl(243, 47%, 34%)'],
+  accent: ['hsl(217, 91%, 60%)', 'hsl(258, 90%, 66%)', 'hsl(330, 81%, 60%)']
+};
+
+const themeCache = new Map();
+const pendingRequests = new Map();
+let paletteWorker = null;
+let requestId = 0;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const rgbToHsl = ([r, g, b]) => {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+
+  if (max === min) return [0, 0, lightness];
+
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === r) hue = (g - b) / delta + (g < b ? 6 : 0);
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+
+  return [hue * 60, saturation, lightness];
+};
+
+const hsl = (hue, saturation, lightness) => {
+  const h = ((hue % 360) + 360) % 360;
+  return `hsl(${Math.round(h)}, ${Math.round(saturation * 100)}%, ${Math.round(lightness * 100)}%)`;
+};
+
+// Dark, muted shades keep white text readable on the page background; the
+// accents are lifted so bars and strokes stay visible on a dark canvas.
+const createTheme = (colors) => {
+  const swatches = colors.map(rgbToHsl);
+  while (swatches.length < 3) {
+    const [hue, saturation, lightness] = swatches[swatches.length - 1];
+    swatches.push([hue + 35, saturation, lightness]);
+  }
+
+  return {
+    background: swatches.map(([hue, saturation]) =>
+      hsl(hue, clamp(saturation, 0.25, 0.7), 0.2)
+    ),
+    accent: swatches.map(([hue, saturation, lightness]) =>
+      hsl(hue, clamp(saturation, 0.55, 0.95), clamp(lightness, 0.55, 0.7))
+    )
+  };
+};
+
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic colours for tracks without a cover, keyed on the album so
+// its tracks look alike.
+export const getPlaceholderTheme = (track) => {
+  const seed = `${track?.artist || ''}|${track?.album || track?.title || ''}`;
+  const hue = hashString(seed) % 360;
+
+  return {
+    background: [hsl(hue, 0.55, 0.2), hsl(hue + 40, 0.55, 0.18), hsl(hue + 80, 0.5, 0.2)],
+    accent: [hsl(hue, 0.8, 0.6), hsl(hue + 40, 0.8, 0.62), hsl(hue + 80, 0.75, 0.65)]
+  };
+};
+
+const getWorker = () => {
+  if (paletteWorker) return paletteWorker;
+
+  paletteWorker = new Worker(new URL('../workers/palette.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  paletteWorker.onmessage = (event) => {
+    const { id, colors, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    pendingRequests.delete(id);
+    if (error || !colors?.length) {
+      request.reject(new Error(error || 'No colours found'));
+    } else {
+      request.resolve(colors);
+    }
+  };
+
+  return paletteWorker;
+};
+
+const extractColors = async (url) => {
+  const blob = await fetch(url).then(response => response.blob());
+
+  return new Promise((resolve, reject) => {
+    const id = ++requestId;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, blob });
+  });
+};
+
+// Resolve the theme for a track: cover colours when it has artwork, the
+// generated placeholder otherwise or if the cover cannot be analysed.
+export const getTrackTheme = (track) => {
+  if (!track?.artworkUrl || typeof Worker === 'undefined') {
+    return Promise.resolve(getPlaceholderTheme(track));
+  }
+
+  const key = track.artworkId || track.artworkUrl;
+  if (!themeCache.has(key)) {
+    const theme = extractColors(track.artworkUrl)
+      .then(createTheme)
+      .catch((error) => {
+        console.warn('Could not extract cover colours:', error);
+        return getPlaceholderTheme(track);
+      });
+    themeCache.set(key, theme);
+  }
+
+  return themeCache.get(key);
+};
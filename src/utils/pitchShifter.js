@@ -0,0 +1,75 @@
+// Pitch shift between the decks and the equalizer, done by an AudioWorklet.
+// Connect into `input` and out of `output`. The worklet module loads in the
+// background; until it has (or if the browser has no AudioWorklet) audio
+// passes through unshifted.
+import { createGainNode } from './audio';
+
+export const MIN_PLAYBACK_RATE = 0.25;
+export const MAX_PLAYBACK_RATE = 2;
+export const MAX_PITCH_SHIFT = 12; // semitones either way
+
+// 'stretch' keeps the pitch when the rate changes; 'varispeed' lets it move
+// with the speed, like a turntable
+export const RATE_MODES = [
+  { id: 'stretch', label: 'Keep pitch' },
+  { id: 'varispeed', label: 'Varispeed' }
+];
+
+// Rounded to hundredths, so stepping 0.1 up and down lands back on 1
+export const clampPlaybackRate = (rate) => {
+  const rounded = Math.round((Number(rate) || 1) * 100) / 100;
+  return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rounded));
+};
+
+export const clampPitchShift = (semitones) => {
+  return Math.max(-MAX_PITCH_SHIFT, Math.min(MAX_PITCH_SHIFT, Math.round(Number(semitones) || 0)));
+};
+
+// Frequency ratio the shifter applies: the semitones asked for, less
+// whatever the playback rate itself moved the pitch when it is to be kept
+export const getPitchRatio = ({ rate = 1, semitones = 0, mode = 'stretch' }) => {
+  const ratio = Math.pow(2, semitones / 12);
+  return mode === 'stretch' ? ratio / rate : ratio;
+};
+
+export const createPitchShifter = (context) => {
+  const input = createGainNode(context, 1);
+  const output = createGainNode(context, 1);
+  let node = null;
+  let ratio = 1;
+  let disposed = false;
+
+  input.connect(output);
+
+  const applyRatio = () => {
+    node?.parameters.get('pitchRatio').setValueAtTime(ratio, context.currentTime);
+  };
+
+  if (context.audioWorklet) {
+    context.audioWorklet
+      .addModule(new URL('../worklets/pitchShifter.worklet.js', import.meta.url))
+      .then(() => {
+        if (disposed) return;
+        node = new AudioWorkletNode(context, 'pitch-shifter', { outputChannelCount: [2] });
+        applyRatio();
+        input.disconnect();
+        input.connect(node);
+        node.connect(output);
+      })
+      .catch(error => console.warn('Pitch shifting is not available:', error));
+  }
+
+  const setRatio = (value) => {
+    ratio = Math.max(0.25, Math.min(4, value));
+    applyRatio();
+  };
+
+  const dispose = () => {
+    disposed = true;
+    input.disconnect();
+    node?.disconnect();
+    output.disconnect();
+  };
+
+  return { input, output, setRatio, dispose };
+};
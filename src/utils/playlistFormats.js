@@ -0,0 +1,290 @@
+// Reading and writing playlist files: M3U/M3U8 (with #EXTINF), PLS and
+// XSPF. Entries point at files by path, so on import they are matched back
+// to library tracks by path, then file name, then tags.
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  m3u: { label: 'M3U', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+  pls: { label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+  xspf: { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+};
+
+export const PLAYLIST_FILE_ACCEPT = Object.values(PLAYLIST_FORMATS)
+  .map(format => `.${format.extension}`)
+  .join(',');
+
+const getExtension = (fileName) => fileName.split('.').pop().toLowerCase();
+
+export const isPlaylistFile = (file) => getExtension(file.name) in PLAYLIST_FORMATS;
+
+// Trust the extension first, then sniff the content
+const detectFormat = (text, fileName) => {
+  const extension = getExtension(fileName);
+  if (extension in PLAYLIST_FORMATS) return extension;
+
+  const start = text.trimStart().slice(0, 200).toLowerCase();
+  if (start.startsWith('[playlist]')) return 'pls';
+  if (start.startsWith('<?xml') || start.startsWith('<playlist')) return 'xspf';
+  return 'm3u';
+};
+
+// "Artist - Title", as players write it into #EXTINF and PLS titles
+const splitDisplayTitle = (value) => {
+  const match = value.match(/^(.+?)\s+-\s+(.+)$/);
+  return match
+    ? { artist: match[1].trim(), title: match[2].trim() }
+    : { title: value.trim() };
+};
+
+const parseDuration = (value) => {
+  const seconds = parseFloat(value);
+  return seconds > 0 ? seconds : undefined;
+};
+
+const parseM3u = (text) => {
+  const entries = [];
+  let name;
+  let info = {};
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<seconds> [attributes],<display title>
+      const body = line.slice('#EXTINF:'.length);
+      const comma = body.indexOf(',');
+      const duration = parseDuration(comma >= 0 ? body.slice(0, comma) : body);
+      const display = comma >= 0 ? body.slice(comma + 1) : '';
+      info = { duration, ...(display && splitDisplayTitle(display)) };
+    } else if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim();
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, ...info });
+      info = {};
+    }
+  });
+
+  return { name, entries };
+};
+
+const parsePls = (text) => {
+  const fields = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (!match) return;
+
+    const [, key, number, value] = match;
+    fields[number] = { ...fields[number], [key.toLowerCase()]: value.trim() };
+  });
+
+  const entries = Object.keys(fields)
+    .sort((a, b) => a - b)
+    .map(number => fields[number])
+    .filter(entry => entry.file)
+    .map(entry => ({
+      location: entry.file,
+      duration: parseDuration(entry.length),
+      ...(entry.title && splitDisplayTitle(entry.title))
+    }));
+
+  return { entries };
+};
+
+const parseXspf = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('The XSPF file is not valid XML');
+  }
+
+  const childText = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim() || undefined;
+  const playlist = doc.documentElement;
+
+  const entries = Array.from(playlist.getElementsByTagName('track')).map(track => {
+    const duration = parseInt(childText(track, 'duration'), 10);
+    return {
+      location: childText(track, 'location'),
+      title: childText(track, 'title'),
+      artist: childText(track, 'creator'),
+      album: childText(track, 'album'),
+      duration: duration > 0 ? duration / 1000 : undefined
+    };
+  });
+
+  // The playlist's own <title>, not one of the tracks'
+  const title = Array.from(playlist.children).find(element => element.tagName === 'title');
+  return { name: title?.textContent.trim() || undefined, entries };
+};
+
+const PARSERS = { m3u: parseM3u, m3u8: parseM3u, pls: parsePls, xspf: parseXspf };
+
+// Reads a playlist file into { name, entries }, each entry carrying what
+// the file knows about a track: location, and maybe title/artist/album/duration
+export const parsePlaylistFile = async (file) => {
+  const text = await file.text();
+  const format = detectFormat(text, file.name);
+  const { name, entries } = PARSERS[format](text);
+
+  return {
+    name: name || file.name.replace(/\.[^/.]+$/, ''),
+    entries
+  };
+};
+
+// file:///C:/Music/a%20b.mp3 or ..\Music\a b.mp3 -> "c:/music/a b.mp3"
+const normalizePath = (location = '') => {
+  let path = location.trim();
+  try {
+    path = decodeURIComponent(path.replace(/^file:\/\/(localhost)?/i, ''));
+  } catch {
+    // Not percent-encoded after all
+  }
+  return path.replace(/\\/g, '/').toLowerCase();
+};
+
+const getBaseName = (path) => path.split('/').pop();
+
+const normalizeText = (value = '') => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+// Find the library track each entry refers to. An entry matches, in order
+// of preference: a track whose stored path ends the entry's location, a
+// track with the same file name, or a track with the same title and artist.
+export const matchPlaylistEntries = (entries, library) => {
+  const tracks = [];
+  const unmatched = [];
+
+  const byFileName = new Map();
+  const byTags = new Map();
+  library.forEach(track => {
+    const fileName = track.fileName?.toLowerCase();
+    if (fileName && !byFileName.has(fileName)) byFileName.set(fileName, track);
+
+    const tagKey = `${normalizeText(track.artist)}|${normalizeText(track.title)}`;
+    if (!byTags.has(tagKey)) byTags.set(tagKey, track);
+  });
+
+  const findTrack = (entry) => {
+    const path = normalizePath(entry.location);
+
+    if (path) {
+      const byPath = library.find(track => {
+        const trackPath = track.path?.toLowerCase();
+        return trackPath && (path === trackPath || path.endsWith(`/${trackPath}`));
+      });
+      if (byPath) return byPath;
+
+      const byName = byFileName.get(getBaseName(path));
+      if (byName) return byName;
+    }
+
+    if (entry.title) {
+      if (entry.artist) {
+        return byTags.get(`${normalizeText(entry.artist)}|${normalizeText(entry.title)}`);
+      }
+      // Without an artist, only a title shared by no other track is safe
+      const title = normalizeText(entry.title);
+      const candidates = library.filter(track => normalizeText(track.title) === title);
+      if (candidates.length === 1) return candidates[0];
+    }
+
+    return undefined;
+  };
+
+  entries.forEach(entry => {
+    const track = findTrack(entry);
+    if (track) {
+      tracks.push(track);
+    } else {
+      unmatched.push(entry);
+    }
+  });
+
+  return { tracks, unmatched };
+};
+
+// Human-readable label for an entry that could not be matched
+export const describePlaylistEntry = (entry) => {
+  if (entry.title) return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  return getBaseName((entry.location || '').replace(/\\/g, '/')) || 'Unknown entry';
+};
+
+// Tracks are written relative to the playlist, by the path they were
+// imported with, so the file works when saved next to the music folder
+const getTrackLocation = (track) => track.path || track.fileName || track.title;
+
+const getDisplayTitle = (track) => {
+  const title = track.title || track.fileName;
+  return track.artist && track.artist !== 'Unknown Artist' ? `${track.artist} - ${title}` : title;
+};
+
+const getWholeSeconds = (track) => (track.duration > 0 ? Math.round(track.duration) : -1);
+
+const serializeM3u = (tracks, name) => [
+  '#EXTM3U',
+  `#PLAYLIST:${name}`,
+  ...tracks.flatMap(track => [
+    `#EXTINF:${getWholeSeconds(track)},${getDisplayTitle(track)}`,
+    getTrackLocation(track)
+  ]),
+  ''
+].join('\n');
+
+const serializePls = (tracks) => [
+  '[playlist]',
+  ...tracks.flatMap((track, index) => [
+    `File${index + 1}=${getTrackLocation(track)}`,
+    `Title${index + 1}=${getDisplayTitle(track)}`,
+    `Length${index + 1}=${getWholeSeconds(track)}`
+  ]),
+  `NumberOfEntries=${tracks.length}`,
+  'Version=2',
+  ''
+].join('\n');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const xmlElement = (tag, value) => (
+  value === undefined || value === null || value === ''
+    ? []
+    : [`      <${tag}>${escapeXml(value)}</${tag}>`]
+);
+
+const serializeXspf = (tracks, name) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+  `  <title>${escapeXml(name)}</title>`,
+  '  <trackList>',
+  ...tracks.flatMap(track => [
+    '    <track>',
+    // XSPF locations are URIs, so each path segment is percent-encoded
+    ...xmlElement('location', getTrackLocation(track).split('/').map(encodeURIComponent).join('/')),
+    ...xmlElement('title', track.title),
+    ...xmlElement('creator', track.artist),
+    ...xmlElement('album', track.album),
+    ...xmlElement('trackNum', track.trackNumber),
+    ...xmlElement('duration', track.duration > 0 ? Math.round(track.duration * 1000) : undefined),
+    '    </track>'
+  ]),
+  '  </trackList>',
+  '</playlist>',
+  ''
+].join('\n');
+
+const SERIALIZERS = { m3u: serializeM3u, m3u8: serializeM3u, pls: serializePls, xspf: serializeXspf };
+
+// Writes tracks out as a playlist file ready for downloadBlob
+export const createPlaylistFile = (tracks, name, formatId) => {
+  const format = PLAYLIST_FORMATS[formatId];
+  const text = SERIALIZERS[formatId](tracks, name);
+  const safeName = name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'playlist';
+
+  return {
+    blob: new Blob([text], { type: `${format.mimeType};charset=utf-8` }),
+    fileName: `${safeName}.${format.extension}`
+  };
+};
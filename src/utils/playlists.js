@@ -0,0 +1,48 @@
+// Named playlists. Tracks live once in the library; a playlist is an
+// ordered list of track ids pointing into it, so the same track can sit in
+// several playlists without storing its audio twice.
+import { createTrackId } from './library';
+
+// Pseudo playlist id standing for the whole library
+export const LIBRARY_ID = 'library';
+
+export const createPlaylist = (name, trackIds = []) => {
+  const now = Date.now();
+  return {
+    id: createTrackId(),
+    name,
+    trackIds,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// The tracks a playlist refers to, in playlist order. Ids whose track has
+// left the library are skipped.
+export const resolvePlaylistTracks = (library, playlists, playlistId) => {
+  if (playlistId === LIBRARY_ID) return library;
+
+  const playlist = playlists.find(item => item.id === playlistId);
+  if (!playlist) return [];
+
+  const tracksById = new Map(library.map(track => [track.id, track]));
+  return playlist.trackIds
+    .map(id => tracksById.get(id))
+    .filter(Boolean);
+};
+
+export const getPlaylistName = (playlists, playlistId) => {
+  if (playlistId === LIBRARY_ID) return 'Library';
+  return playlists.find(item => item.id === playlistId)?.name ?? 'Unknown playlist';
+};
+
+// "Road trip" -> "Road trip 2" -> "Road trip 3"..., so new and duplicated
+// playlists never share a name
+export const getUniquePlaylistName = (playlists, name) => {
+  const names = new Set(playlists.map(item => item.name));
+  if (!names.has(name)) return name;
+
+  let suffix = 2;
+  while (names.has(`${name} ${suffix}`)) suffix++;
+  return `${name} ${suffix}`;
+};
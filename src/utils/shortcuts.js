@@ -0,0 +1,94 @@
+// Keyboard shortcuts. A binding is a key combo written the way it is shown,
+// e.g. "Space", "Shift+N" or "Ctrl+Z" (Ctrl stands for Cmd on macOS too).
+// The keymap maps every shortcut id to its list of bindings.
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+export const SHORTCUT_GROUPS = ['Playback', 'Seeking', 'Looping', 'Volume', 'Library', 'General'];
+
+export const SHORTCUTS = [
+  { id: 'togglePlay', label: 'Play / pause', group: 'Playback', keys: ['Space', 'K'] },
+  { id: 'nextTrack', label: 'Next track', group: 'Playback', keys: ['Shift+ArrowRight', 'N'] },
+  { id: 'previousTrack', label: 'Previous track', group: 'Playback', keys: ['Shift+ArrowLeft', 'P'] },
+  { id: 'toggleShuffle', label: 'Shuffle on / off', group: 'Playback', keys: ['S'] },
+  { id: 'toggleRepeat', label: 'Change repeat mode', group: 'Playback', keys: ['R'] },
+  { id: 'slowDown', label: 'Slower', group: 'Playback', keys: ['['] },
+  { id: 'speedUp', label: 'Faster', group: 'Playback', keys: [']'] },
+  { id: 'resetSpeed', label: 'Normal speed', group: 'Playback', keys: ['\\'] },
+  { id: 'seekForward', label: 'Forward 5 seconds', group: 'Seeking', keys: ['ArrowRight'] },
+  { id: 'seekBackward', label: 'Back 5 seconds', group: 'Seeking', keys: ['ArrowLeft'] },
+  { id: 'seekForwardLong', label: 'Forward 30 seconds', group: 'Seeking', keys: ['L', 'Ctrl+ArrowRight'] },
+  { id: 'seekBackwardLong', label: 'Back 30 seconds', group: 'Seeking', keys: ['J', 'Ctrl+ArrowLeft'] },
+  ...Array.from({ length: 10 }, (_, digit) => ({
+    id: `seekPercent${digit}`,
+    label: `Jump to ${digit * 10}%`,
+    group: 'Seeking',
+    keys: [String(digit)]
+  })),
+  { id: 'setLoopStart', label: 'Set loop start (A)', group: 'Looping', keys: ['A'] },
+  { id: 'setLoopEnd', label: 'Set loop end (B)', group: 'Looping', keys: ['B'] },
+  { id: 'toggleLoop', label: 'Loop on / off', group: 'Looping', keys: ['Shift+L'] },
+  { id: 'volumeUp', label: 'Volume up', group: 'Volume', keys: ['ArrowUp'] },
+  { id: 'volumeDown', label: 'Volume down', group: 'Volume', keys: ['ArrowDown'] },
+  { id: 'toggleMute', label: 'Mute / unmute', group: 'Volume', keys: ['M'] },
+  { id: 'focusSearch', label: 'Search the list', group: 'Library', keys: ['/'] },
+  { id: 'undo', label: 'Undo', group: 'Library', keys: ['Ctrl+Z'] },
+  { id: 'redo', label: 'Redo', group: 'Library', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'showShortcuts', label: 'Show keyboard shortcuts', group: 'General', keys: ['?'] }
+];
+
+export const getDefaultKeymap = () => Object.fromEntries(
+  SHORTCUTS.map(({ id, keys }) => [id, [...keys]])
+);
+
+// A saved keymap on top of the defaults, so shortcuts added since it was
+// saved still get their keys
+export const resolveKeymap = (saved) => {
+  const keymap = getDefaultKeymap();
+  if (!saved || typeof saved !== 'object') return keymap;
+
+  SHORTCUTS.forEach(({ id }) => {
+    if (Array.isArray(saved[id])) {
+      keymap[id] = saved[id].filter(combo => typeof combo === 'string');
+    }
+  });
+  return keymap;
+};
+
+// The combo a keydown stands for, or null for a lone modifier. Shift is
+// left out for symbols, since it is already part of the character ("?").
+export const getKeyCombo = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  const key = event.key === ' ' ? 'Space' : event.key;
+  const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+
+  return [
+    (event.ctrlKey || event.metaKey) && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && !isSymbol && 'Shift',
+    key.length === 1 ? key.toUpperCase() : key
+  ].filter(Boolean).join('+');
+};
+
+// The id of the shortcut a combo triggers, if any
+export const findShortcut = (keymap, combo) => {
+  return SHORTCUTS.find(({ id }) => keymap[id]?.includes(combo))?.id ?? null;
+};
+
+// Keys of a combo as they are printed on the keyboard
+export const getKeyLabels = (combo) => {
+  // "Ctrl++" splits into an empty last part
+  const parts = combo.endsWith('++')
+    ? [...combo.slice(0, -2).split('+'), '+']
+    : combo.split('+');
+  return parts.map(part => KEY_LABELS[part] ?? part);
+};
@@ -1,11 +1,27 @@
+import {
+  STORES,
+  getRecord,
+  putRecord,
+  deleteRecord,
+  clearStore,
+  reduceRecords
+} from './database';
+
 // Storage keys
 const STORAGE_KEYS = {
-  PLAYLIST: 'mp3_player_playlist',
+  PLAYLIST: 'mp3_player_playlist', // legacy single playlist, migrated into the library
+  LIBRARY: 'mp3_player_library',
+  REMOVED_TRACKS: 'mp3_player_removed_tracks',
+  PLAYLISTS: 'mp3_player_playlists',
+  QUEUE: 'mp3_player_queue',
   CURRENT_TRACK: 'mp3_player_current_track',
   VOLUME: 'mp3_player_volume',
   REPEAT_MODE: 'mp3_player_repeat_mode',
   SHUFFLE: 'mp3_player_shuffle',
-  AUDIO_FILES: 'mp3_player_audio_files'
+  PLAYER_STATE: 'mp3_player_state',
+  KEYMAP: 'mp3_player_keymap',
+  EQUALIZER_PRESETS: 'mp3_player_equalizer_presets',
+  AUDIO_FILES: 'mp3_player_audio_files' // legacy base64 copies, now in IndexedDB
 };
 
 // Generic storage operations
@@ -44,6 +60,8 @@ export const clearAllStorage = () => {
     Object.values(STORAGE_KEYS).forEach(key => {
       localStorage.removeItem(key);
     });
+    clearAudioFiles();
+    clearArtwork();
     return true;
   } catch (error) {
     console.error('Error clearing localStorage:', error);
@@ -52,14 +70,31 @@ export const clearAllStorage = () => {
 };
 
 // Playlist-specific storage operations
+// Blob URLs die with the page, so they are dropped here and re-minted from
+// IndexedDB on load; File objects do not survive JSON either.
+const serializeTrack = (track) => {
+  const serialized = { ...track };
+  delete serialized.file;
+  delete serialized.isMissing;
+  if (serialized.url?.startsWith('blob:')) {
+    serialized.url = null;
+  }
+  if (serialized.artworkUrl?.startsWith('blob:')) {
+    serialized.artworkUrl = null;
+  }
+  return serialized;
+};
+
 export const savePlaylist = (playlist) => {
-  return setToStorage(STORAGE_KEYS.PLAYLIST, playlist);
+  return setToStorage(STORAGE_KEYS.PLAYLIST, playlist.map(serializeTrack));
 };
 
 export const getPlaylist = () => {
   return getFromStorage(STORAGE_KEYS.PLAYLIST, []);
 };
 
+export const loadPlaylist = getPlaylist;
+
 export const addTrackToPlaylist = (track) => {
   const playlist = getPlaylist();
   const updatedPlaylist = [...playlist, { ...track, id: Date.now() }];
@@ -80,6 +115,56 @@ export const updateTrackInPlaylist = (trackId, updates) => {
   return savePlaylist(updatedPlaylist);
 };
 
+// Library storage
+// Every imported track lives in the library; named playlists only hold
+// track ids pointing into it.
+export const saveLibrary = (tracks) => {
+  const saved = setToStorage(STORAGE_KEYS.LIBRARY, tracks.map(serializeTrack));
+  // Once migrated, the legacy playlist would only go stale
+  if (saved) removeFromStorage(STORAGE_KEYS.PLAYLIST);
+  return saved;
+};
+
+// Installs from before the library existed kept their tracks in the single
+// playlist; those become the library on first load.
+export const loadLibrary = () => {
+  const library = getFromStorage(STORAGE_KEYS.LIBRARY, null);
+  if (library) return library;
+  return getPlaylist();
+};
+
+// Tracks removed from the library this session, as { id, artworkId }. Their
+// stored audio outlives them while an undo can bring them back, so the next
+// load deletes what is left of these and nothing else.
+export const saveRemovedTracks = (tracks) => {
+  return setToStorage(STORAGE_KEYS.REMOVED_TRACKS, tracks);
+};
+
+export const loadRemovedTracks = () => {
+  return getFromStorage(STORAGE_KEYS.REMOVED_TRACKS, []);
+};
+
+export const savePlaylists = (playlists) => {
+  return setToStorage(STORAGE_KEYS.PLAYLISTS, playlists);
+};
+
+export const loadPlaylists = () => {
+  return getFromStorage(STORAGE_KEYS.PLAYLISTS, []);
+};
+
+// Play queue and listening history, both as track ids into the library
+export const saveQueue = ({ queue, history }) => {
+  return setToStorage(STORAGE_KEYS.QUEUE, { queue, history });
+};
+
+export const loadQueue = () => {
+  const saved = getFromStorage(STORAGE_KEYS.QUEUE, null);
+  return {
+    queue: saved?.queue ?? [],
+    history: saved?.history ?? []
+  };
+};
+
 // Current track storage
 export const saveCurrentTrack = (track) => {
   return setToStorage(STORAGE_KEYS.CURRENT_TRACK, track);
@@ -114,69 +199,244 @@ export const getShuffle = () => {
   return getFromStorage(STORAGE_KEYS.SHUFFLE, false);
 };
 
+// Combined player state (current index, volume, repeat, shuffle...)
+export const savePlayerState = (state) => {
+  return setToStorage(STORAGE_KEYS.PLAYER_STATE, state);
+};
+
+export const loadPlayerState = () => {
+  return getFromStorage(STORAGE_KEYS.PLAYER_STATE, null);
+};
+
+// Equalizer presets saved by the user (the built-in ones live in code)
+export const saveEqualizerPresets = (presets) => {
+  return setToStorage(STORAGE_KEYS.EQUALIZER_PRESETS, presets);
+};
+
+export const loadEqualizerPresets = () => {
+  return getFromStorage(STORAGE_KEYS.EQUALIZER_PRESETS, []);
+};
+
+// Keyboard shortcut bindings: { [shortcutId]: ['Space', 'K'] }
+export const saveKeymap = (keymap) => {
+  return setToStorage(STORAGE_KEYS.KEYMAP, keymap);
+};
+
+export const loadKeymap = () => {
+  return getFromStorage(STORAGE_KEYS.KEYMAP, null);
+};
+
+export const clearKeymap = () => {
+  return removeFromStorage(STORAGE_KEYS.KEYMAP);
+};
+
 // Audio file storage (for uploaded files)
-export const saveAudioFile = async (file) => {
-  try {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const audioFiles = getAudioFiles();
-        const fileData = {
-          id: Date.now(),
-          name: file.name,
-          size: file.size,
-          type: file.type,
-          data: reader.result,
-          uploadedAt: new Date().toISOString()
-        };
-        
-        const updatedFiles = [...audioFiles, fileData];
-        if (setToStorage(STORAGE_KEYS.AUDIO_FILES, updatedFiles)) {
-          resolve(fileData);
-        } else {
-          reject(new Error('Failed to save audio file'));
-        }
-      };
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsDataURL(file);
-    });
+// The binary audio lives in IndexedDB keyed by track id; localStorage only
+// holds the playlist metadata that points at it.
+export const saveAudioFile = async (file, trackId = Date.now()) => {
+  const fileData = {
+    id: trackId,
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    uploadedAt: new Date().toISOString()
+  };
+
+  try {
+    await putRecord(STORES.AUDIO_FILES, { ...fileData, blob: file });
+    return fileData;
   } catch (error) {
     console.error('Error saving audio file:', error);
     throw error;
   }
 };
 
-export const getAudioFiles = () => {
-  return getFromStorage(STORAGE_KEYS.AUDIO_FILES, []);
+export const getAudioFile = async (trackId) => {
+  try {
+    const record = await getRecord(STORES.AUDIO_FILES, trackId);
+    return record?.blob ?? null;
+  } catch (error) {
+    console.error(`Error reading audio file ${trackId}:`, error);
+    return null;
+  }
 };
 
-export const removeAudioFile = (fileId) => {
-  const audioFiles = getAudioFiles();
-  const updatedFiles = audioFiles.filter(file => file.id !== fileId);
-  return setToStorage(STORAGE_KEYS.AUDIO_FILES, updatedFiles);
+export const getAudioFiles = async () => {
+  try {
+    return await reduceRecords(STORES.AUDIO_FILES, (files, record) => {
+      const { blob, ...fileData } = record;
+      files.push({ ...fileData, size: blob?.size ?? fileData.size });
+      return files;
+    }, []);
+  } catch (error) {
+    console.error('Error listing audio files:', error);
+    return [];
+  }
+};
+
+export const removeAudioFile = async (fileId) => {
+  try {
+    await deleteRecord(STORES.AUDIO_FILES, fileId);
+    return true;
+  } catch (error) {
+    console.error(`Error removing audio file ${fileId}:`, error);
+    return false;
+  }
+};
+
+export const clearAudioFiles = async () => {
+  try {
+    await clearStore(STORES.AUDIO_FILES);
+    return true;
+  } catch (error) {
+    console.error('Error clearing audio files:', error);
+    return false;
+  }
+};
+
+// Cover art storage
+// Embedded pictures are stored once per distinct image (keyed by content
+// hash), so a whole album shares a single record.
+export const saveArtwork = async (artworkId, blob) => {
+  try {
+    await putRecord(STORES.ARTWORK, { id: artworkId, blob, type: blob.type });
+    return true;
+  } catch (error) {
+    console.error('Error saving artwork:', error);
+    throw error;
+  }
+};
+
+export const getArtwork = async (artworkId) => {
+  try {
+    const record = await getRecord(STORES.ARTWORK, artworkId);
+    return record?.blob ?? null;
+  } catch (error) {
+    console.error(`Error reading artwork ${artworkId}:`, error);
+    return null;
+  }
+};
+
+export const removeArtwork = async (artworkId) => {
+  try {
+    await deleteRecord(STORES.ARTWORK, artworkId);
+    return true;
+  } catch (error) {
+    console.error(`Error removing artwork ${artworkId}:`, error);
+    return false;
+  }
+};
+
+export const clearArtwork = async () => {
+  try {
+    await clearStore(STORES.ARTWORK);
+    return true;
+  } catch (error) {
+    console.error('Error clearing artwork:', error);
+    return false;
+  }
+};
+
+// Waveform peaks, one record per track. They can always be worked out
+// again from the audio, so failures here are only logged.
+export const savePeaks = async (trackId, waveform) => {
+  try {
+    await putRecord(STORES.PEAKS, { id: trackId, ...waveform });
+    return true;
+  } catch (error) {
+    console.error(`Error saving the waveform of ${trackId}:`, error);
+    return false;
+  }
+};
+
+export const getPeaks = async (trackId) => {
+  try {
+    const record = await getRecord(STORES.PEAKS, trackId);
+    return record ? { peaks: record.peaks, duration: record.duration } : null;
+  } catch (error) {
+    console.error(`Error reading the waveform of ${trackId}:`, error);
+    return null;
+  }
+};
+
+export const removePeaks = async (trackId) => {
+  try {
+    await deleteRecord(STORES.PEAKS, trackId);
+    return true;
+  } catch (error) {
+    console.error(`Error removing the waveform of ${trackId}:`, error);
+    return false;
+  }
+};
+
+export const clearPeaks = async () => {
+  try {
+    await clearStore(STORES.PEAKS);
+    return true;
+  } catch (error) {
+    console.error('Error clearing waveforms:', error);
+    return false;
+  }
+};
+
+// Ask the browser not to evict our IndexedDB data under storage pressure.
+// Browsers may still refuse, in which case restored tracks can come back
+// without audio and are flagged as missing.
+export const requestPersistentStorage = async () => {
+  try {
+    if (!navigator.storage?.persist) return false;
+    if (await navigator.storage.persisted()) return true;
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.error('Error requesting persistent storage:', error);
+    return false;
+  }
 };
 
 // Storage info utilities
-export const getStorageUsage = () => {
-  try {
-    let totalSize = 0;
-    const usage = {};
-    
-    Object.entries(STORAGE_KEYS).forEach(([key, storageKey]) => {
-      const item = localStorage.getItem(storageKey);
-      const size = item ? new Blob([item]).size : 0;
-      usage[key.toLowerCase()] = size;
-      totalSize += size;
-    });
-    
+const getLocalStorageUsage = () => {
+  let totalSize = 0;
+  const usage = {};
+
+  Object.entries(STORAGE_KEYS).forEach(([key, storageKey]) => {
+    const item = localStorage.getItem(storageKey);
+    const size = item ? new Blob([item]).size : 0;
+    usage[key.toLowerCase()] = size;
+    totalSize += size;
+  });
+
+  return { total: totalSize, breakdown: usage };
+};
+
+export const getStorageUsage = async () => {
+  try {
+    const local = getLocalStorageUsage();
+    const audioFiles = await getAudioFiles();
+    const audioSize = audioFiles.reduce((total, file) => total + (file.size || 0), 0);
+    const total = local.total + audioSize;
+
+    // The origin-wide estimate is the only quota figure browsers expose
+    const estimate = navigator.storage?.estimate
+      ? await navigator.storage.estimate()
+      : {};
+    const persisted = navigator.storage?.persisted
+      ? await navigator.storage.persisted()
+      : false;
+
     return {
-      total: totalSize,
-      breakdown: usage,
-      formatted: formatBytes(totalSize)
+      total,
+      breakdown: { ...local.breakdown, audio_files: audioSize },
+      formatted: formatBytes(total),
+      fileCount: audioFiles.length,
+      quota: estimate.quota ?? null,
+      usage: estimate.usage ?? null,
+      percentUsed: estimate.quota ? (estimate.usage / estimate.quota) * 100 : null,
+      formattedQuota: estimate.quota ? formatBytes(estimate.quota) : null,
+      persisted
     };
   } catch (error) {
     console.error('Error calculating storage usage:', error);
-    return { total: 0, breakdown: {}, formatted: '0 B' };
+    return { total: 0, breakdown: {}, formatted: '0 B', fileCount: 0, quota: null, usage: null, percentUsed: null, formattedQuota: null, persisted: false };
   }
 };
 
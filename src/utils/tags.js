@@ -0,0 +1,960 @@
+// Pure-JS audio tag reader: ID3v1, ID3v2.2/2.3/2.4, FLAC and Ogg
+// (Vorbis/Opus) comments and MP4 `ilst` atoms. Files are read in slices, so
+// a 50MB upload never has to be loaded whole just to find its title.
+
+// ID3v1 genre list, including the Winamp extensions most taggers write
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret',
+  'New Wave', 'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal',
+  'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin',
+  'Revival', 'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+  'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal',
+  'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue',
+  'Salsa', 'Thrash Metal', 'Anime', 'JPop', 'Synthpop'
+];
+
+// Generous cap on how much of an Ogg stream we scan for the comment packet
+const OGG_SCAN_LIMIT = 16 * 1024 * 1024;
+
+// Byte helpers
+
+const readBytes = async (file, start, end) => {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+};
+
+const ascii = (bytes, offset, length) => {
+  let text = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+};
+
+const uint16BE = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+const uint24BE = (bytes, offset) => (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+const uint32BE = (bytes, offset) => (
+  (bytes[offset] * 0x1000000) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3])
+);
+const uint32LE = (bytes, offset) => (
+  (bytes[offset + 3] * 0x1000000) + ((bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset])
+);
+const syncsafe = (bytes, offset) => (
+  ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+  ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f)
+);
+
+const textDecoders = {};
+const decodeText = (bytes, encoding = 'utf-8') => {
+  if (!textDecoders[encoding]) {
+    textDecoders[encoding] = new TextDecoder(encoding);
+  }
+  return textDecoders[encoding].decode(bytes).replace(/\0+$/, '').trim();
+};
+
+const decodeBase64 = (text) => {
+  const binary = atob(text.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const sniffImageType = (bytes) => {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) return 'image/png';
+  if (bytes[0] === 0x47 && bytes[1] === 0x49) return 'image/gif';
+  if (bytes[0] === 0x42 && bytes[1] === 0x4d) return 'image/bmp';
+  return 'image/jpeg';
+};
+
+// Value normalisation shared by every format
+
+const parseNumberPair = (value) => {
+  const [number, total] = String(value).split('/').map(part => parseInt(part, 10));
+  return {
+    number: Number.isFinite(number) ? number : null,
+    total: Number.isFinite(total) ? total : null
+  };
+};
+
+const parseGenre = (value) => {
+  const text = String(value).trim();
+  const numeric = text.match(/^\(?(\d+)\)?$/);
+  if (numeric) return ID3_GENRES[parseInt(numeric[1], 10)] || text;
+
+  // ID3v2.3 "(17)Rock" style refinements keep the text after the reference
+  const reference = text.match(/^\((\d+)\)(.*)$/);
+  if (reference) return reference[2].trim() || ID3_GENRES[parseInt(reference[1], 10)] || text;
+  if (text === '(RX)' || text === 'RX') return 'Remix';
+  if (text === '(CR)' || text === 'CR') return 'Cover';
+  return text;
+};
+
+const parseYear = (value) => {
+  const year = parseInt(String(value).slice(0, 4), 10);
+  return Number.isFinite(year) && year > 0 ? year : null;
+};
+
+// Apply one named field to the result, in whichever format it came from
+const setField = (tags, field, value) => {
+  if (value === undefined || value === null || value === '') return;
+
+  switch (field) {
+    case 'track': {
+      const { number, total } = parseNumberPair(value);
+      if (number !== null) tags.trackNumber = number;
+      if (total !== null) tags.trackTotal = total;
+      break;
+    }
+    case 'disc': {
+      const { number, total } = parseNumberPair(value);
+      if (number !== null) tags.discNumber = number;
+      if (total !== null) tags.discTotal = total;
+      break;
+    }
+    case 'trackTotal':
+    case 'discTotal': {
+      const total = parseInt(value, 10);
+      if (Number.isFinite(total)) tags[field] = total;
+      break;
+    }
+    case 'year': {
+      const year = parseYear(value);
+      if (year) tags.year = year;
+      break;
+    }
+    case 'genre':
+      tags.genre = parseGenre(value);
+      break;
+    case 'trackGain':
+    case 'trackPeak':
+    case 'albumGain':
+    case 'albumPeak': {
+      // "-6.48 dB", "0.988553"
+      const number = parseFloat(value);
+      if (Number.isFinite(number)) tags.replayGain = { ...tags.replayGain, [field]: number };
+      break;
+    }
+    case 'r128TrackGain':
+    case 'r128AlbumGain': {
+      // Opus: Q7.8 dB towards -23 LUFS, where ReplayGain aims 5 dB louder.
+      // A REPLAYGAIN_* value for the same thing wins.
+      const number = parseInt(value, 10);
+      const key = field === 'r128TrackGain' ? 'trackGain' : 'albumGain';
+      if (Number.isFinite(number) && tags.replayGain?.[key] === undefined) {
+        tags.replayGain = { ...tags.replayGain, [key]: number / 256 + 5 };
+      }
+      break;
+    }
+    default:
+      tags[field] = String(value).trim();
+  }
+};
+
+// Prefer the front cover (picture type 3) over any other embedded image
+const setPicture = (tags, picture) => {
+  if (!picture?.data?.length) return;
+  if (tags.picture && tags.picture.pictureType === 3) return;
+  if (tags.picture && picture.pictureType !== 3) return;
+  tags.picture = picture;
+};
+
+// ReplayGain values, stored under the same names as ID3 TXXX descriptions,
+// Vorbis comments and MP4 freeform atoms
+const REPLAY_GAIN_FIELDS = {
+  REPLAYGAIN_TRACK_GAIN: 'trackGain',
+  REPLAYGAIN_TRACK_PEAK: 'trackPeak',
+  REPLAYGAIN_ALBUM_GAIN: 'albumGain',
+  REPLAYGAIN_ALBUM_PEAK: 'albumPeak'
+};
+
+// ID3v2
+
+const ID3_FRAMES = {
+  TIT2: 'title',
+  TPE1: 'artist',
+  TALB: 'album',
+  TPE2: 'albumArtist',
+  TRCK: 'track',
+  TPOS: 'disc',
+  TYER: 'year',
+  TDRC: 'year',
+  TDOR: 'year',
+  TCON: 'genre'
+};
+
+// Frames a year is read from, best first: the recording date, the v2.3
+// year, then the original release date
+const ID3_YEAR_FRAMES = ['TDRC', 'TYER', 'TDOR'];
+
+// ID3v2.2 used three-character frame ids
+const ID3V22_FRAMES = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TAL: 'TALB',
+  TP2: 'TPE2',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TYE: 'TYER',
+  TCO: 'TCON',
+  TXX: 'TXXX',
+  PIC: 'APIC'
+};
+
+const ID3_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+
+const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return output.subarray(0, length);
+};
+
+// Find the end of a null-terminated string in the given ID3 text encoding
+const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return { end: i, next: i + (wide ? 2 : 1) };
+    }
+  }
+  return { end: bytes.length, next: bytes.length };
+};
+
+const decodeId3Text = (bytes, encoding) => {
+  let label = ID3_ENCODINGS[encoding] || 'iso-8859-1';
+  if (encoding === 1 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    label = 'utf-16be';
+  }
+
+  const values = decodeText(bytes, label)
+    .replace(/\uFEFF/g, '')
+    .split('\0')
+    .map(value => value.trim())
+    .filter(Boolean);
+  return values.join(', ');
+};
+
+// User-defined text frame: a description naming the value, then the value
+const parseTxxxFrame = (frame) => {
+  const encoding = frame[0];
+  const { end, next } = findTerminator(frame, 1, encoding);
+  return {
+    description: decodeId3Text(frame.subarray(1, end), encoding).toUpperCase(),
+    value: decodeId3Text(frame.subarray(next), encoding)
+  };
+};
+
+const parseApicFrame = (frame, isV22) => {
+  const encoding = frame[0];
+  let offset = 1;
+  let mimeType;
+
+  if (isV22) {
+    const format = ascii(frame, 1, 3).toUpperCase();
+    mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const { end, next } = findTerminator(frame, offset, 0);
+    mimeType = ascii(frame, offset, end - offset).toLowerCase();
+    offset = next;
+  }
+
+  const pictureType = frame[offset];
+  const { next } = findTerminator(frame, offset + 1, encoding);
+  const data = frame.slice(next);
+
+  if (!mimeType.startsWith('image/')) {
+    mimeType = sniffImageType(data);
+  }
+  return { mimeType, pictureType, data };
+};
+
+const parseId3v2 = async (file) => {
+  const header = await readBytes(file, 0, 10);
+  if (ascii(header, 0, 3) !== 'ID3') return null;
+
+  const major = header[3];
+  const flags = header[5];
+  const tagSize = syncsafe(header, 6);
+  let data = await readBytes(file, 10, 10 + tagSize);
+
+  if (major < 4 && (flags & 0x80)) {
+    data = removeUnsynchronisation(data);
+  }
+
+  let offset = 0;
+  if (flags & 0x40) {
+    offset = major === 4 ? syncsafe(data, 0) : uint32BE(data, 0) + 4;
+  }
+
+  const isV22 = major === 2;
+  const idLength = isV22 ? 3 : 4;
+  const frameHeaderLength = isV22 ? 6 : 10;
+  const tags = {};
+  // Every readable frame, kept so a rewritten tag can carry over the ones we
+  // do not edit (lyrics, comments, ReplayGain...)
+  const frames = [];
+  let yearFrame = null;
+
+  while (offset + frameHeaderLength <= data.length) {
+    let id = ascii(data, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // reached padding
+
+    let frameSize;
+    if (isV22) {
+      frameSize = uint24BE(data, offset + 3);
+    } else if (major === 4) {
+      frameSize = syncsafe(data, offset + 4);
+    } else {
+      frameSize = uint32BE(data, offset + 4);
+    }
+
+    const formatFlags = isV22 ? 0 : data[offset + 9];
+    let frame = data.subarray(offset + frameHeaderLength, offset + frameHeaderLength + frameSize);
+    offset += frameHeaderLength + frameSize;
+
+    // Compressed or encrypted frames are rare enough to skip
+    if (major === 3 && (formatFlags & 0xc0)) continue;
+    if (major === 4) {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x01) frame = frame.subarray(4);
+      if (formatFlags & 0x02) frame = removeUnsynchronisation(frame);
+    }
+
+    if (isV22) id = ID3V22_FRAMES[id] || id;
+    frames.push({ id, body: frame });
+
+    if (id === 'APIC') {
+      setPicture(tags, parseApicFrame(frame, isV22));
+    } else if (id === 'TXXX' && frame.length > 1) {
+      const { description, value } = parseTxxxFrame(frame);
+      if (REPLAY_GAIN_FIELDS[description]) setField(tags, REPLAY_GAIN_FIELDS[description], value);
+    } else if (ID3_FRAMES[id] && frame.length > 1) {
+      const value = decodeId3Text(frame.subarray(1), frame[0]);
+      if (ID3_FRAMES[id] === 'year') {
+        // A better year frame replaces the year, wherever it sits in the
+        // tag; of two alike the first counts
+        const rank = ID3_YEAR_FRAMES.indexOf(id);
+        if (yearFrame && rank >= ID3_YEAR_FRAMES.indexOf(yearFrame)) continue;
+        const parsed = {};
+        setField(parsed, 'year', value);
+        if (parsed.year) {
+          tags.year = parsed.year;
+          yearFrame = id;
+        }
+      } else {
+        setField(tags, ID3_FRAMES[id], value);
+      }
+    }
+  }
+
+  return { tags, frames, size: 10 + tagSize + (flags & 0x10 ? 10 : 0) };
+};
+
+// ID3v1 (the last 128 bytes of the file)
+
+const parseId3v1 = async (file) => {
+  if (file.size < 128) return null;
+
+  const bytes = await readBytes(file, file.size - 128, file.size);
+  if (ascii(bytes, 0, 3) !== 'TAG') return null;
+
+  const field = (offset, length) => decodeText(bytes.subarray(offset, offset + length), 'iso-8859-1');
+  const tags = {};
+
+  setField(tags, 'title', field(3, 30));
+  setField(tags, 'artist', field(33, 30));
+  setField(tags, 'album', field(63, 30));
+  setField(tags, 'year', field(93, 4));
+
+  // ID3v1.1 stores the track number in the last byte of the comment
+  if (bytes[125] === 0 && bytes[126] !== 0) {
+    tags.trackNumber = bytes[126];
+  }
+  if (bytes[127] < ID3_GENRES.length) {
+    tags.genre = ID3_GENRES[bytes[127]];
+  }
+
+  return tags;
+};
+
+// Vorbis comments (FLAC, Ogg Vorbis, Opus)
+
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  TRACKNUMBER: 'track',
+  TRACKTOTAL: 'trackTotal',
+  TOTALTRACKS: 'trackTotal',
+  DISCNUMBER: 'disc',
+  DISCTOTAL: 'discTotal',
+  TOTALDISCS: 'discTotal',
+  DATE: 'year',
+  YEAR: 'year',
+  GENRE: 'genre',
+  ...REPLAY_GAIN_FIELDS,
+  R128_TRACK_GAIN: 'r128TrackGain',
+  R128_ALBUM_GAIN: 'r128AlbumGain'
+};
+
+const parseFlacPicture = (bytes) => {
+  let offset = 0;
+  const pictureType = uint32BE(bytes, offset);
+  offset += 4;
+  const mimeLength = uint32BE(bytes, offset);
+  const mimeType = ascii(bytes, offset + 4, mimeLength).toLowerCase();
+  offset += 4 + mimeLength;
+  const descriptionLength = uint32BE(bytes, offset);
+  offset += 4 + descriptionLength + 16; // width, height, depth, colours
+  const dataLength = uint32BE(bytes, offset);
+  offset += 4;
+
+  const data = bytes.slice(offset, offset + dataLength);
+  return {
+    mimeType: mimeType.startsWith('image/') ? mimeType : sniffImageType(data),
+    pictureType,
+    data
+  };
+};
+
+const applyVorbisComments = (tags, bytes) => {
+  let offset = 0;
+  const vendorLength = uint32LE(bytes, offset);
+  offset += 4 + vendorLength;
+  const count = uint32LE(bytes, offset);
+  offset += 4;
+
+  const values = {};
+  let legacyCover = null;
+  let legacyCoverMime = null;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = uint32LE(bytes, offset);
+    offset += 4;
+    const comment = decodeText(bytes.subarray(offset, offset + length));
+    offset += length;
+
+    const separator = comment.indexOf('=');
+    if (separator === -1) continue;
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      try {
+        setPicture(tags, parseFlacPicture(decodeBase64(value)));
+      } catch {
+        // Malformed picture, ignore it
+      }
+    } else if (key === 'COVERART') {
+      legacyCover = value;
+    } else if (key === 'COVERARTMIME') {
+      legacyCoverMime = value;
+    } else if (VORBIS_FIELDS[key]) {
+      // Repeated fields (several ARTIST= lines) are all kept
+      (values[key] = values[key] || []).push(value);
+    }
+  }
+
+  Object.entries(values).forEach(([key, list]) => {
+    setField(tags, VORBIS_FIELDS[key], list.join(', '));
+  });
+
+  if (legacyCover && !tags.picture) {
+    try {
+      const data = decodeBase64(legacyCover);
+      setPicture(tags, { mimeType: legacyCoverMime || sniffImageType(data), pictureType: 3, data });
+    } catch {
+      // Malformed picture, ignore it
+    }
+  }
+};
+
+const parseFlac = async (file, start) => {
+  const tags = {};
+  let offset = start + 4;
+
+  while (offset + 4 <= file.size) {
+    const header = await readBytes(file, offset, offset + 4);
+    const isLast = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const length = uint24BE(header, 1);
+
+    if (type === 4) {
+      applyVorbisComments(tags, await readBytes(file, offset + 4, offset + 4 + length));
+    } else if (type === 6) {
+      setPicture(tags, parseFlacPicture(await readBytes(file, offset + 4, offset + 4 + length)));
+    }
+
+    offset += 4 + length;
+    if (isLast) break;
+  }
+
+  return tags;
+};
+
+// Reassemble the first two Ogg packets: the codec header and the comments
+const readOggPackets = async (file, wanted) => {
+  const packets = [];
+  let pending = [];
+  let offset = 0;
+
+  while (packets.length < wanted && offset < Math.min(file.size, OGG_SCAN_LIMIT)) {
+    const header = await readBytes(file, offset, offset + 27);
+    if (ascii(header, 0, 4) !== 'OggS') break;
+
+    const segmentCount = header[26];
+    const segmentTable = await readBytes(file, offset + 27, offset + 27 + segmentCount);
+    const bodyLength = segmentTable.reduce((total, size) => total + size, 0);
+    const body = await readBytes(file, offset + 27 + segmentCount, offset + 27 + segmentCount + bodyLength);
+
+    let position = 0;
+    for (let i = 0; i < segmentCount; i++) {
+      const size = segmentTable[i];
+      pending.push(body.subarray(position, position + size));
+      position += size;
+
+      // A segment shorter than 255 bytes ends the packet
+      if (size < 255) {
+        const length = pending.reduce((total, part) => total + part.length, 0);
+        const packet = new Uint8Array(length);
+        let cursor = 0;
+        pending.forEach(part => {
+          packet.set(part, cursor);
+          cursor += part.length;
+        });
+        packets.push(packet);
+        pending = [];
+        if (packets.length === wanted) break;
+      }
+    }
+
+    offset += 27 + segmentCount + bodyLength;
+  }
+
+  return packets;
+};
+
+const parseOgg = async (file) => {
+  const [identification, comments] = await readOggPackets(file, 2);
+  if (!comments) return null;
+
+  const tags = {};
+  if (ascii(identification, 1, 6) === 'vorbis' && comments[0] === 3 && ascii(comments, 1, 6) === 'vorbis') {
+    applyVorbisComments(tags, comments.subarray(7));
+  } else if (ascii(identification, 0, 8) === 'OpusHead' && ascii(comments, 0, 8) === 'OpusTags') {
+    applyVorbisComments(tags, comments.subarray(8));
+  } else if (comments[0] === 0x84 || comments[0] === 0x04) {
+    // Ogg FLAC: the comment packet is a FLAC VORBIS_COMMENT metadata block
+    applyVorbisComments(tags, comments.subarray(4));
+  }
+  return tags;
+};
+
+// MP4 / M4A
+
+const MP4_FIELDS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  aART: 'albumArtist',
+  '©day': 'year',
+  '©gen': 'genre'
+};
+
+// Iterate the child atoms inside a container's payload
+const forEachAtom = (bytes, start, end, callback) => {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = uint32BE(bytes, offset);
+    const type = ascii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = uint32BE(bytes, offset + 8) * 0x100000000 + uint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    if (callback(type, offset + headerSize, Math.min(offset + size, end)) === false) break;
+    offset += size;
+  }
+};
+
+const findChildAtom = (bytes, start, end, wanted) => {
+  let found = null;
+  forEachAtom(bytes, start, end, (type, childStart, childEnd) => {
+    if (type === wanted) {
+      found = { start: childStart, end: childEnd };
+      return false;
+    }
+    return true;
+  });
+  return found;
+};
+
+const parseIlst = (bytes, start, end) => {
+  const tags = {};
+
+  forEachAtom(bytes, start, end, (key, itemStart, itemEnd) => {
+    const data = findChildAtom(bytes, itemStart, itemEnd, 'data');
+    if (!data) return;
+
+    const typeIndicator = uint32BE(bytes, data.start) & 0xffffff;
+    const value = bytes.subarray(data.start + 8, data.end);
+
+    if (key === 'trkn' || key === 'disk') {
+      if (value.length < 6) return;
+      const number = uint16BE(value, 2);
+      const total = uint16BE(value, 4);
+      setField(tags, key === 'trkn' ? 'track' : 'disc', total ? `${number}/${total}` : number);
+    } else if (key === 'gnre') {
+      // Stored as ID3v1 genre index + 1
+      const index = uint16BE(value, 0) - 1;
+      if (!tags.genre && ID3_GENRES[index]) tags.genre = ID3_GENRES[index];
+    } else if (key === 'covr') {
+      const mimeType = typeIndicator === 14 ? 'image/png' : typeIndicator === 13 ? 'image/jpeg' : sniffImageType(value);
+      setPicture(tags, { mimeType, pictureType: 3, data: value.slice() });
+    } else if (key === '----') {
+      // Freeform item: "name" says what it is, as in com.apple.iTunes:REPLAYGAIN_TRACK_GAIN
+      const name = findChildAtom(bytes, itemStart, itemEnd, 'name');
+      if (!name) return;
+      const field = REPLAY_GAIN_FIELDS[decodeText(bytes.subarray(name.start + 4, name.end)).toUpperCase()];
+      if (field) setField(tags, field, decodeText(value));
+    } else if (MP4_FIELDS[key]) {
+      setField(tags, MP4_FIELDS[key], decodeText(value));
+    }
+  });
+
+  return tags;
+};
+
+const parseMp4 = async (file) => {
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 16);
+    let size = uint32BE(header, 0);
+    const type = ascii(header, 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = uint32BE(header, 8) * 0x100000000 + uint32BE(header, 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+    if (size < headerSize) break;
+
+    if (type === 'moov') {
+      const moov = await readBytes(file, offset + headerSize, offset + size);
+      const udta = findChildAtom(moov, 0, moov.length, 'udta');
+      const meta = udta && findChildAtom(moov, udta.start, udta.end, 'meta');
+      if (!meta) return {};
+
+      // `meta` is a full atom (version + flags) in MP4, but not in QuickTime
+      const metaStart = ascii(moov, meta.start + 4, 4) === 'hdlr' ? meta.start : meta.start + 4;
+      const ilst = findChildAtom(moov, metaStart, meta.end, 'ilst');
+      return ilst ? parseIlst(moov, ilst.start, ilst.end) : {};
+    }
+
+    offset += size;
+  }
+
+  return null;
+};
+
+// Public API
+
+/**
+ * Read the tags embedded in an audio file.
+ * Resolves to `{ title, artist, album, albumArtist, trackNumber, trackTotal,
+ * discNumber, discTotal, year, genre, picture, replayGain }`, with only the
+ * fields that were found; `picture` is `{ mimeType, pictureType, data:
+ * Uint8Array }` and `replayGain` is `{ trackGain, trackPeak, albumGain,
+ * albumPeak }` (gains in dB towards -18 LUFS, peaks as linear amplitude).
+ */
+export const readTags = async (file) => {
+  try {
+    const head = await readBytes(file, 0, 12);
+    const magic = ascii(head, 0, 4);
+
+    if (magic === 'fLaC') return await parseFlac(file, 0);
+    if (magic === 'OggS') return (await parseOgg(file)) || {};
+    if (ascii(head, 4, 4) === 'ftyp') return (await parseMp4(file)) || {};
+
+    if (ascii(head, 0, 3) === 'ID3') {
+      const id3v2 = await parseId3v2(file);
+      // FLAC files occasionally carry an ID3v2 tag in front of the stream
+      const next = await readBytes(file, id3v2.size, id3v2.size + 4);
+      if (ascii(next, 0, 4) === 'fLaC') {
+        return { ...id3v2.tags, ...(await parseFlac(file, id3v2.size)) };
+      }
+
+      const id3v1 = await parseId3v1(file);
+      return { ...id3v1, ...id3v2.tags };
+    }
+
+    return (await parseId3v1(file)) || {};
+  } catch (error) {
+    console.warn(`Error reading tags from ${file.name}:`, error);
+    return {};
+  }
+};
+
+// Writing
+// Only MP3 (ID3v2.4) and FLAC (Vorbis comments) are written; both keep the
+// frames/comments we do not edit. The audio data itself is never touched.
+
+const textEncoder = new TextEncoder();
+
+const concatBytes = (parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+};
+
+const encodeUint32BE = (value) => new Uint8Array([
+  (value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff
+]);
+const encodeUint32LE = (value) => encodeUint32BE(value).reverse();
+const encodeSyncsafe = (value) => new Uint8Array([
+  (value >>> 21) & 0x7f, (value >>> 14) & 0x7f, (value >>> 7) & 0x7f, value & 0x7f
+]);
+
+const formatNumberPair = (number, total) => {
+  if (!number) return '';
+  return total ? `${number}/${total}` : String(number);
+};
+
+// The editable fields as plain strings, keyed by their ID3 frame
+const toId3Text = (tags) => ({
+  TIT2: tags.title,
+  TPE1: tags.artist,
+  TALB: tags.album,
+  TPE2: tags.albumArtist,
+  TRCK: formatNumberPair(tags.trackNumber, tags.trackTotal),
+  TPOS: formatNumberPair(tags.discNumber, tags.discTotal),
+  TDRC: tags.year ? String(tags.year) : '',
+  TCON: tags.genre
+});
+
+// Frames we rewrite, plus the v2.3 date frames that v2.4 replaced with TDRC
+const ID3_REPLACED_FRAMES = new Set([
+  ...Object.keys(ID3_FRAMES), 'APIC', 'TDAT', 'TIME', 'TRDA', 'TORY', 'TSIZ'
+]);
+
+const createId3Frame = (id, body) => {
+  return concatBytes([textEncoder.encode(id), encodeSyncsafe(body.length), new Uint8Array(2), body]);
+};
+
+const createId3Tag = (tags, keptFrames) => {
+  const frames = [];
+
+  Object.entries(toId3Text(tags)).forEach(([id, value]) => {
+    if (value) {
+      // Encoding 3 is UTF-8
+      frames.push(createId3Frame(id, concatBytes([new Uint8Array([3]), textEncoder.encode(value)])));
+    }
+  });
+
+  if (tags.picture?.data?.length) {
+    const { mimeType, data } = tags.picture;
+    frames.push(createId3Frame('APIC', concatBytes([
+      new Uint8Array([3]),
+      textEncoder.encode(`${mimeType || sniffImageType(data)}\0`),
+      new Uint8Array([3, 0]), // front cover, empty description
+      data
+    ])));
+  }
+
+  keptFrames.forEach(({ id, body }) => frames.push(createId3Frame(id, body)));
+
+  // Padding lets other taggers grow the tag later without rewriting the file
+  const body = concatBytes([...frames, new Uint8Array(1024)]);
+  return concatBytes([textEncoder.encode('ID3'), new Uint8Array([4, 0, 0]), encodeSyncsafe(body.length), body]);
+};
+
+const writeMp3Tags = async (file, tags) => {
+  const id3v2 = await parseId3v2(file);
+  const keptFrames = (id3v2?.frames || []).filter(({ id }) =>
+    id.length === 4 && !ID3_REPLACED_FRAMES.has(id)
+  );
+
+  const audioStart = id3v2?.size || 0;
+  const trailer = await readBytes(file, Math.max(0, file.size - 128), file.size);
+  const audioEnd = ascii(trailer, 0, 3) === 'TAG' ? file.size - 128 : file.size;
+
+  return new Blob([createId3Tag(tags, keptFrames), file.slice(audioStart, audioEnd)], {
+    type: file.type || 'audio/mpeg'
+  });
+};
+
+const VORBIS_WRITE_FIELDS = {
+  title: 'TITLE',
+  artist: 'ARTIST',
+  album: 'ALBUM',
+  albumArtist: 'ALBUMARTIST',
+  trackNumber: 'TRACKNUMBER',
+  trackTotal: 'TRACKTOTAL',
+  discNumber: 'DISCNUMBER',
+  discTotal: 'DISCTOTAL',
+  year: 'DATE',
+  genre: 'GENRE'
+};
+
+const VORBIS_REPLACED_KEYS = new Set([
+  ...Object.keys(VORBIS_FIELDS), 'METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'
+]);
+
+const createFlacBlock = (type, data, isLast) => {
+  return concatBytes([
+    new Uint8Array([(isLast ? 0x80 : 0) | type, (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff]),
+    data
+  ]);
+};
+
+const createVorbisComment = (existing, tags) => {
+  let vendor = textEncoder.encode('mp3-player');
+  const comments = [];
+
+  if (existing) {
+    const vendorLength = uint32LE(existing, 0);
+    vendor = existing.slice(4, 4 + vendorLength);
+    let offset = 8 + vendorLength;
+    const count = uint32LE(existing, 4 + vendorLength);
+
+    for (let i = 0; i < count && offset + 4 <= existing.length; i++) {
+      const length = uint32LE(existing, offset);
+      const comment = existing.subarray(offset + 4, offset + 4 + length);
+      offset += 4 + length;
+
+      const key = decodeText(comment).split('=')[0].toUpperCase();
+      if (!VORBIS_REPLACED_KEYS.has(key)) comments.push(comment);
+    }
+  }
+
+  Object.entries(VORBIS_WRITE_FIELDS).forEach(([field, key]) => {
+    if (tags[field]) comments.push(textEncoder.encode(`${key}=${tags[field]}`));
+  });
+
+  return concatBytes([
+    encodeUint32LE(vendor.length),
+    vendor,
+    encodeUint32LE(comments.length),
+    ...comments.flatMap(comment => [encodeUint32LE(comment.length), comment])
+  ]);
+};
+
+const createFlacPicture = ({ mimeType, data }) => {
+  const mime = textEncoder.encode(mimeType || sniffImageType(data));
+  return concatBytes([
+    encodeUint32BE(3),
+    encodeUint32BE(mime.length),
+    mime,
+    encodeUint32BE(0), // description
+    new Uint8Array(16), // width, height, depth, colours: 0 means unknown
+    encodeUint32BE(data.length),
+    data
+  ]);
+};
+
+const writeFlacTags = async (file, tags, start) => {
+  const blocks = [];
+  let vorbisComment = null;
+  let offset = start + 4;
+
+  while (offset + 4 <= file.size) {
+    const header = await readBytes(file, offset, offset + 4);
+    const isLast = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const length = uint24BE(header, 1);
+
+    // Comments and pictures are rebuilt, padding is re-added at the end
+    if (type === 4) {
+      vorbisComment = await readBytes(file, offset + 4, offset + 4 + length);
+    } else if (type !== 1 && type !== 6) {
+      blocks.push({ type, data: await readBytes(file, offset + 4, offset + 4 + length) });
+    }
+
+    offset += 4 + length;
+    if (isLast) break;
+  }
+
+  // STREAMINFO must stay first
+  blocks.splice(1, 0, { type: 4, data: createVorbisComment(vorbisComment, tags) });
+  if (tags.picture?.data?.length) {
+    blocks.push({ type: 6, data: createFlacPicture(tags.picture) });
+  }
+  blocks.push({ type: 1, data: new Uint8Array(1024) });
+
+  const metadata = blocks.map(({ type, data }, index) =>
+    createFlacBlock(type, data, index === blocks.length - 1)
+  );
+
+  return new Blob([textEncoder.encode('fLaC'), ...metadata, file.slice(offset)], {
+    type: file.type || 'audio/flac'
+  });
+};
+
+/**
+ * Whether `writeTags` supports a file, judged from its name and MIME type.
+ */
+export const canWriteTags = (fileName = '', mimeType = '') => {
+  return /\.(mp3|flac)$/i.test(fileName) || /^audio\/(mpeg|mp3|flac|x-flac)$/.test(mimeType);
+};
+
+/**
+ * Produce a copy of an audio file with the given tags written into it.
+ * Takes the same shape `readTags` returns; fields left empty are removed
+ * and `picture` replaces any embedded artwork. Rejects for formats other
+ * than MP3 and FLAC.
+ */
+export const writeTags = async (file, tags) => {
+  const head = await readBytes(file, 0, 4);
+
+  if (ascii(head, 0, 4) === 'fLaC') return writeFlacTags(file, tags, 0);
+
+  if (ascii(head, 0, 3) === 'ID3') {
+    const { size } = await parseId3v2(file);
+    const next = await readBytes(file, size, size + 4);
+    // Drop a stray ID3v2 tag in front of a FLAC stream; FLAC readers ignore it
+    if (ascii(next, 0, 4) === 'fLaC') {
+      return writeFlacTags(file.slice(size), tags, 0);
+    }
+  }
+
+  if (ascii(head, 0, 4) === 'OggS' || ascii(await readBytes(file, 4, 8), 0, 4) === 'ftyp') {
+    throw new Error('Writing tags is only supported for MP3 and FLAC files');
+  }
+
+  return writeMp3Tags(file, tags);
+};
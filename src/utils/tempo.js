@@ -0,0 +1,75 @@
+// Tempo detection, run in a worker on audio decoded by trackAnalysis.js.
+// The result is kept on the track as
+//   tempo: { bpm, confidence, firstBeat }
+// bpm        beats per minute to a tenth, null if no steady beat was found
+// confidence 0–1, how clearly the beats stand out
+// firstBeat  seconds to the first beat; with bpm this gives the beat grid
+
+// Below this the tempo is shown as a guess
+export const MIN_TEMPO_CONFIDENCE = 0.5;
+
+const pendingRequests = new Map();
+let tempoWorker = null;
+let requestId = 0;
+
+const getWorker = () => {
+  if (tempoWorker) return tempoWorker;
+
+  tempoWorker = new Worker(new URL('../workers/tempo.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  tempoWorker.onmessage = (event) => {
+    const { id, tempo, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(tempo);
+    }
+  };
+
+  return tempoWorker;
+};
+
+// The samples are copied, as other analyses may be reading them too
+const analyzeSamples = ({ samples, sampleRate }) => new Promise((resolve, reject) => {
+  const id = ++requestId;
+  const channels = [samples.slice()];
+  pendingRequests.set(id, { resolve, reject });
+  getWorker().postMessage({ id, channels, sampleRate }, [channels[0].buffer]);
+});
+
+export const needsTempoAnalysis = (track) => !track.tempo;
+
+// Resolves to the tempo of decoded mono audio, `{ samples, sampleRate }`;
+// audio without a steady beat gets a null bpm, so it is not analysed again
+export const analyzeTempo = (audio) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.reject(new Error('Web Workers are not supported'));
+  }
+
+  return analyzeSamples(audio)
+    .then(tempo => tempo ?? { bpm: null, confidence: 0, firstBeat: 0 });
+};
+
+// Beat times in seconds between `from` and `to`, from the track's grid
+export const getBeatTimes = (tempo, from, to) => {
+  if (!tempo?.bpm) return [];
+  const interval = 60 / tempo.bpm;
+  const first = Math.max(0, Math.ceil((from - tempo.firstBeat) / interval));
+  const beats = [];
+  for (let time = tempo.firstBeat + first * interval; time <= to; time += interval) {
+    beats.push(time);
+  }
+  return beats;
+};
+
+// 128 BPM, or ~128 BPM for a guess
+export const formatTempo = (tempo) => {
+  if (!tempo?.bpm) return null;
+  const prefix = tempo.confidence < MIN_TEMPO_CONFIDENCE ? '~' : '';
+  return `${prefix}${Math.round(tempo.bpm)} BPM`;
+};
@@ -0,0 +1,72 @@
+// Tempo and key analysis, kept on the track (see tempo.js and key.js).
+// Imported tracks are decoded for it one at a time, in the background;
+// tracks from before an analysis existed catch up the first time they are
+// played, from the audio decoded for playback.
+import { analyzeTempo, needsTempoAnalysis } from './tempo';
+import { analyzeKey, needsKeyAnalysis } from './key';
+import { mixDown } from './fft';
+
+// Decoding at a low rate keeps a whole track in memory cheaply; neither
+// analysis looks above a few kHz
+const DECODE_SAMPLE_RATE = 22050;
+// Both workers look at mono audio at this rate, so the audio is brought down
+// to it once here and only that much is copied across to them
+const ANALYSIS_RATE = 11025;
+
+const ANALYSES = [
+  { field: 'tempo', needsAnalysis: needsTempoAnalysis, analyze: analyzeTempo },
+  { field: 'key', needsAnalysis: needsKeyAnalysis, analyze: analyzeKey }
+];
+
+const analysing = new Map(); // track id -> Promise<updates>
+// One track at a time, so a big import never has hundreds of decoded
+// tracks in memory at once
+let queue = Promise.resolve();
+
+const enqueue = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const decodeTrack = async (track) => {
+  const response = await fetch(track.url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+  return context.decodeAudioData(await response.arrayBuffer());
+};
+
+// Each analysis the track is missing, on the decoded audio. One failing
+// does not lose the others.
+const runAnalyses = async (track, buffer) => {
+  const pending = ANALYSES.filter(({ needsAnalysis }) => needsAnalysis(track));
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const audio = mixDown(channels, buffer.sampleRate, ANALYSIS_RATE);
+  const results = await Promise.allSettled(pending.map(({ analyze }) => analyze(audio)));
+
+  return results.reduce((updates, result, i) => {
+    if (result.status === 'fulfilled') {
+      updates[pending[i].field] = result.value;
+    } else {
+      console.warn(`Could not detect the ${pending[i].field} of ${track.fileName}:`, result.reason);
+    }
+    return updates;
+  }, {});
+};
+
+export const needsAnalysis = (track) => !track.isMissing && ANALYSES.some(({ needsAnalysis: needs }) => needs(track));
+
+// Resolves to the track fields to update, e.g. `{ tempo, key }`. Pass the
+// decoded audio when there is some to hand; otherwise the track is decoded
+// for the purpose, after whatever else is waiting. A track already being
+// analysed is not analysed again.
+export const analyzeTrack = (track, buffer) => {
+  if (!analysing.has(track.id)) {
+    const analysis = buffer
+      ? runAnalyses(track, buffer)
+      : enqueue(() => decodeTrack(track).then(decoded => runAnalyses(track, decoded)));
+    const promise = analysis.finally(() => analysing.delete(track.id));
+    analysing.set(track.id, promise);
+  }
+  return analysing.get(track.id);
+};
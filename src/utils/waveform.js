@@ -0,0 +1,99 @@
+// Waveform peaks for the seek bar. They are worked out in a worker from the
+// audio the engine decodes for playback anyway, then kept in IndexedDB per
+// track, so each track is only ever scanned once. Components subscribe to
+// hear about waveforms as they become ready.
+import { getPeaks, savePeaks } from './storage';
+
+// Enough detail to zoom in on a few seconds without storing megabytes for
+// an hour-long mix
+const PEAKS_PER_SECOND = 50;
+const MIN_PEAKS = 1000;
+const MAX_PEAKS = 32000;
+
+const waveformCache = new Map();
+const computing = new Map();
+const pendingRequests = new Map();
+const listeners = new Set();
+let peaksWorker = null;
+let requestId = 0;
+
+const getWorker = () => {
+  if (peaksWorker) return peaksWorker;
+
+  peaksWorker = new Worker(new URL('../workers/peaks.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  peaksWorker.onmessage = (event) => {
+    const { id, peaks, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(peaks);
+    }
+  };
+
+  return peaksWorker;
+};
+
+// The samples are copied, as the buffer they come from may be playing
+const computePeaks = (buffer) => new Promise((resolve, reject) => {
+  const id = ++requestId;
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i).slice());
+  const resolution = Math.round(Math.max(MIN_PEAKS, Math.min(MAX_PEAKS, buffer.duration * PEAKS_PER_SECOND)));
+  pendingRequests.set(id, { resolve, reject });
+  getWorker().postMessage(
+    { id, channels, resolution },
+    channels.map(samples => samples.buffer)
+  );
+});
+
+const publish = (trackId, waveform) => {
+  waveformCache.set(trackId, waveform);
+  listeners.forEach(listener => listener(trackId, waveform));
+};
+
+// `{ peaks, duration }` if the track's waveform is already in memory
+export const getCachedWaveform = (trackId) => waveformCache.get(trackId) ?? null;
+
+// Resolves to the stored waveform for a track, or null if it has none yet
+export const loadWaveform = async (trackId) => {
+  if (waveformCache.has(trackId)) return waveformCache.get(trackId);
+
+  const waveform = await getPeaks(trackId);
+  if (waveform) waveformCache.set(trackId, waveform);
+  return waveform;
+};
+
+// Called with each decoded track: works out its waveform unless it is
+// stored already, saves it and tells subscribers
+export const createWaveform = (track, buffer) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.reject(new Error('Web Workers are not supported'));
+  }
+
+  if (!computing.has(track.id)) {
+    const promise = loadWaveform(track.id)
+      .then(async (stored) => {
+        if (stored) return stored;
+
+        const waveform = { peaks: await computePeaks(buffer), duration: buffer.duration };
+        await savePeaks(track.id, waveform);
+        publish(track.id, waveform);
+        return waveform;
+      })
+      .finally(() => computing.delete(track.id));
+    computing.set(track.id, promise);
+  }
+  return computing.get(track.id);
+};
+
+// `listener(trackId, waveform)` runs whenever a new waveform is ready.
+// Returns the function to unsubscribe.
+export const subscribeWaveform = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
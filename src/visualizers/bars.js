@@ -0,0 +1,30 @@
+import { addAccentStops } from './helpers';
+
+// Frequency bars rising from the bottom
+export default {
+  id: 'bars',
+  label: 'Bars',
+  icon: '▬',
+  init: (canvas) => {
+    const ctx = canvas.getContext('2d');
+
+    return {
+      draw: ({ frequencyData, width, height, pixelRatio, accent }) => {
+        const barWidth = (width / frequencyData.length) * 2.5;
+        let x = 0;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        addAccentStops(gradient, accent);
+        ctx.fillStyle = gradient;
+
+        for (let i = 0; i < frequencyData.length && x < width; i++) {
+          const barHeight = (frequencyData[i] / 255) * height * 0.8;
+          ctx.fillRect(x, height - barHeight, barWidth, barHeight);
+          x += barWidth + pixelRatio;
+        }
+      }
+    };
+  }
+};
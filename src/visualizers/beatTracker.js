@@ -0,0 +1,68 @@
+// Beats for the visualizers. When the track has a trustworthy beat grid
+// (see utils/tempo.js) beats follow it exactly; otherwise a beat is
+// guessed whenever the bass jumps well above its recent level.
+import { MIN_TEMPO_CONFIDENCE } from '../utils/tempo';
+
+const LOW_BAND = 150; // Hz, kick drums and bass
+const ENERGY_HISTORY = 40; // frames, about two thirds of a second
+const ENERGY_THRESHOLD = 1.35; // times the recent average
+const MIN_ENERGY = 0.25;
+const MIN_BEAT_GAP = 0.25; // seconds, so one kick is one beat
+// A jump further than this between frames is a seek, not a beat
+const MAX_BEATS_PER_FRAME = 2;
+
+export const createBeatTracker = () => {
+  const history = [];
+  let count = 0;
+  let lastIndex = null;
+  let lastPosition = null;
+  let lastBeatTime = -Infinity;
+  let lastInterval = 0.5;
+
+  const fromGrid = ({ currentTime, tempo }) => {
+    const interval = 60 / tempo.bpm;
+    const beats = (currentTime - tempo.firstBeat) / interval;
+    const index = Math.floor(beats);
+    const moved = lastIndex === null ? 0 : index - lastIndex;
+    const isBeat = currentTime >= lastPosition && moved > 0 && moved <= MAX_BEATS_PER_FRAME;
+
+    lastIndex = index;
+    return { isBeat, phase: beats - index, bpm: tempo.bpm };
+  };
+
+  const fromEnergy = ({ frequencyData, sampleRate, time }) => {
+    const binWidth = sampleRate / 2 / frequencyData.length;
+    const bins = Math.max(1, Math.round(LOW_BAND / binWidth));
+    let sum = 0;
+    for (let i = 0; i < bins; i++) sum += frequencyData[i];
+    const energy = sum / bins / 255;
+
+    const average = history.length
+      ? history.reduce((total, value) => total + value, 0) / history.length
+      : energy;
+    history.push(energy);
+    if (history.length > ENERGY_HISTORY) history.shift();
+
+    const gap = time - lastBeatTime;
+    const isBeat = energy > MIN_ENERGY && energy > average * ENERGY_THRESHOLD && gap > MIN_BEAT_GAP;
+    if (isBeat) {
+      if (gap < 2) lastInterval = gap;
+      lastBeatTime = time;
+    }
+    lastIndex = null;
+    return { isBeat, phase: Math.min(1, (time - lastBeatTime) / lastInterval), bpm: null };
+  };
+
+  // Called once a frame; see the `beat` field in registry.js
+  const update = (input) => {
+    const { tempo } = input;
+    const useGrid = tempo?.bpm && tempo.confidence >= MIN_TEMPO_CONFIDENCE;
+    const beat = useGrid ? fromGrid(input) : fromEnergy(input);
+
+    lastPosition = input.currentTime;
+    if (beat.isBeat) count++;
+    return { ...beat, count };
+  };
+
+  return { update };
+};
@@ -0,0 +1,39 @@
+import { addAccentStops } from './helpers';
+
+// Frequency spokes round a ring
+export default {
+  id: 'circular',
+  label: 'Circular',
+  icon: '◯',
+  init: (canvas) => {
+    const ctx = canvas.getContext('2d');
+
+    return {
+      draw: ({ frequencyData, width, height, pixelRatio, accent }) => {
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) / 4;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius * 2);
+        addAccentStops(gradient, accent);
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = 3 * pixelRatio;
+
+        ctx.beginPath();
+        for (let i = 0; i < frequencyData.length; i++) {
+          const angle = (i / frequencyData.length) * Math.PI * 2;
+          const amplitude = (frequencyData[i] / 255) * radius;
+
+          ctx.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+          ctx.lineTo(
+            centerX + Math.cos(angle) * (radius + amplitude),
+            centerY + Math.sin(angle) * (radius + amplitude)
+          );
+        }
+        ctx.stroke();
+      }
+    };
+  }
+};
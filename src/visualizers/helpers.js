@@ -0,0 +1,7 @@
+// Shared drawing helpers for the 2D visualizers
+
+export const addAccentStops = (gradient, accent) => {
+  gradient.addColorStop(0, accent[0]);
+  gradient.addColorStop(0.5, accent[1]);
+  gradient.addColorStop(1, accent[2]);
+};
@@ -0,0 +1,16 @@
+// The visualizer registry with the built-in visualizers registered. Import
+// from here; other modules can add their own with registerVisualizer.
+import { registerVisualizer } from './registry';
+import bars from './bars';
+import circular from './circular';
+import wave from './wave';
+import spectrogram from './spectrogram';
+import terrain from './terrain';
+import particles from './particles';
+
+[bars, circular, wave, spectrogram, terrain, particles].forEach(registerVisualizer);
+
+export const DEFAULT_VISUALIZER = bars.id;
+
+export { registerVisualizer, getVisualizer, getVisualizers, subscribeVisualizers } from './registry';
+export { createBeatTracker } from './beatTracker';
@@ -0,0 +1,118 @@
+import { assertContext, bindAttribute, createBuffer, createProgram, getWebGLContext, parseColor, releaseContext } from './webgl';
+
+const PARTICLES = 1500;
+// Below this the bass drives how fast particles stream out
+const BASS_FREQUENCY = 250;
+// How quickly a beat's burst dies away, per second
+const PULSE_DECAY = 4;
+
+// Each particle is only a set of random numbers; where it is follows from
+// those and the time, so the CPU moves none of them
+const VERTEX_SHADER = `
+attribute vec4 aSeed;
+uniform float uTravel;
+uniform float uTime;
+uniform float uPulse;
+uniform float uPixelRatio;
+uniform vec2 uScale;
+varying float vColor;
+varying float vAlpha;
+
+void main() {
+  // angle, starting distance, speed, size
+  float travelled = fract(aSeed.y + uTravel * (0.5 + aSeed.z));
+  float angle = aSeed.x * 6.2832 + uTime * (aSeed.z - 0.5) * 0.4;
+  float radius = travelled * (1.0 + uPulse * 0.25);
+  gl_Position = vec4(vec2(cos(angle), sin(angle)) * radius * uScale, 0.0, 1.0);
+  gl_PointSize = (1.5 + aSeed.w * 4.0) * (0.4 + travelled) * (1.0 + uPulse * 0.8) * uPixelRatio;
+  vColor = fract(aSeed.x * 3.0 + aSeed.w);
+  // Fade in away from the centre and out at the edge
+  vAlpha = sin(travelled * 3.1416) * (0.5 + uPulse * 0.5);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+uniform vec3 uAccent0;
+uniform vec3 uAccent1;
+uniform vec3 uAccent2;
+varying float vColor;
+varying float vAlpha;
+
+void main() {
+  float glow = smoothstep(0.5, 0.0, length(gl_PointCoord - 0.5)) * vAlpha;
+  vec3 color = vColor < 0.5
+    ? mix(uAccent0, uAccent1, vColor * 2.0)
+    : mix(uAccent1, uAccent2, vColor * 2.0 - 1.0);
+  gl_FragColor = vec4(color * glow, glow);
+}
+`;
+
+// Particles streaming out from the centre, faster with the bass, bursting
+// on every beat and harder on every fourth
+export default {
+  id: 'particles',
+  label: 'Particles',
+  icon: '✦',
+  fftSize: 1024,
+  fallback: 'circular',
+  init: (canvas, size) => {
+    const gl = getWebGLContext(canvas);
+    if (!gl) return null;
+
+    const { program, attributes, uniforms } = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER, {
+      attributes: ['aSeed'],
+      uniforms: ['uTravel', 'uTime', 'uPulse', 'uPixelRatio', 'uScale', 'uAccent0', 'uAccent1', 'uAccent2']
+    });
+    const seeds = createBuffer(gl, Float32Array.from({ length: PARTICLES * 4 }, Math.random));
+    let scale = [1, 1];
+    let travel = 0;
+    let pulse = 0;
+
+    // Round, whatever the canvas's shape
+    const setSize = ({ width, height }) => {
+      gl.viewport(0, 0, width, height);
+      scale = width > height ? [height / width, 1] : [1, width / height];
+    };
+    setSize(size);
+    gl.clearColor(0, 0, 0, 0);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+
+    return {
+      onBeat: (beat) => {
+        pulse = beat.count % 4 === 0 ? 1 : 0.6;
+      },
+      draw: ({ frequencyData, sampleRate, time, deltaTime, pixelRatio, accent }) => {
+        assertContext(gl);
+
+        const bassBins = Math.max(1, Math.round((BASS_FREQUENCY / (sampleRate / 2)) * frequencyData.length));
+        let bass = 0;
+        for (let bin = 0; bin < bassBins; bin++) bass += frequencyData[bin];
+        bass /= bassBins * 255;
+
+        travel += deltaTime * (0.02 + bass * 0.12 + pulse * 0.3);
+        pulse *= Math.exp(-PULSE_DECAY * deltaTime);
+
+        gl.useProgram(program);
+        gl.uniform1f(uniforms.uTravel, travel);
+        gl.uniform1f(uniforms.uTime, time);
+        gl.uniform1f(uniforms.uPulse, pulse);
+        gl.uniform1f(uniforms.uPixelRatio, pixelRatio);
+        gl.uniform2fv(uniforms.uScale, scale);
+        accent.forEach((color, i) => gl.uniform3fv(uniforms[`uAccent${i}`], parseColor(color)));
+        bindAttribute(gl, attributes.aSeed, seeds, 4);
+
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawArrays(gl.POINTS, 0, PARTICLES);
+      },
+      resize: setSize,
+      dispose: () => {
+        gl.deleteBuffer(seeds);
+        gl.deleteProgram(program);
+        releaseContext(gl);
+      }
+    };
+  }
+};
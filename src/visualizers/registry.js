@@ -0,0 +1,76 @@
+// Visualizer plugins. A visualizer is registered once with
+//
+//   registerVisualizer({
+//     id: 'bars',          unique, used to pick it
+//     label: 'Bars',       shown as the button's tooltip
+//     icon: '▬',           shown on the button
+//     fftSize: 2048,       optional, the analyser FFT size it wants (a power
+//                          of two, 32–32768); 256 otherwise
+//     fallback: 'bars',    optional, the visualizer shown instead if this
+//                          one cannot start or stops working
+//     init(canvas, size)   called with a fresh canvas when the visualizer is
+//                          picked; returns null if it cannot run here (say,
+//                          no WebGL), else the running instance:
+//       {
+//         draw(frame),          every animation frame while music plays
+//         resize(size),         optional, after the canvas changed size
+//         onBeat(beat, frame),  optional, on each beat, before that frame's draw
+//         dispose()             optional, when another visualizer is picked
+//                               or the player goes away
+//       }
+//   })
+//
+// size is { width, height, pixelRatio }: the canvas size in device pixels,
+// and how many of those make a CSS pixel. Each frame carries:
+//   frequencyData   Uint8Array, the analyser's byte frequency spectrum
+//   sampleRate      of the audio, so bin i is at i * sampleRate / 2 / bins
+//   timeDomainData  Uint8Array, the current waveform, 128 is silence
+//   width, height, pixelRatio
+//   time            seconds since playback (re)started; deltaTime since
+//                   the last frame
+//   currentTime     playback position in the track
+//   track           the playing track (title, artist, tempo, key, ...)
+//   accent          the track's three theme accent colours
+//   beat            { isBeat, count, phase, bpm }: whether a beat fell since
+//                   the last frame, beats so far, how far (0–1) into the
+//                   current beat, and the tempo if known
+const visualizers = new Map();
+const listeners = new Set();
+// Handed to useSyncExternalStore, which needs the same array until
+// something changes
+let snapshot = [];
+
+const notify = () => {
+  snapshot = [...visualizers.values()];
+  listeners.forEach(listener => listener());
+};
+
+// Adds a visualizer, or replaces the one with the same id. Returns a
+// function that removes it again.
+export const registerVisualizer = (definition) => {
+  if (!definition?.id || typeof definition.init !== 'function') {
+    throw new Error('A visualizer needs an id and an init function');
+  }
+  const { fftSize } = definition;
+  if (fftSize !== undefined && !(fftSize >= 32 && fftSize <= 32768 && (fftSize & (fftSize - 1)) === 0)) {
+    throw new Error(`A visualizer's fftSize must be a power of two from 32 to 32768, not ${fftSize}`);
+  }
+
+  visualizers.set(definition.id, definition);
+  notify();
+
+  return () => {
+    if (visualizers.get(definition.id) !== definition) return;
+    visualizers.delete(definition.id);
+    notify();
+  };
+};
+
+export const getVisualizers = () => snapshot;
+
+export const getVisualizer = (id) => visualizers.get(id) ?? null;
+
+export const subscribeVisualizers = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
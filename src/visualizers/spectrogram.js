@@ -0,0 +1,120 @@
+import { assertContext, bindAttribute, createBuffer, createProgram, getWebGLContext, parseColor, releaseContext } from './webgl';
+
+// Spectra kept, one a frame: about eight seconds at 60 fps. A power of two,
+// so the history texture can wrap around in WebGL 1.
+const HISTORY = 512;
+// Log frequency axis from the lowest audible bass up to where music thins out
+const MIN_FREQUENCY = 30;
+const MAX_FREQUENCY = 16000;
+
+const VERTEX_SHADER = `
+attribute vec2 aPosition;
+varying vec2 vUv;
+
+void main() {
+  vUv = aPosition * 0.5 + 0.5;
+  gl_Position = vec4(aPosition, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+uniform sampler2D uHistory;
+uniform float uNewest;
+uniform float uHistoryLength;
+uniform float uMinBin;
+uniform float uMaxBin;
+uniform vec3 uAccent0;
+uniform vec3 uAccent1;
+uniform vec3 uAccent2;
+varying vec2 vUv;
+
+void main() {
+  // Newest spectrum at the right edge, older ones scrolling off to the left
+  float row = (uNewest + 0.5 - (1.0 - vUv.x) * (uHistoryLength - 1.0)) / uHistoryLength;
+  float bin = uMinBin * pow(uMaxBin / uMinBin, vUv.y);
+  float level = texture2D(uHistory, vec2(bin, row)).r;
+
+  vec3 color = mix(vec3(0.0), uAccent0, smoothstep(0.05, 0.45, level));
+  color = mix(color, uAccent1, smoothstep(0.45, 0.7, level));
+  color = mix(color, uAccent2, smoothstep(0.7, 0.9, level));
+  color += vec3(smoothstep(0.9, 1.0, level) * 0.4);
+  // The canvas is composited with premultiplied alpha
+  float alpha = smoothstep(0.0, 0.15, level);
+  gl_FragColor = vec4(color * alpha, alpha);
+}
+`;
+
+// Scrolling spectrogram: time runs right to left, pitch bottom to top.
+// Only the newest spectrum is uploaded each frame; the GPU scrolls the rest.
+export default {
+  id: 'spectrogram',
+  label: 'Spectrogram',
+  icon: '▤',
+  fftSize: 2048,
+  fallback: 'bars',
+  init: (canvas, size) => {
+    const gl = getWebGLContext(canvas);
+    if (!gl) return null;
+
+    const { program, attributes, uniforms } = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER, {
+      attributes: ['aPosition'],
+      uniforms: ['uHistory', 'uNewest', 'uHistoryLength', 'uMinBin', 'uMaxBin', 'uAccent0', 'uAccent1', 'uAccent2']
+    });
+    const quad = createBuffer(gl, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]));
+    const texture = gl.createTexture();
+    let bins = 0;
+    let newest = 0;
+
+    // Sized on the first frame, once the number of bins is known
+    const createHistory = (length) => {
+      bins = length;
+      newest = 0;
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, bins, HISTORY, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, new Uint8Array(bins * HISTORY));
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    };
+
+    gl.viewport(0, 0, size.width, size.height);
+    gl.clearColor(0, 0, 0, 0);
+
+    return {
+      draw: ({ frequencyData, sampleRate, accent }) => {
+        assertContext(gl);
+        // Bins must be a power of two too for the texture to wrap; they are,
+        // as the analyser's FFT size always is
+        if (frequencyData.length !== bins) createHistory(frequencyData.length);
+
+        newest = (newest + 1) % HISTORY;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, newest, bins, 1, gl.LUMINANCE, gl.UNSIGNED_BYTE, frequencyData);
+
+        // Texture coordinates of the lowest and highest frequency shown
+        const nyquist = sampleRate / 2;
+        gl.useProgram(program);
+        gl.uniform1i(uniforms.uHistory, 0);
+        gl.uniform1f(uniforms.uNewest, newest);
+        gl.uniform1f(uniforms.uHistoryLength, HISTORY);
+        gl.uniform1f(uniforms.uMinBin, MIN_FREQUENCY / nyquist);
+        gl.uniform1f(uniforms.uMaxBin, Math.min(1, MAX_FREQUENCY / nyquist));
+        accent.forEach((color, i) => gl.uniform3fv(uniforms[`uAccent${i}`], parseColor(color)));
+
+        bindAttribute(gl, attributes.aPosition, quad, 2);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      },
+      resize: ({ width, height }) => gl.viewport(0, 0, width, height),
+      dispose: () => {
+        gl.deleteTexture(texture);
+        gl.deleteBuffer(quad);
+        gl.deleteProgram(program);
+        releaseContext(gl);
+      }
+    };
+  }
+};
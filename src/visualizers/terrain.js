@@ -0,0 +1,168 @@
+import {
+  assertContext,
+  bindAttribute,
+  createBuffer,
+  createProgram,
+  getWebGLContext,
+  lookAt,
+  multiply,
+  parseColor,
+  perspective,
+  releaseContext
+} from './webgl';
+
+// Frequency bands across, spectra kept front to back
+const COLUMNS = 128;
+const ROWS = 64;
+const MIN_FREQUENCY = 40;
+const MAX_FREQUENCY = 12000;
+// World size of the landscape: x from -WIDTH/2 to WIDTH/2, z from 0 back to -DEPTH
+const WIDTH = 4;
+const DEPTH = 4;
+const MAX_HEIGHT = 0.9;
+
+const VERTEX_SHADER = `
+attribute vec2 aGrid;
+attribute float aHeight;
+uniform mat4 uMatrix;
+varying float vHeight;
+varying float vDistance;
+
+void main() {
+  vHeight = aHeight;
+  vDistance = aGrid.y;
+  vec3 position = vec3((aGrid.x - 0.5) * ${WIDTH.toFixed(1)}, aHeight * ${MAX_HEIGHT.toFixed(2)}, -aGrid.y * ${DEPTH.toFixed(1)});
+  gl_Position = uMatrix * vec4(position, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+uniform vec3 uAccent0;
+uniform vec3 uAccent1;
+uniform vec3 uAccent2;
+varying float vHeight;
+varying float vDistance;
+
+void main() {
+  vec3 color = mix(uAccent0 * 0.35, uAccent0, smoothstep(0.0, 0.3, vHeight));
+  color = mix(color, uAccent1, smoothstep(0.3, 0.6, vHeight));
+  color = mix(color, uAccent2, smoothstep(0.6, 0.9, vHeight));
+  // Older spectra fade into the distance; premultiplied for the canvas
+  float alpha = 1.0 - smoothstep(0.4, 1.0, vDistance);
+  gl_FragColor = vec4(color * alpha, alpha);
+}
+`;
+
+// Which analyser bins each band covers, log-spaced like hearing
+const getBands = (bins, sampleRate) => {
+  const binWidth = sampleRate / 2 / bins;
+  return Array.from({ length: COLUMNS }, (_, column) => {
+    const low = MIN_FREQUENCY * (MAX_FREQUENCY / MIN_FREQUENCY) ** (column / COLUMNS);
+    const high = MIN_FREQUENCY * (MAX_FREQUENCY / MIN_FREQUENCY) ** ((column + 1) / COLUMNS);
+    const start = Math.min(bins - 1, Math.floor(low / binWidth));
+    return [start, Math.min(bins, Math.max(start + 1, Math.ceil(high / binWidth)))];
+  });
+};
+
+const createGrid = () => {
+  const grid = new Float32Array(ROWS * COLUMNS * 2);
+  for (let row = 0; row < ROWS; row++) {
+    for (let column = 0; column < COLUMNS; column++) {
+      const vertex = row * COLUMNS + column;
+      grid[vertex * 2] = column / (COLUMNS - 1);
+      grid[vertex * 2 + 1] = row / (ROWS - 1);
+    }
+  }
+
+  const indices = new Uint16Array((ROWS - 1) * (COLUMNS - 1) * 6);
+  let index = 0;
+  for (let row = 0; row < ROWS - 1; row++) {
+    for (let column = 0; column < COLUMNS - 1; column++) {
+      const vertex = row * COLUMNS + column;
+      indices.set([vertex, vertex + 1, vertex + COLUMNS, vertex + 1, vertex + COLUMNS + 1, vertex + COLUMNS], index);
+      index += 6;
+    }
+  }
+  return { grid, indices };
+};
+
+// A landscape of recent spectra: the newest at the front, bass on the left,
+// rolling back into the distance as the music plays
+export default {
+  id: 'terrain',
+  label: '3D Terrain',
+  icon: '⛰',
+  fftSize: 2048,
+  fallback: 'bars',
+  init: (canvas, size) => {
+    const gl = getWebGLContext(canvas);
+    if (!gl) return null;
+
+    const { program, attributes, uniforms } = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER, {
+      attributes: ['aGrid', 'aHeight'],
+      uniforms: ['uMatrix', 'uAccent0', 'uAccent1', 'uAccent2']
+    });
+    const { grid, indices } = createGrid();
+    const heights = new Float32Array(ROWS * COLUMNS);
+    const gridBuffer = createBuffer(gl, grid);
+    const heightBuffer = createBuffer(gl, heights, gl.DYNAMIC_DRAW);
+    const indexBuffer = createBuffer(gl, indices, gl.STATIC_DRAW, gl.ELEMENT_ARRAY_BUFFER);
+    let projection = null;
+    let bands = [];
+    let bandsFor = '';
+
+    const setSize = ({ width, height }) => {
+      gl.viewport(0, 0, width, height);
+      projection = perspective(Math.PI / 4, width / Math.max(1, height), 0.1, 20);
+    };
+    setSize(size);
+    gl.clearColor(0, 0, 0, 0);
+    gl.enable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    return {
+      draw: ({ frequencyData, sampleRate, time, accent }) => {
+        assertContext(gl);
+        if (bandsFor !== `${frequencyData.length}/${sampleRate}`) {
+          bands = getBands(frequencyData.length, sampleRate);
+          bandsFor = `${frequencyData.length}/${sampleRate}`;
+        }
+
+        // Everything moves back a row and the newest spectrum takes the front
+        heights.copyWithin(COLUMNS, 0, heights.length - COLUMNS);
+        bands.forEach(([start, end], column) => {
+          let peak = 0;
+          for (let bin = start; bin < end; bin++) peak = Math.max(peak, frequencyData[bin]);
+          heights[column] = (peak / 255) ** 1.5;
+        });
+        gl.bindBuffer(gl.ARRAY_BUFFER, heightBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, heights);
+
+        // The camera drifts slowly from side to side
+        const eye = [Math.sin(time * 0.15) * 0.8, 1.5, 2.8];
+        const view = lookAt(eye, [0, 0, -DEPTH * 0.4], [0, 1, 0]);
+
+        gl.useProgram(program);
+        gl.uniformMatrix4fv(uniforms.uMatrix, false, multiply(projection, view));
+        accent.forEach((color, i) => gl.uniform3fv(uniforms[`uAccent${i}`], parseColor(color)));
+        bindAttribute(gl, attributes.aGrid, gridBuffer, 2);
+        bindAttribute(gl, attributes.aHeight, heightBuffer, 1);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        gl.drawElements(gl.TRIANGLES, indices.length, gl.UNSIGNED_SHORT, 0);
+      },
+      resize: setSize,
+      dispose: () => {
+        gl.deleteBuffer(gridBuffer);
+        gl.deleteBuffer(heightBuffer);
+        gl.deleteBuffer(indexBuffer);
+        gl.deleteProgram(program);
+        releaseContext(gl);
+      }
+    };
+  }
+};
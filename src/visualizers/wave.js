@@ -0,0 +1,38 @@
+import { addAccentStops } from './helpers';
+
+// The waveform as it plays, like an oscilloscope
+export default {
+  id: 'waveform',
+  label: 'Wave',
+  icon: '〜',
+  init: (canvas) => {
+    const ctx = canvas.getContext('2d');
+
+    return {
+      draw: ({ timeDomainData, width, height, pixelRatio, accent }) => {
+        const sliceWidth = width / (timeDomainData.length - 1);
+
+        ctx.clearRect(0, 0, width, height);
+
+        const gradient = ctx.createLinearGradient(0, 0, width, 0);
+        addAccentStops(gradient, accent);
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = 2 * pixelRatio;
+        ctx.beginPath();
+
+        for (let i = 0; i < timeDomainData.length; i++) {
+          const v = (timeDomainData[i] / 255) * height;
+          const y = height / 2 + (v - height / 2) * 0.5;
+
+          if (i === 0) {
+            ctx.moveTo(0, y);
+          } else {
+            ctx.lineTo(i * sliceWidth, y);
+          }
+        }
+
+        ctx.stroke();
+      }
+    };
+  }
+};
@@ -0,0 +1,140 @@
+// Small WebGL helpers shared by the WebGL visualizers. WebGL 1 only, so
+// they run wherever WebGL runs at all.
+
+// A WebGL context for the canvas, or null when there is none worth using.
+// Software renderers (headless browsers, blocklisted GPUs) count as none:
+// the 2D visualizers look better than a WebGL one at a few frames a second.
+export const getWebGLContext = (canvas) => {
+  const attributes = { alpha: true, antialias: true, failIfMajorPerformanceCaveat: true };
+  return canvas.getContext('webgl', attributes) || canvas.getContext('experimental-webgl', attributes);
+};
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Shader did not compile: ${log}`);
+  }
+  return shader;
+};
+
+// Linked program with its attribute and uniform locations looked up by name
+export const createProgram = (gl, vertexSource, fragmentSource, { attributes = [], uniforms = [] } = {}) => {
+  const program = gl.createProgram();
+  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Shader program did not link: ${log}`);
+  }
+
+  return {
+    program,
+    attributes: Object.fromEntries(attributes.map(name => [name, gl.getAttribLocation(program, name)])),
+    uniforms: Object.fromEntries(uniforms.map(name => [name, gl.getUniformLocation(program, name)]))
+  };
+};
+
+export const createBuffer = (gl, data, usage = gl.STATIC_DRAW, target = gl.ARRAY_BUFFER) => {
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(target, buffer);
+  gl.bufferData(target, data, usage);
+  return buffer;
+};
+
+export const bindAttribute = (gl, location, buffer, size) => {
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.enableVertexAttribArray(location);
+  gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+};
+
+// A lost context (GPU reset, too many contexts) cannot be drawn to; the
+// host falls back to another visualizer when draw throws
+export const assertContext = (gl) => {
+  if (gl.isContextLost()) throw new Error('The WebGL context was lost');
+};
+
+// Browsers only allow a handful of live contexts, and each visualizer gets
+// a canvas of its own; letting go on dispose saves waiting for the GC
+export const releaseContext = (gl) => {
+  gl.getExtension('WEBGL_lose_context')?.loseContext();
+};
+
+// Theme colours are CSS hsl() strings (see utils/palette.js); shaders want
+// 0–1 RGB. Anything unparseable comes out white.
+export const parseColor = (color) => {
+  const hsl = /hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%/.exec(color);
+  if (hsl) {
+    const hue = Number(hsl[1]) / 360;
+    const saturation = Number(hsl[2]) / 100;
+    const lightness = Number(hsl[3]) / 100;
+    const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+    const p = 2 * lightness - q;
+    const channel = (t) => {
+      const h = ((t % 1) + 1) % 1;
+      if (h < 1 / 6) return p + (q - p) * 6 * h;
+      if (h < 1 / 2) return q;
+      if (h < 2 / 3) return p + (q - p) * (2 / 3 - h) * 6;
+      return p;
+    };
+    return [channel(hue + 1 / 3), channel(hue), channel(hue - 1 / 3)];
+  }
+
+  const hex = /^#([\da-f]{2})([\da-f]{2})([\da-f]{2})/i.exec(color);
+  if (hex) return hex.slice(1).map(value => parseInt(value, 16) / 255);
+  return [1, 1, 1];
+};
+
+// Column-major 4x4 matrices, as WebGL expects them
+export const perspective = (fieldOfView, aspect, near, far) => {
+  const f = 1 / Math.tan(fieldOfView / 2);
+  const range = 1 / (near - far);
+  return new Float32Array([
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, (near + far) * range, -1,
+    0, 0, 2 * near * far * range, 0
+  ]);
+};
+
+export const lookAt = (eye, target, up) => {
+  const subtract = (a, b) => a.map((value, i) => value - b[i]);
+  const normalize = (v) => {
+    const length = Math.hypot(...v) || 1;
+    return v.map(value => value / length);
+  };
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  const z = normalize(subtract(eye, target));
+  const x = normalize(cross(up, z));
+  const y = cross(z, x);
+  return new Float32Array([
+    x[0], y[0], z[0], 0,
+    x[1], y[1], z[1], 0,
+    x[2], y[2], z[2], 0,
+    -dot(x, eye), -dot(y, eye), -dot(z, eye), 1
+  ]);
+};
+
+export const multiply = (a, b) => {
+  const out = new Float32Array(16);
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[column * 4 + k];
+      out[column * 4 + row] = sum;
+    }
+  }
+  return out;
+};
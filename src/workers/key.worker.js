@@ -0,0 +1,93 @@
+// Musical key of decoded audio. A chromagram (how much of each of the 12
+// pitch classes is sounding, summed over the whole track) is compared with
+// the Krumhansl–Kessler key profiles, rotated to all 24 major and minor
+// keys; the best correlation wins.
+import { createHannWindow, getMagnitudes, mixDown } from '../utils/fft';
+
+const ANALYSIS_RATE = 11025;
+const FRAME_SIZE = 4096; // 2.7 Hz bins, fine enough to tell low notes apart
+const MIN_FREQUENCY = 55; // A1
+const MAX_FREQUENCY = 1760; // A6; above this harmonics blur the picture
+
+// How strongly each scale degree is felt to belong to a key, from
+// Krumhansl and Kessler's listening experiments
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Pitch class (0 = C) of each FFT bin in range, -1 outside it
+const getBinPitchClasses = (sampleRate) => Int8Array.from({ length: FRAME_SIZE / 2 + 1 }, (_, bin) => {
+  const frequency = (bin * sampleRate) / FRAME_SIZE;
+  if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) return -1;
+  const midi = Math.round(12 * Math.log2(frequency / 440) + 69);
+  return midi % 12;
+});
+
+// Each frame counts the same however loud it is, so the chorus does not
+// outvote the verses; silent frames are left out
+const getChromagram = (samples, sampleRate) => {
+  const window = createHannWindow(FRAME_SIZE);
+  const real = new Float32Array(FRAME_SIZE);
+  const imag = new Float32Array(FRAME_SIZE);
+  const magnitudes = new Float32Array(FRAME_SIZE / 2 + 1);
+  const pitchClasses = getBinPitchClasses(sampleRate);
+  const chroma = new Float64Array(12);
+  const frameChroma = new Float64Array(12);
+
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += FRAME_SIZE) {
+    getMagnitudes(samples, offset, window, real, imag, magnitudes);
+    frameChroma.fill(0);
+    for (let bin = 0; bin < magnitudes.length; bin++) {
+      if (pitchClasses[bin] >= 0) frameChroma[pitchClasses[bin]] += magnitudes[bin];
+    }
+
+    const max = Math.max(...frameChroma);
+    if (max < 1e-3) continue;
+    for (let pc = 0; pc < 12; pc++) chroma[pc] += frameChroma[pc] / max;
+  }
+  return chroma;
+};
+
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let products = 0;
+  let squaresA = 0;
+  let squaresB = 0;
+  for (let i = 0; i < a.length; i++) {
+    products += (a[i] - meanA) * (b[i] - meanB);
+    squaresA += (a[i] - meanA) ** 2;
+    squaresB += (b[i] - meanB) ** 2;
+  }
+  return squaresA && squaresB ? products / Math.sqrt(squaresA * squaresB) : 0;
+};
+
+const detectKey = (channels, sampleRate) => {
+  const audio = mixDown(channels, sampleRate, ANALYSIS_RATE);
+  const chroma = Array.from(getChromagram(audio.samples, audio.sampleRate));
+  if (chroma.every(value => value === 0)) return null;
+
+  let best = null;
+  [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = chroma.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+      const score = correlate(chroma, rotated);
+      if (!best || score > best.score) best = { tonic, mode, score };
+    }
+  });
+
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    confidence: Math.round(Math.max(0, best.score) * 100) / 100
+  };
+};
+
+self.onmessage = (event) => {
+  const { id, channels, sampleRate } = event.data;
+
+  try {
+    self.postMessage({ id, key: detectKey(channels, sampleRate) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,131 @@
+// Integrated loudness (EBU R128 / ITU-R BS.1770) and sample peak of decoded
+// audio. A long track is tens of millions of samples through two filters
+// per channel, which is far too much work for the main thread.
+const BLOCK_DURATION = 0.4; // seconds per gating block
+const STEP_DURATION = 0.1; // blocks overlap by 75%
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the loudness of the ungated blocks
+
+// 5.1 in Web Audio's order (L, R, C, LFE, Ls, Rs): the LFE is left out and
+// the surrounds count a little more, as they are heard from the side
+const SURROUND_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// The K-weighting filter: a high shelf for the head's acoustics, then a
+// high pass. BS.1770 only lists coefficients for 48 kHz, so they are
+// derived from the analogue prototypes for whatever rate the audio has.
+const getKWeighting = (sampleRate) => {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+const energyToLoudness = (energy) => -0.691 + 10 * Math.log10(energy);
+
+// Mean square of the K-weighted signal over each 100 ms step
+const getStepEnergies = (samples, sampleRate, stepLength, filters) => {
+  const [shelf, highPass] = filters;
+  const energies = new Float64Array(Math.floor(samples.length / stepLength));
+  // Direct form II state of each biquad
+  let s1 = 0;
+  let s2 = 0;
+  let h1 = 0;
+  let h2 = 0;
+  let sum = 0;
+
+  for (let i = 0; i < energies.length * stepLength; i++) {
+    const w = samples[i] - shelf.a[0] * s1 - shelf.a[1] * s2;
+    const shelved = shelf.b[0] * w + shelf.b[1] * s1 + shelf.b[2] * s2;
+    s2 = s1;
+    s1 = w;
+
+    const v = shelved - highPass.a[0] * h1 - highPass.a[1] * h2;
+    const weighted = v - 2 * h1 + h2;
+    h2 = h1;
+    h1 = v;
+
+    sum += weighted * weighted;
+    if ((i + 1) % stepLength === 0) {
+      energies[(i + 1) / stepLength - 1] = sum / stepLength;
+      sum = 0;
+    }
+  }
+
+  return energies;
+};
+
+const getPeak = (channels) => {
+  let peak = 0;
+  channels.forEach(samples => {
+    for (let i = 0; i < samples.length; i++) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+    }
+  });
+  return peak;
+};
+
+// Integrated loudness in LUFS, or null when there is nothing above the
+// absolute gate (silence, or shorter than one block)
+const measureIntegratedLoudness = (channels, sampleRate) => {
+  const stepLength = Math.round(sampleRate * STEP_DURATION);
+  const stepsPerBlock = Math.round(BLOCK_DURATION / STEP_DURATION);
+  const filters = getKWeighting(sampleRate);
+  const weights = channels.length === SURROUND_WEIGHTS.length
+    ? SURROUND_WEIGHTS
+    : channels.map(() => 1);
+
+  const channelSteps = channels.map(samples => getStepEnergies(samples, sampleRate, stepLength, filters));
+  const stepCount = channelSteps[0]?.length ?? 0;
+
+  const blocks = [];
+  for (let start = 0; start + stepsPerBlock <= stepCount; start++) {
+    let energy = 0;
+    channelSteps.forEach((steps, channel) => {
+      let sum = 0;
+      for (let i = start; i < start + stepsPerBlock; i++) sum += steps[i];
+      energy += weights[channel] * sum / stepsPerBlock;
+    });
+    blocks.push(energy);
+  }
+
+  const average = (energies) => energies.reduce((total, energy) => total + energy, 0) / energies.length;
+
+  const audible = blocks.filter(energy => energyToLoudness(energy) > ABSOLUTE_GATE);
+  if (audible.length === 0) return null;
+
+  const threshold = energyToLoudness(average(audible)) + RELATIVE_GATE;
+  const gated = audible.filter(energy => energyToLoudness(energy) > threshold);
+  return energyToLoudness(average(gated));
+};
+
+self.onmessage = (event) => {
+  const { id, channels, sampleRate } = event.data;
+
+  try {
+    self.postMessage({
+      id,
+      loudness: {
+        integrated: measureIntegratedLoudness(channels, sampleRate),
+        peak: getPeak(channels)
+      }
+    });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
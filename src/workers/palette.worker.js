@@ -0,0 +1,81 @@
+// Dominant colour extraction for cover art. Decoding and scanning the image
+// happens here so a large embedded cover never stalls playback or animation.
+const SAMPLE_SIZE = 48;
+const MAX_COLORS = 3;
+// Squared RGB distance under which two colours count as the same swatch
+const MIN_DISTANCE = 48 * 48;
+
+const getSaturation = (r, g, b) => {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return max === 0 ? 0 : (max - min) / max;
+};
+
+const distance = (a, b) => {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+};
+
+// Bucket pixels at 4 bits per channel, average each bucket, then rank by
+// population with a bonus for saturated colours so a small vivid accent can
+// beat a large grey backdrop.
+const extractColors = (pixels) => {
+  const buckets = new Map();
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+  }
+
+  const ranked = Array.from(buckets.values())
+    .map(({ count, r, g, b }) => {
+      const color = [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+      return { color, score: count * (0.3 + getSaturation(...color)) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const colors = [];
+  for (const { color } of ranked) {
+    if (colors.every(picked => distance(picked, color) > MIN_DISTANCE)) {
+      colors.push(color);
+      if (colors.length === MAX_COLORS) break;
+    }
+  }
+
+  return colors;
+};
+
+self.onmessage = async (event) => {
+  const { id, blob } = event.data;
+
+  try {
+    if (typeof OffscreenCanvas === 'undefined') {
+      throw new Error('OffscreenCanvas is not supported');
+    }
+
+    const bitmap = await createImageBitmap(blob, {
+      resizeWidth: SAMPLE_SIZE,
+      resizeHeight: SAMPLE_SIZE,
+      resizeQuality: 'low'
+    });
+    const canvas = new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const { data } = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    self.postMessage({ id, colors: extractColors(data) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
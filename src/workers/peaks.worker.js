@@ -0,0 +1,18 @@
+// Waveform peaks for the seek bar. A full track is millions of samples per
+// channel, so the scan is kept off the main thread.
+import { calculateAudioPeaks } from '../utils/audio';
+
+self.onmessage = (event) => {
+  const { id, channels, resolution } = event.data;
+
+  try {
+    const audio = {
+      numberOfChannels: channels.length,
+      getChannelData: (channel) => channels[channel]
+    };
+    const peaks = Float32Array.from(calculateAudioPeaks(audio, resolution));
+    self.postMessage({ id, peaks }, [peaks.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
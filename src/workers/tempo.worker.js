@@ -0,0 +1,188 @@
+// Tempo and beat grid of decoded audio. Onsets are found from spectral
+// flux, their autocorrelation is scored with a comb of the first few
+// multiples of each candidate beat period, and the winner is then fitted
+// to the onsets of the whole track to pin down both the exact tempo and
+// where the beats fall.
+import { createHannWindow, getMagnitudes, mixDown } from '../utils/fft';
+
+const ANALYSIS_RATE = 11025;
+const FRAME_SIZE = 512; // about 46 ms at the analysis rate
+const HOP_SIZE = 128; // an onset frame every 11.6 ms
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const COMB_WEIGHTS = [1, 0.5, 0.33, 0.25];
+// Listeners hear most music between 90 and 160 BPM; of two tempos that fit
+// equally well (one double the other), the prior picks the likelier one
+const PRIOR_BPM = 120;
+const PRIOR_WIDTH = 0.9; // octaves
+// The prior leans to half of a fast tempo. Kicks, bass and snare bodies
+// land on the beats far more than between them, so a slow pick whose
+// off-beats hit at least this hard in the low end was counted in halves.
+const FOLD_RATIO = 0.5;
+// Onset strength is measured against the average of the last half second
+const MEAN_WINDOW = 0.5; // seconds
+// Kick drums and bass notes, which mostly land on the beat
+const LOW_BAND = 150; // Hz
+
+// Onset strength with the slow changes taken out
+const removeMean = (flux, frameRate) => {
+  const meanLength = Math.max(1, Math.round(MEAN_WINDOW * frameRate));
+  const envelope = new Float32Array(flux.length);
+  let running = 0;
+  for (let frame = 0; frame < flux.length; frame++) {
+    running += flux[frame];
+    if (frame >= meanLength) running -= flux[frame - meanLength];
+    const mean = running / Math.min(frame + 1, meanLength);
+    envelope[frame] = Math.max(0, flux[frame] - mean);
+  }
+  return envelope;
+};
+
+// How much the spectrum grows from one frame to the next, summed over
+// every bin and over the low bins alone
+const getOnsetEnvelopes = (samples, sampleRate, frameRate) => {
+  const window = createHannWindow(FRAME_SIZE);
+  const real = new Float32Array(FRAME_SIZE);
+  const imag = new Float32Array(FRAME_SIZE);
+  let magnitudes = new Float32Array(FRAME_SIZE / 2 + 1);
+  let previous = new Float32Array(FRAME_SIZE / 2 + 1);
+  const frames = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const flux = new Float32Array(frames);
+  const lowFlux = new Float32Array(frames);
+  const lowBins = Math.max(2, Math.round((LOW_BAND * FRAME_SIZE) / sampleRate));
+
+  for (let frame = 0; frame < frames; frame++) {
+    getMagnitudes(samples, frame * HOP_SIZE, window, real, imag, magnitudes);
+    let sum = 0;
+    for (let bin = 1; bin < magnitudes.length; bin++) {
+      // Log compression so quiet hi-hats count next to loud kicks
+      magnitudes[bin] = Math.log1p(100 * magnitudes[bin]);
+      if (frame > 0 && magnitudes[bin] > previous[bin]) sum += magnitudes[bin] - previous[bin];
+      if (bin === lowBins) lowFlux[frame] = sum;
+    }
+    flux[frame] = sum;
+    [magnitudes, previous] = [previous, magnitudes];
+  }
+
+  return { envelope: removeMean(flux, frameRate), lowEnvelope: removeMean(lowFlux, frameRate) };
+};
+
+const interpolate = (values, position) => {
+  const index = Math.floor(position);
+  if (index < 0 || index + 1 >= values.length) return 0;
+  const fraction = position - index;
+  return values[index] + (values[index + 1] - values[index]) * fraction;
+};
+
+const getAutocorrelation = (envelope, maxLag) => {
+  const correlation = new Float32Array(maxLag + 2);
+  for (let lag = 0; lag < correlation.length; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+    correlation[lag] = sum / (envelope.length - lag);
+  }
+  return correlation;
+};
+
+const getCombScore = (correlation, period) => COMB_WEIGHTS.reduce(
+  (score, weight, k) => score + weight * interpolate(correlation, period * (k + 1)),
+  0
+);
+
+const getPrior = (bpm) => Math.exp(-0.5 * (Math.log2(bpm / PRIOR_BPM) / PRIOR_WIDTH) ** 2);
+
+// Average onset strength on a grid of beats `period` frames apart,
+// starting `phase` frames in
+const getGridScore = (envelope, period, phase) => {
+  let sum = 0;
+  let count = 0;
+  for (let position = phase; position < envelope.length - 1; position += period) {
+    sum += interpolate(envelope, position);
+    count++;
+  }
+  return count ? sum / count : 0;
+};
+
+// Best phase for a period, with the average over all phases to compare
+// it against
+const fitPhase = (envelope, period) => {
+  let best = { phase: 0, score: -1 };
+  let total = 0;
+  const steps = Math.ceil(period);
+  for (let phase = 0; phase < steps; phase++) {
+    const score = getGridScore(envelope, period, phase);
+    total += score;
+    if (score > best.score) best = { phase, score };
+  }
+  return { ...best, mean: total / steps };
+};
+
+const detectTempo = (channels, sampleRate) => {
+  const audio = mixDown(channels, sampleRate, ANALYSIS_RATE);
+  const frameRate = audio.sampleRate / HOP_SIZE;
+  const { envelope, lowEnvelope } = getOnsetEnvelopes(audio.samples, audio.sampleRate, frameRate);
+  const toPeriod = (bpm) => (60 * frameRate) / bpm;
+
+  const maxLag = Math.ceil(toPeriod(MIN_BPM) * COMB_WEIGHTS.length);
+  if (envelope.length < maxLag * 2) return null;
+
+  const correlation = getAutocorrelation(envelope, maxLag);
+  if (!(correlation[0] > 0)) return null;
+
+  // Candidates half a BPM apart, then the best one to a twentieth
+  const scoreBpm = (bpm) => getCombScore(correlation, toPeriod(bpm)) * getPrior(bpm);
+  let bestBpm = MIN_BPM;
+  for (let bpm = MIN_BPM; bpm <= MAX_BPM; bpm += 0.5) {
+    if (scoreBpm(bpm) > scoreBpm(bestBpm)) bestBpm = bpm;
+  }
+  for (let bpm = bestBpm - 0.5; bpm <= bestBpm + 0.5; bpm += 0.05) {
+    if (scoreBpm(bpm) > scoreBpm(bestBpm)) bestBpm = bpm;
+  }
+
+  // Twice as fast if the low end hits between the beats nearly as on them
+  if (bestBpm * 2 <= MAX_BPM) {
+    const period = toPeriod(bestBpm);
+    const beats = fitPhase(lowEnvelope, period);
+    const offbeats = getGridScore(lowEnvelope, period, beats.phase + period / 2);
+    if (offbeats >= beats.score * FOLD_RATIO) bestBpm *= 2;
+  }
+
+  // Over a whole track even a tiny period error drifts off the beat, so
+  // the period that lines up best with every onset is the exact tempo
+  const estimate = toPeriod(bestBpm);
+  let grid = { period: estimate, ...fitPhase(envelope, estimate) };
+  for (let period = estimate * 0.99; period <= estimate * 1.01; period += estimate * 0.0005) {
+    const fit = fitPhase(envelope, period);
+    if (fit.score > grid.score) grid = { period, ...fit };
+  }
+  if (!(grid.score > 0)) return null;
+
+  // A grid fits the off-beats about as well as the beats; the low end
+  // tells them apart
+  const offbeat = grid.phase + grid.period / 2;
+  const phase = getGridScore(lowEnvelope, grid.period, offbeat) > getGridScore(lowEnvelope, grid.period, grid.phase)
+    ? offbeat
+    : grid.phase;
+
+  // Onset frames are placed at the middle of their window
+  const frameOffset = FRAME_SIZE / 2 / audio.sampleRate;
+  const beatInterval = grid.period / frameRate;
+  const firstBeat = (phase / frameRate + frameOffset) % beatInterval;
+
+  return {
+    bpm: Math.round((60 / beatInterval) * 10) / 10,
+    // How far the beats stand out from the onsets between them
+    confidence: Math.round(Math.max(0, 1 - grid.mean / grid.score) * 100) / 100,
+    firstBeat: Math.round(firstBeat * 1000) / 1000
+  };
+};
+
+self.onmessage = (event) => {
+  const { id, channels, sampleRate } = event.data;
+
+  try {
+    self.postMessage({ id, tempo: detectTempo(channels, sampleRate) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
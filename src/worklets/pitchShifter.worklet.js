@@ -0,0 +1,81 @@
+// Pitch shifter for the audio thread. Two read heads sweep through a short
+// delay line at a speed set by the pitch ratio and are crossfaded with Hann
+// windows, so one fades out as it jumps back while the other plays: a
+// granular shift that keeps the tempo, cheap enough for real time.
+const GRAIN_DURATION = 0.06; // seconds
+const BUFFER_LENGTH = 1 << 14; // samples, well over one grain at 192 kHz
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.grainLength = Math.round(GRAIN_DURATION * sampleRate);
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  // Linear interpolation between the two samples around a fractional delay
+  read(buffer, delay) {
+    const position = this.writeIndex - delay;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = buffer[(index + BUFFER_LENGTH) & (BUFFER_LENGTH - 1)];
+    const b = buffer[(index + 1 + BUFFER_LENGTH) & (BUFFER_LENGTH - 1)];
+    return a + (b - a) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+    const frames = output[0]?.length ?? 0;
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(BUFFER_LENGTH));
+    }
+
+    // Each head's delay shrinks by (ratio - 1) samples per sample played
+    const step = (1 - ratio) / this.grainLength;
+    const startIndex = this.writeIndex;
+    const startPhase = this.phase;
+
+    output.forEach((channel, c) => {
+      const samples = input[c] ?? input[0];
+      const buffer = this.buffers[c] ?? this.buffers[0];
+      if (!samples || !buffer) {
+        channel.fill(0);
+        return;
+      }
+
+      // Every channel starts from the same place
+      this.writeIndex = startIndex;
+      this.phase = startPhase;
+
+      for (let i = 0; i < frames; i++) {
+        buffer[this.writeIndex] = samples[i];
+
+        if (ratio === 1) {
+          channel[i] = samples[i];
+        } else {
+          const phaseA = this.phase;
+          const phaseB = (phaseA + 0.5) % 1;
+          const windowA = Math.sin(Math.PI * phaseA) ** 2;
+          const windowB = Math.sin(Math.PI * phaseB) ** 2;
+          channel[i] = this.read(buffer, phaseA * this.grainLength) * windowA +
+            this.read(buffer, phaseB * this.grainLength) * windowB;
+        }
+
+        this.writeIndex = (this.writeIndex + 1) & (BUFFER_LENGTH - 1);
+        this.phase = ((this.phase + step) % 1 + 1) % 1;
+      }
+    });
+
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);